@@ -0,0 +1,22 @@
+module.exports = {
+  root: true,
+  env: {
+    browser: true,
+    node: true,
+    es2022: true
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'script'
+  },
+  extends: ['eslint:recommended'],
+  rules: {
+    'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+  },
+  overrides: [
+    {
+      files: ['test/**/*.js'],
+      env: { jest: true }
+    }
+  ]
+};
@@ -2,9 +2,22 @@ const resolve = require('@rollup/plugin-node-resolve');
 const commonjs = require('@rollup/plugin-commonjs');
 const babel = require('@rollup/plugin-babel');
 const terser = require('@rollup/plugin-terser');
+const fs = require('fs');
 
 const production = !process.env.ROLLUP_WATCH;
 
+// Ship the hand-written type declarations next to the bundles
+const copyTypes = () => ({
+  name: 'copy-types',
+  generateBundle() {
+    this.emitFile({
+      type: 'asset',
+      fileName: 'index.d.ts',
+      source: fs.readFileSync('src/index.d.ts', 'utf8')
+    });
+  }
+});
+
 module.exports = [
   // ES Module build
   {
@@ -60,9 +73,10 @@ module.exports = [
           }]
         ]
       }),
-      production && terser()
+      production && terser(),
+      copyTypes()
     ].filter(Boolean),
-    external: ['socket.io-client', 'cross-fetch']
+    external: ['socket.io-client', 'cross-fetch', 'crypto', 'fs', 'stream']
   },
   // UMD build for browser
   {
@@ -72,6 +86,7 @@ module.exports = [
       format: 'umd',
       name: 'CybernateAI',
       sourcemap: true,
+      exports: 'named',
       globals: {
         'socket.io-client': 'io'
       }
@@ -0,0 +1,370 @@
+/**
+ * Minimal ZIP and tar writers for the Cybernate AI SDK
+ * Entries are stored uncompressed (media is already compressed) and streamed to a sink chunk by
+ * chunk, so entries are never held in memory as a whole.
+ *
+ * A sink is an object with `async write(bytes)` and `async close()`.
+ */
+
+const ZIP_MAX_SIZE = 0xffffffff;
+
+// UTF-8 names, CRC and sizes in a data descriptor after the content
+const ZIP_FLAGS = 0x0808;
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a byte array, as used by ZIP
+ * @param {Uint8Array} bytes - Data
+ * @param {number} [previous=0] - CRC of the preceding data, to compute a CRC chunk by chunk
+ * @returns {number} - Unsigned CRC
+ */
+function crc32(bytes, previous = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Writes a ZIP archive (stored entries, UTF-8 names, no ZIP64)
+ */
+class ZipWriter {
+  /**
+   * @param {Object} sink - Destination of the archive bytes
+   */
+  constructor(sink) {
+    this.sink = sink;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path inside the archive
+   * @param {Uint8Array} data - File content
+   * @param {Date} [date] - Modification time
+   */
+  async add(name, data, date = new Date()) {
+    await this.addStream(name, [data], { size: data.length, date });
+  }
+
+  /**
+   * Add a file from chunks
+   * The CRC and size follow the content in a data descriptor, so the content is never buffered.
+   * @param {string} name - Path inside the archive
+   * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} chunks - File content
+   * @param {Object} [options] - Entry options
+   * @param {number} [options.size] - Expected size, to fail before writing an entry that cannot fit
+   * @param {Date} [options.date] - Modification time
+   */
+  async addStream(name, chunks, { size, date = new Date() } = {}) {
+    if (Number.isInteger(size) && this.offset + size > ZIP_MAX_SIZE) {
+      throw zipTooLarge();
+    }
+
+    const nameBytes = new TextEncoder().encode(name);
+    const entry = {
+      nameBytes,
+      crc: 0,
+      size: 0,
+      offset: this.offset,
+      ...dosDateTime(date)
+    };
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true); // version needed
+    view.setUint16(6, ZIP_FLAGS, true);
+    view.setUint16(8, 0, true); // stored
+    view.setUint16(10, entry.time, true);
+    view.setUint16(12, entry.date, true);
+    // CRC and sizes are left 0 here and written in the data descriptor
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true);
+    header.set(nameBytes, 30);
+
+    await this._write(header);
+
+    for await (const chunk of chunks) {
+      if (this.offset + chunk.length > ZIP_MAX_SIZE) {
+        throw zipTooLarge();
+      }
+      entry.crc = crc32(chunk, entry.crc);
+      entry.size += chunk.length;
+      await this._write(chunk);
+    }
+
+    const descriptor = new Uint8Array(16);
+    const descriptorView = new DataView(descriptor.buffer);
+    descriptorView.setUint32(0, 0x08074b50, true);
+    descriptorView.setUint32(4, entry.crc, true);
+    descriptorView.setUint32(8, entry.size, true);
+    descriptorView.setUint32(12, entry.size, true);
+    await this._write(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  /**
+   * Write the central directory and close the sink
+   */
+  async finish() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const record = new Uint8Array(46 + entry.nameBytes.length);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, 20, true); // version made by
+      view.setUint16(6, 20, true); // version needed
+      view.setUint16(8, ZIP_FLAGS, true);
+      view.setUint16(10, 0, true);
+      view.setUint16(12, entry.time, true);
+      view.setUint16(14, entry.date, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.size, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.nameBytes.length, true);
+      view.setUint32(42, entry.offset, true);
+      record.set(entry.nameBytes, 46);
+      await this._write(record);
+    }
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, this.entries.length, true);
+    view.setUint16(10, this.entries.length, true);
+    view.setUint32(12, this.offset - start, true);
+    view.setUint32(16, start, true);
+    await this._write(end);
+
+    await this.sink.close();
+  }
+
+  /**
+   * @private
+   */
+  async _write(bytes) {
+    await this.sink.write(bytes);
+    this.offset += bytes.length;
+  }
+}
+
+/**
+ * Writes a POSIX ustar archive
+ */
+class TarWriter {
+  /**
+   * @param {Object} sink - Destination of the archive bytes
+   */
+  constructor(sink) {
+    this.sink = sink;
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path inside the archive (at most 100 bytes)
+   * @param {Uint8Array} data - File content
+   * @param {Date} [date] - Modification time
+   */
+  async add(name, data, date = new Date()) {
+    await this.addStream(name, [data], { size: data.length, date });
+  }
+
+  /**
+   * Add a file from chunks
+   * The size goes into the header before the content, so it must be known up front.
+   * @param {string} name - Path inside the archive (at most 100 bytes)
+   * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} chunks - File content
+   * @param {Object} options - Entry options
+   * @param {number} options.size - Size of the content
+   * @param {Date} [options.date] - Modification time
+   */
+  async addStream(name, chunks, { size, date = new Date() } = {}) {
+    if (!Number.isInteger(size) || size < 0) {
+      throw new Error(`The size of tar entry ${name} must be known before it is written`);
+    }
+
+    const nameBytes = new TextEncoder().encode(name);
+    if (nameBytes.length > 100) {
+      throw new Error(`Archive entry name too long for tar: ${name}`);
+    }
+
+    const header = new Uint8Array(512);
+    const field = (offset, length, value) => {
+      header.set(new TextEncoder().encode(value).subarray(0, length), offset);
+    };
+    const octal = (offset, length, value) => field(offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+
+    header.set(nameBytes, 0);
+    octal(100, 8, 0o644); // mode
+    octal(108, 8, 0); // uid
+    octal(116, 8, 0); // gid
+    octal(124, 12, size);
+    octal(136, 12, Math.floor(date.getTime() / 1000));
+    field(148, 8, '        '); // checksum placeholder
+    field(156, 1, '0'); // regular file
+    field(257, 6, 'ustar\0');
+    field(263, 2, '00');
+
+    let checksum = 0;
+    for (let i = 0; i < 512; i++) {
+      checksum += header[i];
+    }
+    field(148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+    await this.sink.write(header);
+
+    let written = 0;
+    for await (const chunk of chunks) {
+      written += chunk.length;
+      if (written > size) {
+        break;
+      }
+      await this.sink.write(chunk);
+    }
+    if (written !== size) {
+      throw new Error(`Tar entry ${name} has ${written > size ? 'more' : 'fewer'} than the expected ${size} bytes`);
+    }
+
+    const padding = (512 - (size % 512)) % 512;
+    if (padding > 0) {
+      await this.sink.write(new Uint8Array(padding));
+    }
+  }
+
+  /**
+   * Write the end-of-archive marker and close the sink
+   */
+  async finish() {
+    await this.sink.write(new Uint8Array(1024));
+    await this.sink.close();
+  }
+}
+
+/**
+ * Create an archive writer
+ * @param {string} format - 'zip' or 'tar'
+ * @param {Object} sink - Destination of the archive bytes
+ * @returns {ZipWriter|TarWriter}
+ */
+function createArchiveWriter(format, sink) {
+  if (format === 'zip') {
+    return new ZipWriter(sink);
+  }
+  if (format === 'tar') {
+    return new TarWriter(sink);
+  }
+
+  throw new Error(`Invalid archive format "${format}". Expected one of: zip, tar`);
+}
+
+/**
+ * Sink collecting the archive in memory
+ * @returns {{write: Function, close: Function, bytes: Function}}
+ */
+function createMemorySink() {
+  const parts = [];
+  let length = 0;
+
+  return {
+    async write(bytes) {
+      parts.push(bytes);
+      length += bytes.length;
+    },
+    async close() {},
+    bytes() {
+      const result = new Uint8Array(length);
+      let position = 0;
+      for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Sink writing the archive to a file (Node.js)
+ * @param {string} filePath - Destination path
+ * @returns {{write: Function, close: Function, abort: Function}}
+ */
+function createFileSink(filePath) {
+  let fs;
+  try {
+    fs = require('fs');
+  } catch (e) {
+    throw new Error('Writing an archive to a file requires Node.js');
+  }
+
+  const stream = fs.createWriteStream(filePath);
+  let failure = null;
+  stream.on('error', error => {
+    failure = error;
+  });
+
+  return {
+    write(bytes) {
+      if (failure) {
+        return Promise.reject(failure);
+      }
+
+      return new Promise((resolve, reject) => {
+        stream.write(bytes, error => (error ? reject(error) : resolve()));
+      });
+    },
+    close() {
+      return new Promise((resolve, reject) => {
+        stream.end(error => (error || failure ? reject(error || failure) : resolve()));
+      });
+    },
+    async abort() {
+      stream.destroy();
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function zipTooLarge() {
+  return new Error('ZIP archives are limited to 4 GiB; use the tar format for larger exports');
+}
+
+/**
+ * @private
+ */
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+module.exports = {
+  crc32,
+  ZipWriter,
+  TarWriter,
+  createArchiveWriter,
+  createMemorySink,
+  createFileSink
+};
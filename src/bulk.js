@@ -0,0 +1,138 @@
+/**
+ * Bulk operations for the Cybernate AI SDK
+ * Runs one request per item with bounded concurrency and reports every item instead of failing
+ * the batch on the first error.
+ */
+
+const { CybernateAbortError, CybernateNotFoundError } = require('./errors');
+
+const BULK_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Run an operation for every item
+ * Items that are empty or repeated are skipped. Once `signal` aborts no new items start, requests
+ * in flight are cancelled and the remaining items are reported as skipped with reason 'aborted'.
+ * @param {string[]} ids - Item IDs
+ * @param {Function} operation - Called with (id, requestOptions), returns a promise
+ * @param {Object} [options] - Bulk options
+ * @param {number} [options.concurrency=5] - Max items in flight
+ * @param {Function} [options.onProgress] - Called with { completed, total, succeeded, failed, skipped, item } after each item
+ * @param {boolean} [options.skipNotFound=false] - Report 404 responses as skipped instead of failed
+ * @param {Object} [options.requestOptions] - Per-call request options passed to every operation; an idempotencyKey becomes `<key>-<id>` for each item
+ * @param {Object} [options.logger] - Logger for errors thrown by onProgress
+ * @returns {Promise<Object>} - { results, succeeded, failed, skipped, aborted }
+ */
+async function runBulk(ids, operation, options = {}) {
+  if (!Array.isArray(ids)) {
+    throw new Error('ids must be an array');
+  }
+
+  const concurrency = options.concurrency || 5;
+  if (!(concurrency >= 1)) {
+    throw new Error('concurrency must be at least 1');
+  }
+
+  const requestOptions = options.requestOptions || {};
+  const { signal } = requestOptions;
+  const results = new Array(ids.length);
+  const seen = new Set();
+  const counts = { succeeded: 0, failed: 0, skipped: 0 };
+  let completed = 0;
+  let next = 0;
+
+  const record = (index, item) => {
+    results[index] = item;
+    counts[item.status]++;
+    completed++;
+
+    // A throwing callback must not change the item's result or stop the batch
+    if (options.onProgress) {
+      try {
+        options.onProgress({ completed, total: ids.length, ...counts, item });
+      } catch (error) {
+        if (options.logger) {
+          options.logger.error('Error in bulk onProgress callback:', error);
+        }
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (next < ids.length) {
+      const index = next++;
+      const id = ids[index];
+
+      if (signal && signal.aborted) {
+        record(index, { id, status: BULK_STATUS.SKIPPED, reason: 'aborted' });
+        continue;
+      }
+      if (!id) {
+        record(index, { id, status: BULK_STATUS.SKIPPED, reason: 'invalid' });
+        continue;
+      }
+      if (seen.has(id)) {
+        record(index, { id, status: BULK_STATUS.SKIPPED, reason: 'duplicate' });
+        continue;
+      }
+      seen.add(id);
+
+      // One key for every item would make the server dedupe all items after the first
+      const itemOptions = requestOptions.idempotencyKey
+        ? { ...requestOptions, idempotencyKey: `${requestOptions.idempotencyKey}-${id}` }
+        : requestOptions;
+
+      let item;
+      try {
+        const result = await operation(id, itemOptions);
+        item = { id, status: BULK_STATUS.SUCCEEDED, result };
+      } catch (error) {
+        if (error instanceof CybernateAbortError && signal && signal.aborted) {
+          item = { id, status: BULK_STATUS.SKIPPED, reason: 'aborted' };
+        } else if (options.skipNotFound && error instanceof CybernateNotFoundError) {
+          item = { id, status: BULK_STATUS.SKIPPED, reason: 'not_found' };
+        } else {
+          item = { id, status: BULK_STATUS.FAILED, error };
+        }
+      }
+      record(index, item);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, ids.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return {
+    results,
+    succeeded: results.filter(item => item.status === BULK_STATUS.SUCCEEDED),
+    failed: results.filter(item => item.status === BULK_STATUS.FAILED),
+    skipped: results.filter(item => item.status === BULK_STATUS.SKIPPED),
+    aborted: !!(signal && signal.aborted)
+  };
+}
+
+/**
+ * Build a watcher predicate from a filter
+ * @param {Function|Object} [filter] - Predicate, or fields every matching watcher has (e.g. { type: 'stream' })
+ * @returns {Function}
+ */
+function createWatcherFilter(filter) {
+  if (!filter) {
+    return () => true;
+  }
+  if (typeof filter === 'function') {
+    return filter;
+  }
+
+  return watcher => Object.entries(filter).every(([key, value]) =>
+    Array.isArray(value) ? value.includes(watcher[key]) : watcher[key] === value
+  );
+}
+
+module.exports = { runBulk, createWatcherFilter, BULK_STATUS };
@@ -0,0 +1,143 @@
+/**
+ * Connection state machine for the Cybernate AI SDK
+ *
+ *   idle -> authenticating -> connected | degraded-http-only | failed
+ *   connected <-> reconnecting -> degraded-http-only (socket gave up; HTTP still works)
+ *   any -> disconnected (disconnect() called)
+ */
+
+const CONNECTION_STATE = {
+  IDLE: 'idle',
+  AUTHENTICATING: 'authenticating',
+  CONNECTED: 'connected',
+  DEGRADED: 'degraded-http-only',
+  RECONNECTING: 'reconnecting',
+  DISCONNECTED: 'disconnected',
+  FAILED: 'failed'
+};
+
+/**
+ * Tracks the current connection state and reports transitions
+ */
+class ConnectionStateMachine {
+  /**
+   * @param {Function} onChange - Called with the change payload on every transition
+   */
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.state = CONNECTION_STATE.IDLE;
+    this.since = Date.now();
+  }
+
+  /**
+   * Move to a new state; transitions to the current state are ignored
+   * @param {string} state - New state (one of CONNECTION_STATE)
+   * @param {string} reason - Why the state changed
+   * @param {Error} [error] - Error that caused the change
+   * @returns {boolean} - Whether the state changed
+   */
+  transition(state, reason, error) {
+    if (state === this.state) {
+      return false;
+    }
+
+    const now = Date.now();
+    const change = {
+      state,
+      previousState: this.state,
+      reason,
+      timestamp: new Date(now).toISOString(),
+      previousStateDuration: now - this.since
+    };
+    if (error) {
+      change.error = error;
+    }
+
+    this.state = state;
+    this.since = now;
+    this.onChange(change);
+
+    return true;
+  }
+}
+
+/**
+ * Application level heartbeats and stale data watchdog for an event connection
+ * Sends a heartbeat every `interval` ms and measures its round trip. Any activity (events or
+ * heartbeat replies) resets the watchdog; when nothing arrives for `staleTimeout` ms, `onStale` is called.
+ */
+class HeartbeatMonitor {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {number} options.interval - Heartbeat interval in ms (0 disables heartbeats)
+   * @param {number} options.staleTimeout - Silence in ms after which the connection is stale (0 disables the watchdog)
+   * @param {Function} options.send - Sends a heartbeat; receives a callback to call when the reply arrives
+   * @param {Function} options.onStale - Called with { lastActivityAt, silentFor } when the connection goes stale
+   */
+  constructor(options) {
+    this.interval = options.interval;
+    this.staleTimeout = options.staleTimeout;
+    this.send = options.send;
+    this.onStale = options.onStale;
+    this.latency = null;
+    this.lastHeartbeatAt = null;
+    this.lastActivityAt = null;
+    this.heartbeatTimer = null;
+    this.staleTimer = null;
+  }
+
+  /**
+   * Start sending heartbeats and watching for silence
+   */
+  start() {
+    this.stop();
+    this.touch();
+
+    if (this.interval > 0) {
+      this.heartbeatTimer = setInterval(() => this._beat(), this.interval);
+    }
+  }
+
+  /**
+   * Stop heartbeats and the watchdog
+   */
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.staleTimer);
+    this.heartbeatTimer = null;
+    this.staleTimer = null;
+  }
+
+  /**
+   * Record activity on the connection and restart the watchdog
+   */
+  touch() {
+    this.lastActivityAt = Date.now();
+
+    if (this.staleTimeout > 0) {
+      clearTimeout(this.staleTimer);
+      this.staleTimer = setTimeout(() => {
+        this.stop();
+        this.onStale({
+          lastActivityAt: new Date(this.lastActivityAt).toISOString(),
+          silentFor: Date.now() - this.lastActivityAt
+        });
+      }, this.staleTimeout);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _beat() {
+    const sentAt = Date.now();
+
+    this.send(() => {
+      this.latency = Date.now() - sentAt;
+      this.lastHeartbeatAt = Date.now();
+      this.touch();
+    });
+  }
+}
+
+module.exports = { CONNECTION_STATE, ConnectionStateMachine, HeartbeatMonitor };
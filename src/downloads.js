@@ -0,0 +1,306 @@
+/**
+ * File downloads for the Cybernate AI SDK
+ * Content is fetched from the file's signed URL (getFileUrl), straight from storage. The signed URL
+ * carries its own authorization, so no API key headers or middleware are applied to that request.
+ */
+
+const { CybernateError } = require('./errors');
+
+// Checksum field names and prefixes mapped to Node.js hash algorithms
+const CHECKSUM_ALGORITHMS = {
+  sha256: 'sha256',
+  'sha-256': 'sha256',
+  sha1: 'sha1',
+  'sha-1': 'sha1',
+  sha512: 'sha512',
+  'sha-512': 'sha512',
+  md5: 'md5'
+};
+
+/**
+ * Download a file as a stream
+ * @param {CybernateAI} client - Client performing the requests
+ * @param {string} fileId - File ID
+ * @param {Object} options - downloadFile() options
+ * @param {Object} requestOptions - Per-call request options
+ * @returns {Promise<Object>} - { stream, contentType, size, totalSize, partial, contentRange }
+ */
+async function downloadFile(client, fileId, options, requestOptions) {
+  const callOptions = options.signal ? { ...requestOptions, signal: options.signal } : requestOptions;
+  const path = `/storage/files/${fileId}`;
+
+  const { url } = await client.getFileUrl(fileId, options.expiresIn, callOptions);
+
+  const headers = {};
+  const range = formatRange(options.range);
+  if (range) {
+    headers['Range'] = range;
+  }
+
+  const { response, scope } = await client._withRetry('GET', path, callOptions,
+    () => client._fetchResponse(url, path, { method: 'GET', headers }, callOptions));
+
+  const contentLength = response.headers.get('Content-Length');
+  const contentRange = response.headers.get('Content-Range');
+  const size = contentLength !== null ? Number(contentLength) : null;
+  const partial = response.status === 206;
+
+  let totalSize = size;
+  if (partial) {
+    const match = contentRange && /\/(\d+)$/.exec(contentRange);
+    totalSize = match ? Number(match[1]) : null;
+  }
+
+  const startedAt = Date.now();
+  let bytesReceived = 0;
+  const onData = length => {
+    bytesReceived += length;
+    if (options.onProgress) {
+      const seconds = (Date.now() - startedAt) / 1000;
+      options.onProgress({
+        fileId,
+        bytesReceived,
+        totalBytes: size,
+        rate: seconds > 0 ? Math.round(bytesReceived / seconds) : 0
+      });
+    }
+  };
+
+  return {
+    stream: trackBody(response.body, onData, () => scope.cleanup()),
+    contentType: response.headers.get('Content-Type') || 'application/octet-stream',
+    size,
+    totalSize,
+    partial,
+    contentRange
+  };
+}
+
+/**
+ * Download a file to disk, verifying its size and checksum against the file info
+ * @param {CybernateAI} client - Client performing the requests
+ * @param {string} fileId - File ID
+ * @param {string} filePath - Destination path
+ * @param {Object} options - downloadFileTo() options
+ * @param {Object} requestOptions - Per-call request options
+ * @returns {Promise<Object>} - { path, size, contentType, checksum }
+ */
+async function downloadFileTo(client, fileId, filePath, options, requestOptions) {
+  let fs, crypto, stream;
+  try {
+    fs = require('fs');
+    crypto = require('crypto');
+    stream = require('stream');
+  } catch (e) {
+    throw new Error('downloadFileTo requires Node.js');
+  }
+
+  const callOptions = options.signal ? { ...requestOptions, signal: options.signal } : requestOptions;
+  const path = `/storage/files/${fileId}`;
+  const verify = options.verify !== false;
+
+  const info = verify ? await client.getFileInfo(fileId, callOptions) : null;
+  let expected = info ? readChecksum(info) : null;
+  if (expected && !crypto.getHashes().includes(expected.algorithm)) {
+    client.logger.warn(`Cannot verify ${expected.algorithm} checksum of file ${fileId}: algorithm not supported`);
+    expected = null;
+  }
+
+  const download = await downloadFile(client, fileId, {
+    signal: options.signal,
+    onProgress: options.onProgress,
+    expiresIn: options.expiresIn
+  }, requestOptions);
+
+  const hash = expected ? crypto.createHash(expected.algorithm) : null;
+  let size = 0;
+  const source = typeof download.stream.getReader === 'function'
+    ? stream.Readable.fromWeb(download.stream)
+    : download.stream;
+
+  // Write next to the destination and move into place once verified
+  const partPath = `${filePath}.download`;
+
+  try {
+    await new Promise((resolve, reject) => {
+      stream.pipeline(
+        source,
+        new stream.Transform({
+          transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (hash) {
+              hash.update(chunk);
+            }
+            callback(null, chunk);
+          }
+        }),
+        fs.createWriteStream(partPath),
+        error => (error ? reject(error) : resolve())
+      );
+    });
+
+    if (info && typeof info.size === 'number' && info.size !== size) {
+      throw new CybernateError(`Downloaded ${size} bytes of file ${fileId}, expected ${info.size}`, {
+        code: 'SIZE_MISMATCH',
+        method: 'GET',
+        path
+      });
+    }
+
+    let checksum = null;
+    if (hash) {
+      const digest = hash.digest();
+      const hex = digest.toString('hex');
+      // Storage providers report checksums in hex or base64
+      if (expected.value.toLowerCase() !== hex && expected.value !== digest.toString('base64')) {
+        throw new CybernateError(`${expected.algorithm} checksum mismatch for file ${fileId}`, {
+          code: 'CHECKSUM_MISMATCH',
+          method: 'GET',
+          path
+        });
+      }
+      checksum = { algorithm: expected.algorithm, value: hex, verified: true };
+    }
+
+    await fs.promises.rename(partPath, filePath);
+
+    return {
+      path: filePath,
+      size,
+      contentType: download.contentType,
+      checksum
+    };
+  } catch (error) {
+    await fs.promises.rm(partPath, { force: true });
+
+    if (callOptions.signal?.aborted && !(error instanceof CybernateError)) {
+      throw client._createAbortError('GET', path, callOptions.signal);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build a Range header value
+ * @param {Object|string} [range] - { start, end } (end inclusive, optional) or a `bytes=` header value
+ * @returns {string|null}
+ * @private
+ */
+function formatRange(range) {
+  if (range === undefined || range === null) {
+    return null;
+  }
+
+  if (typeof range === 'string') {
+    if (!range.startsWith('bytes=')) {
+      throw new Error('range must be { start, end } or a "bytes=" Range header value');
+    }
+    return range;
+  }
+
+  const { start = 0, end } = range;
+  if (!Number.isInteger(start) || start < 0 || (end !== undefined && (!Number.isInteger(end) || end < start))) {
+    throw new Error('range.start and range.end must be byte offsets with start <= end');
+  }
+
+  return `bytes=${start}-${end !== undefined ? end : ''}`;
+}
+
+/**
+ * Find the checksum in file info
+ * Accepts `checksum: 'sha256:<value>'`, `checksum` with `checksumAlgorithm`, `checksum: { algorithm, value }`
+ * or a field named after the algorithm (`sha256`, `md5`, ...).
+ * @param {Object} info - File info
+ * @returns {{algorithm: string, value: string}|null}
+ */
+function readChecksum(info) {
+  const { checksum } = info;
+
+  if (checksum && typeof checksum === 'object' && checksum.value) {
+    const algorithm = CHECKSUM_ALGORITHMS[String(checksum.algorithm || 'sha256').toLowerCase()];
+    return algorithm ? { algorithm, value: checksum.value } : null;
+  }
+
+  if (typeof checksum === 'string') {
+    const separator = checksum.indexOf(':');
+    if (separator !== -1) {
+      const algorithm = CHECKSUM_ALGORITHMS[checksum.slice(0, separator).toLowerCase()];
+      return algorithm ? { algorithm, value: checksum.slice(separator + 1) } : null;
+    }
+
+    const algorithm = CHECKSUM_ALGORITHMS[String(info.checksumAlgorithm || 'sha256').toLowerCase()];
+    return algorithm ? { algorithm, value: checksum } : null;
+  }
+
+  const field = Object.keys(CHECKSUM_ALGORITHMS).find(name => typeof info[name] === 'string');
+  return field ? { algorithm: CHECKSUM_ALGORITHMS[field], value: info[field] } : null;
+}
+
+/**
+ * Pass a response body through, counting bytes and reporting when it is finished
+ * @param {ReadableStream|Readable} body - Web or Node.js stream
+ * @param {Function} onData - Called with the length of each chunk
+ * @param {Function} onDone - Called once when the body ends, fails or is cancelled
+ * @returns {ReadableStream|Readable} - Stream of the same kind
+ * @private
+ */
+function trackBody(body, onData, onDone) {
+  let done = false;
+  const finish = () => {
+    if (!done) {
+      done = true;
+      onDone();
+    }
+  };
+
+  // Web stream (browsers, native fetch)
+  if (typeof body.getReader === 'function') {
+    const reader = body.getReader();
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          const { value, done: ended } = await reader.read();
+          if (ended) {
+            finish();
+            controller.close();
+            return;
+          }
+          onData(value.length);
+          controller.enqueue(value);
+        } catch (error) {
+          finish();
+          controller.error(error);
+        }
+      },
+      cancel(reason) {
+        finish();
+        return reader.cancel(reason);
+      }
+    });
+  }
+
+  // Node.js Readable
+  let stream;
+  try {
+    stream = require('stream');
+  } catch (e) {
+    throw new Error('Unsupported response body: expected a web or Node.js stream');
+  }
+
+  const { Transform, pipeline } = stream;
+  const tracked = new Transform({
+    transform(chunk, encoding, callback) {
+      onData(chunk.length);
+      callback(null, chunk);
+    }
+  });
+  pipeline(body, tracked, finish);
+
+  return tracked;
+}
+
+module.exports = {
+  downloadFile,
+  downloadFileTo,
+  readChecksum
+};
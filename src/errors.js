@@ -0,0 +1,186 @@
+/**
+ * Cybernate AI SDK error classes
+ * Every failure surfaced by the client is an instance of CybernateError, so callers
+ * can branch on the class (or `code`) instead of parsing messages.
+ */
+
+/**
+ * Base class for all SDK errors
+ */
+class CybernateError extends Error {
+  /**
+   * Create a new Cybernate error
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status code (if any)
+   * @param {string} [details.code] - Machine readable error code
+   * @param {string} [details.requestId] - Server request ID (if any)
+   * @param {string} [details.method] - HTTP method of the failed request
+   * @param {string} [details.path] - API path of the failed request
+   * @param {*} [details.body] - Parsed server response body
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+
+    // Class names are mangled in minified builds, so every class names itself
+    this.name = this.constructor.errorName;
+    this.status = details.status !== undefined ? details.status : null;
+    this.code = details.code || this.constructor.defaultCode;
+    this.requestId = details.requestId || null;
+    this.method = details.method || null;
+    this.path = details.path || null;
+    this.body = details.body !== undefined ? details.body : null;
+
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+}
+
+CybernateError.defaultCode = 'CYBERNATE_ERROR';
+CybernateError.errorName = 'CybernateError';
+
+/** 401 - missing or invalid API key */
+class CybernateAuthError extends CybernateError {}
+CybernateAuthError.defaultCode = 'AUTHENTICATION_FAILED';
+CybernateAuthError.errorName = 'CybernateAuthError';
+
+/** 403 - API key lacks permission for the resource */
+class CybernatePermissionError extends CybernateError {}
+CybernatePermissionError.defaultCode = 'PERMISSION_DENIED';
+CybernatePermissionError.errorName = 'CybernatePermissionError';
+
+/** 404 - resource or endpoint does not exist */
+class CybernateNotFoundError extends CybernateError {}
+CybernateNotFoundError.defaultCode = 'NOT_FOUND';
+CybernateNotFoundError.errorName = 'CybernateNotFoundError';
+
+/** 429 - rate limit exceeded */
+class CybernateRateLimitError extends CybernateError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Error details (see CybernateError)
+   * @param {number} [details.retryAfter] - Seconds to wait before retrying
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null;
+  }
+}
+CybernateRateLimitError.defaultCode = 'RATE_LIMITED';
+CybernateRateLimitError.errorName = 'CybernateRateLimitError';
+
+/** 400/409/422 - request was rejected as invalid */
+class CybernateValidationError extends CybernateError {}
+CybernateValidationError.defaultCode = 'VALIDATION_FAILED';
+CybernateValidationError.errorName = 'CybernateValidationError';
+
+/** 5xx - server side failure */
+class CybernateServerError extends CybernateError {}
+CybernateServerError.defaultCode = 'SERVER_ERROR';
+CybernateServerError.errorName = 'CybernateServerError';
+
+/** The request never produced a response (DNS, socket reset, offline...) */
+class CybernateNetworkError extends CybernateError {}
+CybernateNetworkError.defaultCode = 'NETWORK_ERROR';
+CybernateNetworkError.errorName = 'CybernateNetworkError';
+
+/** The request did not complete within the configured timeout */
+class CybernateTimeoutError extends CybernateError {}
+CybernateTimeoutError.defaultCode = 'TIMEOUT';
+CybernateTimeoutError.errorName = 'CybernateTimeoutError';
+
+/** The request was cancelled through the caller's AbortSignal */
+class CybernateAbortError extends CybernateError {}
+CybernateAbortError.defaultCode = 'ABORTED';
+CybernateAbortError.errorName = 'CybernateAbortError';
+
+/** A webhook delivery failed verification or could not be parsed */
+class CybernateWebhookError extends CybernateError {}
+CybernateWebhookError.defaultCode = 'WEBHOOK_INVALID';
+CybernateWebhookError.errorName = 'CybernateWebhookError';
+
+/**
+ * Build the error matching an HTTP error response
+ * @param {Object} response - Fetch response
+ * @param {*} body - Parsed response body
+ * @param {Object} context - Request context
+ * @param {string} context.method - HTTP method
+ * @param {string} context.path - API path
+ * @returns {CybernateError}
+ * @private
+ */
+function createHttpError(response, body, { method, path }) {
+  const status = response.status;
+  const data = body && typeof body === 'object' ? body : {};
+  const details = {
+    status,
+    code: typeof data.code === 'string' ? data.code : (typeof data.error === 'string' ? data.error : undefined),
+    requestId: response.headers.get('X-Request-Id') || data.requestId,
+    method,
+    path,
+    body
+  };
+  const serverMessage = data.message;
+
+  if (status === 401) {
+    return new CybernateAuthError(`Authentication failed: ${serverMessage || 'Invalid API key'}`, details);
+  } else if (status === 403) {
+    return new CybernatePermissionError(`Access forbidden: ${serverMessage || 'Insufficient permissions'}`, details);
+  } else if (status === 404) {
+    return new CybernateNotFoundError(`Not found: ${serverMessage || 'The requested resource was not found'}`, details);
+  } else if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    return new CybernateRateLimitError(`Rate limit exceeded: ${serverMessage || 'Too many requests'}`, {
+      ...details,
+      retryAfter
+    });
+  } else if (status === 400 || status === 409 || status === 422) {
+    return new CybernateValidationError(serverMessage || `Invalid request (HTTP ${status})`, details);
+  } else if (status >= 500) {
+    return new CybernateServerError(`Server error: ${serverMessage || 'Internal server error'}`, details);
+  }
+
+  return new CybernateError(serverMessage || `HTTP error ${status}`, details);
+}
+
+/**
+ * Parse a Retry-After header value into seconds
+ * @param {string|null} value - Header value (delta seconds or HTTP date)
+ * @returns {number|null}
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  return null;
+}
+
+module.exports = {
+  CybernateError,
+  CybernateAuthError,
+  CybernatePermissionError,
+  CybernateNotFoundError,
+  CybernateRateLimitError,
+  CybernateValidationError,
+  CybernateServerError,
+  CybernateNetworkError,
+  CybernateTimeoutError,
+  CybernateAbortError,
+  CybernateWebhookError,
+  createHttpError,
+  parseRetryAfter
+};
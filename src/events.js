@@ -0,0 +1,176 @@
+/**
+ * Async iteration over live events for the Cybernate AI SDK
+ */
+
+const { CybernateError, CybernateAbortError } = require('./errors');
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error'];
+
+/**
+ * Async iterator over the events a client dispatches
+ * Events are buffered until consumed; when the buffer is full the overflow policy decides
+ * whether the oldest or newest event is dropped, or the stream fails with STREAM_OVERFLOW.
+ * The listener is removed as soon as the stream ends (break, return(), close(), abort or error).
+ */
+class EventStream {
+  /**
+   * Create an event stream
+   * @param {CybernateAI} client - Client to read events from
+   * @param {string} eventType - Event type ('all' for every event)
+   * @param {Object} [options] - Stream options, plus any on() filter options
+   * @param {number} [options.bufferSize=100] - Max events buffered while the consumer is busy
+   * @param {string} [options.overflow='drop-oldest'] - 'drop-oldest', 'drop-newest' or 'error'
+   * @param {AbortSignal} [options.signal] - Ends the stream with a CybernateAbortError
+   */
+  constructor(client, eventType, options = {}) {
+    const { bufferSize = 100, overflow = 'drop-oldest', signal, ...listenerOptions } = options;
+
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new Error(`Invalid overflow policy "${overflow}". Expected one of: ${OVERFLOW_POLICIES.join(', ')}`);
+    }
+    if (!(bufferSize >= 1)) {
+      throw new Error('bufferSize must be at least 1');
+    }
+
+    this.client = client;
+    this.eventType = eventType;
+    this.bufferSize = bufferSize;
+    this.overflow = overflow;
+    this.signal = signal;
+    this.dropped = 0;
+    this.buffer = [];
+    this.waiting = null;
+    this.done = false;
+    this.error = null;
+
+    this.listener = eventData => this._push(eventData);
+    this.onAbort = () => this._fail(new CybernateAbortError(`Event stream for ${eventType} aborted`, {
+      cause: signal.reason
+    }));
+
+    if (signal && signal.aborted) {
+      this.onAbort();
+      return;
+    }
+
+    client.on(eventType, this.listener, Object.keys(listenerOptions).length > 0 ? listenerOptions : undefined);
+    if (signal) {
+      signal.addEventListener('abort', this.onAbort, { once: true });
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Get the next event, waiting for one if the buffer is empty
+   * @returns {Promise<{value: Object, done: boolean}>}
+   */
+  next() {
+    if (this.error) {
+      const error = this.error;
+      this.error = null;
+      return Promise.reject(error);
+    }
+
+    if (this.buffer.length > 0) {
+      return Promise.resolve({ value: this.buffer.shift(), done: false });
+    }
+
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * End the stream (called by `break` in a for await loop)
+   * @returns {Promise<{value: undefined, done: true}>}
+   */
+  return() {
+    this.close();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * Stop listening and discard buffered events
+   */
+  close() {
+    this._unsubscribe();
+    this.buffer = [];
+
+    if (this.waiting) {
+      this.waiting.resolve({ value: undefined, done: true });
+      this.waiting = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _push(eventData) {
+    if (this.done) {
+      return;
+    }
+
+    if (this.waiting) {
+      this.waiting.resolve({ value: eventData, done: false });
+      this.waiting = null;
+      return;
+    }
+
+    if (this.buffer.length >= this.bufferSize) {
+      if (this.overflow === 'error') {
+        this._fail(new CybernateError(`Event stream buffer overflowed (${this.bufferSize} events)`, {
+          code: 'STREAM_OVERFLOW'
+        }));
+        return;
+      }
+
+      this.dropped++;
+      if (this.overflow === 'drop-newest') {
+        return;
+      }
+      this.buffer.shift();
+    }
+
+    this.buffer.push(eventData);
+  }
+
+  /**
+   * End the stream with an error, thrown by the next call to next()
+   * @private
+   */
+  _fail(error) {
+    this._unsubscribe();
+    this.buffer = [];
+
+    if (this.waiting) {
+      this.waiting.reject(error);
+      this.waiting = null;
+    } else {
+      this.error = error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _unsubscribe() {
+    if (this.done) {
+      return;
+    }
+
+    this.done = true;
+    this.client.off(this.eventType, this.listener);
+    if (this.signal) {
+      this.signal.removeEventListener('abort', this.onAbort);
+    }
+  }
+}
+
+module.exports = { EventStream, OVERFLOW_POLICIES };
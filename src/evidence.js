@@ -0,0 +1,318 @@
+/**
+ * Evidence bundle export for the Cybernate AI SDK
+ * Packages an event, its stored files and its acknowledgement into a ZIP or tar archive:
+ *
+ *   event.json      - The event record
+ *   media/...       - Downloaded files (media: 'download')
+ *   manifest.json   - Export details, file list and the SHA-256 of every artifact
+ *   SHA256SUMS      - `sha256sum -c` compatible checksums of every entry, including the manifest
+ *
+ * The SHA-256 of manifest.json is returned as well; recording it outside the bundle (case file,
+ * ticket, email) makes any later change to the bundle detectable.
+ */
+
+const { CybernateError, CybernateNotFoundError } = require('./errors');
+const { createArchiveWriter, createMemorySink, createFileSink } = require('./archive');
+const { downloadFile, readChecksum } = require('./downloads');
+
+const MEDIA_MODES = ['download', 'url'];
+
+/**
+ * Export the evidence bundle of an event
+ * @param {CybernateAI} client - Client performing the requests
+ * @param {string} eventId - Event ID
+ * @param {Object} options - exportEvidence() options
+ * @param {Object} requestOptions - Per-call request options
+ * @returns {Promise<Object>} - { format, path, archive, size, manifest, manifestSha256 }
+ */
+async function exportEvidence(client, eventId, options, requestOptions) {
+  const { format = 'zip', media = 'download', output, expiresIn, metadata } = options;
+
+  if (!MEDIA_MODES.includes(media)) {
+    throw new Error(`Invalid media mode "${media}". Expected one of: ${MEDIA_MODES.join(', ')}`);
+  }
+
+  const event = await findEvent(client, eventId, requestOptions);
+
+  const files = [];
+  for await (const file of client.files.iterate({ eventId }, requestOptions)) {
+    files.push(file);
+  }
+
+  const sink = output ? createFileSink(output) : createMemorySink();
+  const writer = createArchiveWriter(format, sink);
+  const exportedAt = new Date();
+  const artifacts = [];
+  let size = 0;
+
+  // Entries are hashed while they are streamed into the archive
+  const addStream = async (path, chunks, expectedSize) => {
+    const hash = createSha256();
+    let length = 0;
+    const hashed = async function * () {
+      for await (const chunk of chunks) {
+        hash.update(chunk);
+        length += chunk.length;
+        yield chunk;
+      }
+    };
+
+    await writer.addStream(path, hashed(), { size: expectedSize, date: exportedAt });
+    size += length;
+    const artifact = { path, size: length, sha256: await hash.digest() };
+    artifacts.push(artifact);
+    return artifact;
+  };
+  const add = (path, data) => addStream(path, [data], data.length);
+
+  try {
+    await add('event.json', encodeJson(event));
+
+    const fileEntries = [];
+    for (const file of files) {
+      const entry = {
+        fileId: file.id,
+        fileName: file.fileName || null,
+        mimeType: file.mimeType || null,
+        size: file.size !== undefined ? file.size : null,
+        createdAt: file.createdAt || null
+      };
+
+      if (media === 'url') {
+        const signed = await client.getFileUrl(file.id, expiresIn, requestOptions);
+        entry.url = signed.url;
+        entry.urlExpiresAt = signed.expiresAt || null;
+      } else {
+        const download = await downloadFile(client, file.id, { expiresIn }, requestOptions);
+        let expectedSize = download.size !== null ? download.size : file.size;
+        let chunks = readChunks(download.stream);
+
+        // tar headers need the size up front; without one the file has to be read first
+        if (format === 'tar' && !Number.isInteger(expectedSize)) {
+          const data = await readAll(chunks);
+          chunks = [data];
+          expectedSize = data.length;
+        }
+
+        const artifact = await addStream(mediaPath(file), chunks, expectedSize);
+
+        // Only SHA-256 can be compared without hashing the file twice
+        const expected = readChecksum(file);
+        if (expected && expected.algorithm === 'sha256' && !checksumMatches(expected.value, artifact.sha256)) {
+          throw new CybernateError(`sha256 checksum mismatch for file ${file.id}`, {
+            code: 'CHECKSUM_MISMATCH',
+            method: 'GET',
+            path: `/storage/files/${file.id}`
+          });
+        }
+
+        entry.path = artifact.path;
+        entry.sha256 = artifact.sha256;
+      }
+
+      fileEntries.push(entry);
+    }
+
+    const manifest = {
+      version: 1,
+      eventId,
+      exportedAt: exportedAt.toISOString(),
+      exportedBy: {
+        userId: client.user?.id || null,
+        organizationId: client.organization?.id || null
+      },
+      metadata: metadata || null,
+      acknowledgement: readAcknowledgement(event),
+      media,
+      files: fileEntries,
+      artifacts: artifacts.slice()
+    };
+
+    const manifestArtifact = await add('manifest.json', encodeJson(manifest));
+    const sums = new TextEncoder().encode(artifacts.map(artifact => `${artifact.sha256}  ${artifact.path}\n`).join(''));
+    await writer.add('SHA256SUMS', sums, exportedAt);
+    size += sums.length;
+
+    await writer.finish();
+
+    return {
+      format,
+      path: output || null,
+      archive: output ? null : sink.bytes(),
+      size,
+      manifest,
+      manifestSha256: manifestArtifact.sha256
+    };
+  } catch (error) {
+    if (sink.abort) {
+      await sink.abort();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Look up a single event with queryEvents
+ * The ID is checked on the result, so a server ignoring the `eventId` filter cannot substitute another event.
+ * @private
+ */
+async function findEvent(client, eventId, requestOptions) {
+  const response = await client.queryEvents({ eventId, limit: 1 }, requestOptions);
+  const event = (response.events || []).find(candidate => candidate.id === eventId);
+
+  if (!event) {
+    throw new CybernateNotFoundError(`Event ${eventId} not found`, {
+      status: 404,
+      method: 'GET',
+      path: '/events'
+    });
+  }
+
+  return event;
+}
+
+/**
+ * @private
+ */
+function readAcknowledgement(event) {
+  if (!event.acknowledged && !event.acknowledgedAt) {
+    return null;
+  }
+
+  return {
+    acknowledged: !!event.acknowledged,
+    acknowledgedAt: event.acknowledgedAt || null,
+    acknowledgedBy: event.acknowledgedBy || null,
+    notes: event.acknowledgementNotes || event.notes || null
+  };
+}
+
+/**
+ * Archive path of a downloaded file, kept short and portable
+ * @private
+ */
+function mediaPath(file) {
+  const name = String(file.fileName || 'file')
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .slice(-60);
+
+  return `media/${String(file.id).replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 30)}-${name}`;
+}
+
+/**
+ * @private
+ */
+function checksumMatches(value, hex) {
+  if (value.toLowerCase() === hex) {
+    return true;
+  }
+
+  // base64 encoded digest
+  const bytes = hex.match(/../g).map(pair => parseInt(pair, 16));
+  return typeof btoa === 'function' && btoa(String.fromCharCode(...bytes)) === value;
+}
+
+/**
+ * @private
+ */
+function encodeJson(value) {
+  return new TextEncoder().encode(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Iterate the chunks of a web or Node.js stream as byte arrays
+ * @private
+ */
+async function * readChunks(stream) {
+  const toBytes = chunk => (typeof chunk === 'string'
+    ? new TextEncoder().encode(chunk)
+    : new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+
+  if (typeof stream.getReader !== 'function') {
+    for await (const chunk of stream) {
+      yield toBytes(chunk);
+    }
+    return;
+  }
+
+  const reader = stream.getReader();
+  let done = false;
+  try {
+    for (;;) {
+      const result = await reader.read();
+      if (result.done) {
+        done = true;
+        return;
+      }
+      yield toBytes(result.value);
+    }
+  } finally {
+    // Stopped early (failed write or size mismatch): release the download
+    if (!done) {
+      reader.cancel().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Read chunks into a single byte array
+ * @private
+ */
+async function readAll(chunks) {
+  const parts = [];
+  let length = 0;
+  for await (const chunk of chunks) {
+    parts.push(chunk);
+    length += chunk.length;
+  }
+
+  const result = new Uint8Array(length);
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+
+  return result;
+}
+
+/**
+ * Incremental SHA-256 hex digest, with Node's crypto module when available and Web Crypto otherwise
+ * Web Crypto cannot hash incrementally, so there the data is kept until digest() is called.
+ * @returns {{update: Function, digest: Function}}
+ * @private
+ */
+function createSha256() {
+  let nodeCrypto = null;
+  try {
+    nodeCrypto = require('crypto');
+  } catch (e) {
+    // Not running in Node.js
+  }
+
+  if (nodeCrypto && typeof nodeCrypto.createHash === 'function') {
+    const hash = nodeCrypto.createHash('sha256');
+    return {
+      update: bytes => hash.update(bytes),
+      digest: async () => hash.digest('hex')
+    };
+  }
+
+  const subtle = typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) {
+    throw new Error('No SHA-256 implementation available (requires Node.js crypto or Web Crypto)');
+  }
+
+  const parts = [];
+  return {
+    update: bytes => parts.push(bytes),
+    digest: async () => {
+      const digest = await subtle.digest('SHA-256', await readAll(parts));
+      return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+    }
+  };
+}
+
+module.exports = { exportEvidence };
@@ -0,0 +1,216 @@
+/**
+ * Listener filtering and rate shaping for the Cybernate AI SDK
+ * Wraps an `on()` callback so events are filtered and rate limited before the callback runs.
+ */
+
+const LISTENER_OPTIONS = [
+  'objectTypes',
+  'minConfidence',
+  'entityIds',
+  'zone',
+  'filter',
+  'throttle',
+  'debounce',
+  'dedupe'
+];
+
+/**
+ * Wrap a listener callback with filter and rate shaping options
+ * Filters run first, then the track ID dedupe, then throttle or debounce.
+ * @param {Function} callback - Listener callback
+ * @param {Object} [options] - Listener options
+ * @param {string|string[]} [options.objectTypes] - Only events with an object of one of these types
+ * @param {number} [options.minConfidence] - Only events with an object at or above this confidence
+ * @param {string|string[]} [options.entityIds] - Only events for these watcher, stream, device or business IDs
+ * @param {Object} [options.zone] - Only events with an object whose bounding box centre lies in this box ({ x, y, width, height })
+ * @param {Function} [options.filter] - Predicate receiving the event; return false to skip it
+ * @param {number} [options.throttle] - Deliver at most one event per this many milliseconds
+ * @param {number} [options.debounce] - Deliver only the last event after this many quiet milliseconds
+ * @param {number} [options.dedupe] - Skip events whose track IDs were all seen within this many milliseconds
+ * @param {Function} [onError] - Receives errors thrown by debounced deliveries, which run outside the dispatch loop
+ * @returns {Function} - Listener to register; `listener.callback` is the original callback and `listener.cancel()` drops pending deliveries
+ */
+function createListener(callback, options = {}, onError = () => {}) {
+  const unknown = Object.keys(options).filter(key => !LISTENER_OPTIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown listener option(s): ${unknown.join(', ')}`);
+  }
+  if (options.throttle && options.debounce) {
+    throw new Error('throttle and debounce cannot be combined');
+  }
+  if (options.filter !== undefined && typeof options.filter !== 'function') {
+    throw new Error('filter must be a function');
+  }
+
+  const objectTypes = toList(options.objectTypes);
+  const entityIds = toList(options.entityIds);
+  const seenTracks = new Map();
+  let lastDelivery = 0;
+  let debounceTimer = null;
+
+  const matchesObject = object => (
+    (!objectTypes || objectTypes.includes(object.name || object.type)) &&
+    (options.minConfidence === undefined || (object.confidence || 0) >= options.minConfidence) &&
+    (!options.zone || inZone(object.boundingBox, options.zone))
+  );
+
+  const accepts = eventData => {
+    if (entityIds && !eventEntityIds(eventData).some(id => entityIds.includes(id))) {
+      return false;
+    }
+
+    if ((objectTypes || options.minConfidence !== undefined || options.zone) &&
+      !eventObjects(eventData).some(matchesObject)) {
+      return false;
+    }
+
+    return !options.filter || !!options.filter(eventData);
+  };
+
+  // Sliding window: every sighting of a track extends its window
+  const isDuplicate = eventData => {
+    const trackIds = eventTrackIds(eventData);
+    if (trackIds.length === 0) {
+      return false;
+    }
+
+    const now = Date.now();
+    seenTracks.forEach((seenAt, trackId) => {
+      if (now - seenAt >= options.dedupe) {
+        seenTracks.delete(trackId);
+      }
+    });
+
+    const duplicate = trackIds.every(trackId => seenTracks.has(trackId));
+    trackIds.forEach(trackId => seenTracks.set(trackId, now));
+
+    return duplicate;
+  };
+
+  const listener = eventData => {
+    if (!accepts(eventData)) {
+      return;
+    }
+
+    if (options.dedupe && isDuplicate(eventData)) {
+      return;
+    }
+
+    if (options.debounce) {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        debounceTimer = null;
+        try {
+          callback(eventData);
+        } catch (error) {
+          onError(error);
+        }
+      }, options.debounce);
+      return;
+    }
+
+    if (options.throttle) {
+      const now = Date.now();
+      if (now - lastDelivery < options.throttle) {
+        return;
+      }
+      lastDelivery = now;
+    }
+
+    return callback(eventData);
+  };
+
+  listener.callback = callback;
+  listener.cancel = () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+  };
+
+  return listener;
+}
+
+/**
+ * Check whether a registered listener belongs to a callback
+ * @param {Function} listener - Registered listener
+ * @param {Function} callback - Callback passed to on()
+ * @returns {boolean}
+ */
+function isListenerFor(listener, callback) {
+  return listener === callback || listener.callback === callback;
+}
+
+/**
+ * Objects of an event; events without an `objects` array are treated as a single object
+ * @param {Object} eventData - Event data
+ * @returns {Object[]}
+ */
+function eventObjects(eventData) {
+  if (Array.isArray(eventData.objects) && eventData.objects.length > 0) {
+    return eventData.objects;
+  }
+
+  return [{
+    name: eventData.objectType,
+    confidence: eventData.confidence,
+    boundingBox: eventData.boundingBox
+  }];
+}
+
+/**
+ * @private
+ */
+function eventEntityIds(eventData) {
+  return [eventData.watcherId, eventData.entityId, eventData.streamId, eventData.deviceId, eventData.businessId]
+    .filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function eventTrackIds(eventData) {
+  const trackIds = Array.isArray(eventData.objects)
+    ? eventData.objects.map(object => object.trackId).filter(Boolean)
+    : [];
+
+  if (eventData.trackId) {
+    trackIds.push(eventData.trackId);
+  }
+
+  return trackIds;
+}
+
+/**
+ * Check whether the centre of a bounding box lies in a zone
+ * @param {Object} [box] - Object bounding box ({ x, y, width, height })
+ * @param {Object} zone - Zone ({ x, y, width, height })
+ * @returns {boolean}
+ */
+function inZone(box, zone) {
+  if (!box) {
+    return false;
+  }
+
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+
+  return centerX >= zone.x && centerX <= zone.x + zone.width &&
+    centerY >= zone.y && centerY <= zone.y + zone.height;
+}
+
+/**
+ * @private
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  createListener,
+  isListenerFor,
+  eventObjects,
+  inZone
+};
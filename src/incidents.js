@@ -0,0 +1,327 @@
+/**
+ * Incident correlation for the Cybernate AI SDK
+ * Groups related `detection` events into incidents per entity (stream, device or business),
+ * so a burst of detections produces one incident instead of one alert per frame.
+ *
+ * Rules:
+ *   { type: 'count', count: 5, within: 10000 }             - N matching detections within M ms
+ *   { type: 'sequence', zones: [zoneA, zoneB], within: 30000 } - detections in each zone, in order, within M ms
+ * Both accept `name`, `objectTypes` and `minConfidence` to restrict the detections they consider.
+ *
+ * Incidents are emitted on the client as `incident.opened`, `incident.updated` and `incident.closed`.
+ */
+
+const { eventObjects, inZone } = require('./filters');
+
+const INCIDENT_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+const RULE_TYPES = ['count', 'sequence'];
+
+let incidentCounter = 0;
+
+class IncidentCorrelator {
+  /**
+   * Create a correlator
+   * @param {CybernateAI} client - Client whose detections are correlated
+   * @param {Object} options - Correlator options
+   * @param {Object[]} options.rules - Correlation rules (see above)
+   * @param {number} [options.closeAfter=60000] - Close an incident after this many ms without a related detection
+   * @param {boolean} [options.acknowledgeOnResolve=false] - Acknowledge the member events when an incident is resolved
+   * @param {number} [options.maxClosed=100] - Closed incidents kept for getIncidents() and resolve(); older ones are dropped
+   */
+  constructor(client, options = {}) {
+    if (!Array.isArray(options.rules) || options.rules.length === 0) {
+      throw new Error('At least one correlation rule is required');
+    }
+
+    this.client = client;
+    this.rules = options.rules.map((rule, index) => normalizeRule(rule, index));
+    this.closeAfter = options.closeAfter || 60000;
+    this.acknowledgeOnResolve = !!options.acknowledgeOnResolve;
+    this.maxClosed = options.maxClosed !== undefined ? options.maxClosed : 100;
+    this.incidents = new Map();
+    this.closedIds = [];
+    this.running = false;
+
+    // Per rule and entity: matching detections (count) or partial sequences (sequence)
+    this.state = new Map();
+    this.timers = new Map();
+    this.listener = eventData => this._process(eventData);
+  }
+
+  /**
+   * Start correlating the client's detection events
+   * @returns {IncidentCorrelator} - The correlator, for chaining
+   */
+  start() {
+    if (!this.running) {
+      this.client.on('detection', this.listener);
+      this.running = true;
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop correlating; open incidents stay open but no longer close on their own
+   * @returns {IncidentCorrelator} - The correlator, for chaining
+   */
+  stop() {
+    if (this.running) {
+      this.client.off('detection', this.listener);
+      this.running = false;
+    }
+
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.state.clear();
+
+    return this;
+  }
+
+  /**
+   * List incidents
+   * @param {Object} [query] - Query
+   * @param {string} [query.status] - 'open' or 'closed'
+   * @returns {Object[]}
+   */
+  getIncidents(query = {}) {
+    return Array.from(this.incidents.values())
+      .filter(incident => !query.status || incident.status === query.status);
+  }
+
+  /**
+   * Resolve an incident, closing it and optionally acknowledging its member events
+   * @param {string} incidentId - Incident ID
+   * @param {string} [notes] - Resolution notes, also used when acknowledging events
+   * @returns {Promise<Object>} - The closed incident; `acknowledgeErrors` lists events that failed to acknowledge
+   */
+  async resolve(incidentId, notes = '') {
+    const incident = this.incidents.get(incidentId);
+    if (!incident) {
+      throw new Error(`Unknown incident ${incidentId}`);
+    }
+
+    if (incident.status === INCIDENT_STATUS.OPEN) {
+      this._close(incident, 'resolved', notes);
+    }
+
+    if (this.acknowledgeOnResolve) {
+      incident.acknowledgeErrors = [];
+      for (const event of incident.events) {
+        if (!event.id) {
+          continue;
+        }
+        try {
+          await this.client.acknowledgeEvent(event.id, notes);
+        } catch (error) {
+          this.client.logger.warn(`Failed to acknowledge event ${event.id} of incident ${incident.id}:`, error.message);
+          incident.acknowledgeErrors.push({ eventId: event.id, error });
+        }
+      }
+    }
+
+    return incident;
+  }
+
+  /**
+   * Feed a detection through every rule
+   * @param {Object} eventData - Detection event
+   * @private
+   */
+  _process(eventData) {
+    const entityId = eventData.entityId || eventData.streamId || eventData.deviceId ||
+      eventData.businessId || eventData.watcherId;
+    if (!entityId) {
+      return;
+    }
+
+    const time = Date.parse(eventData.timestamp) || Date.now();
+
+    this.rules.forEach(rule => {
+      const objects = eventObjects(eventData).filter(object =>
+        (!rule.objectTypes || rule.objectTypes.includes(object.name || object.type)) &&
+        (rule.minConfidence === undefined || (object.confidence || 0) >= rule.minConfidence)
+      );
+      if (objects.length === 0) {
+        return;
+      }
+
+      const open = this._findOpen(rule, entityId);
+      if (open) {
+        this._update(open, eventData);
+        return;
+      }
+
+      const key = `${rule.name}:${entityId}`;
+      const matched = rule.type === 'count'
+        ? this._matchCount(rule, key, eventData, time)
+        : this._matchSequence(rule, key, eventData, time, objects);
+
+      if (matched) {
+        this.state.delete(key);
+        this._open(rule, entityId, matched);
+      }
+    });
+  }
+
+  /**
+   * @returns {Object[]|null} - Member events once `count` detections fall within the window
+   * @private
+   */
+  _matchCount(rule, key, eventData, time) {
+    const recent = (this.state.get(key) || []).filter(entry => time - entry.time <= rule.within);
+    recent.push({ time, event: eventData });
+    this.state.set(key, recent);
+
+    return recent.length >= rule.count ? recent.map(entry => entry.event) : null;
+  }
+
+  /**
+   * @returns {Object[]|null} - Member events once every zone was visited in order within the window
+   * @private
+   */
+  _matchSequence(rule, key, eventData, time, objects) {
+    const hits = rule.zones.map(zone => objects.some(object => inZone(object.boundingBox, zone)));
+    const progress = (this.state.get(key) || []).filter(entry => time - entry.startedAt <= rule.within);
+
+    for (const entry of progress) {
+      if (hits[entry.step]) {
+        entry.step++;
+        entry.events.push(eventData);
+        if (entry.step === rule.zones.length) {
+          return entry.events;
+        }
+      }
+    }
+
+    if (hits[0]) {
+      if (rule.zones.length === 1) {
+        return [eventData];
+      }
+      progress.push({ step: 1, startedAt: time, events: [eventData] });
+    }
+
+    this.state.set(key, progress);
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _findOpen(rule, entityId) {
+    return Array.from(this.incidents.values()).find(incident =>
+      incident.status === INCIDENT_STATUS.OPEN && incident.rule === rule.name && incident.entityId === entityId
+    );
+  }
+
+  /**
+   * @private
+   */
+  _open(rule, entityId, events) {
+    const now = new Date().toISOString();
+    const incident = {
+      id: `inc_${Date.now().toString(36)}_${++incidentCounter}`,
+      rule: rule.name,
+      entityId,
+      status: INCIDENT_STATUS.OPEN,
+      events: events.slice(),
+      openedAt: now,
+      updatedAt: now,
+      closedAt: null,
+      closeReason: null
+    };
+
+    this.incidents.set(incident.id, incident);
+    this._scheduleClose(incident);
+    this.client._emit('incident.opened', incident);
+  }
+
+  /**
+   * @private
+   */
+  _update(incident, eventData) {
+    incident.events.push(eventData);
+    incident.updatedAt = new Date().toISOString();
+    this._scheduleClose(incident);
+    this.client._emit('incident.updated', incident);
+  }
+
+  /**
+   * @private
+   */
+  _close(incident, reason, notes) {
+    clearTimeout(this.timers.get(incident.id));
+    this.timers.delete(incident.id);
+
+    incident.status = INCIDENT_STATUS.CLOSED;
+    incident.closedAt = new Date().toISOString();
+    incident.closeReason = reason;
+    if (notes) {
+      incident.notes = notes;
+    }
+
+    // Keep the history bounded for long-running correlators
+    this.closedIds.push(incident.id);
+    while (this.closedIds.length > this.maxClosed) {
+      this.incidents.delete(this.closedIds.shift());
+    }
+
+    this.client._emit('incident.closed', incident);
+  }
+
+  /**
+   * (Re)start the idle timer closing an incident
+   * @private
+   */
+  _scheduleClose(incident) {
+    clearTimeout(this.timers.get(incident.id));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(incident.id);
+      this._close(incident, 'timeout');
+    }, this.closeAfter);
+
+    // Do not keep Node.js processes alive just to close incidents
+    if (timer && typeof timer.unref === 'function') {
+      timer.unref();
+    }
+
+    this.timers.set(incident.id, timer);
+  }
+}
+
+/**
+ * Validate a rule and fill in defaults
+ * @param {Object} rule - Rule
+ * @param {number} index - Position of the rule (used for the default name)
+ * @returns {Object}
+ * @private
+ */
+function normalizeRule(rule, index) {
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw new Error(`Invalid rule type "${rule.type}". Expected one of: ${RULE_TYPES.join(', ')}`);
+  }
+  if (!(rule.within > 0)) {
+    throw new Error('Rule "within" must be a positive number of milliseconds');
+  }
+  if (rule.type === 'count' && !(rule.count >= 1)) {
+    throw new Error('Count rules require a "count" of at least 1');
+  }
+  if (rule.type === 'sequence' && (!Array.isArray(rule.zones) || rule.zones.length === 0)) {
+    throw new Error('Sequence rules require at least one zone');
+  }
+
+  return {
+    ...rule,
+    name: rule.name || `${rule.type}-${index + 1}`,
+    objectTypes: rule.objectTypes === undefined || Array.isArray(rule.objectTypes)
+      ? rule.objectTypes
+      : [rule.objectTypes]
+  };
+}
+
+module.exports = { IncidentCorrelator, INCIDENT_STATUS };
@@ -0,0 +1,1302 @@
+// Type definitions for cybernate-ai
+
+// ===== CLIENT OPTIONS =====
+
+export interface RetryPolicy {
+  /** Max attempts including the first one (default: 3) */
+  maxAttempts?: number;
+  /** Initial backoff delay in ms (default: 500) */
+  baseDelay?: number;
+  /** Max backoff delay in ms (default: 10000) */
+  maxDelay?: number;
+  /** Randomize backoff delays (default: true) */
+  jitter?: boolean;
+  /** HTTP statuses to retry (default: 408, 429, 500, 502, 503, 504) */
+  statuses?: number[];
+  /** HTTP methods retried without an idempotency key (default: GET, PUT, DELETE) */
+  methods?: string[];
+  /** Retry network errors and timeouts (default: true) */
+  retryNetworkErrors?: boolean;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface Logger {
+  debug(...args: unknown[]): void;
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+export interface CybernateOptions {
+  /** API base URL (defaults to Cybernate production API) */
+  baseUrl?: string;
+  /** Request timeout in milliseconds (default: 30000) */
+  timeout?: number;
+  /** Auto reconnect on connection failure (default: true) */
+  autoReconnect?: boolean;
+  /** Enable WebSocket connections (default: true) */
+  enableWebSocket?: boolean;
+  /** Max reconnection attempts (default: 5) */
+  reconnectAttempts?: number;
+  /** Delay between reconnection attempts in ms (default: 1000) */
+  reconnectDelay?: number;
+  /** Retry policy for API requests, or false to disable retries */
+  retry?: RetryPolicy | boolean;
+  /** Max API requests in flight (default: unlimited) */
+  maxConcurrency?: number;
+  /** Queue requests while the rate limit is exhausted (default: true) */
+  throttleRequests?: boolean;
+  /** Logger with debug/info/warn/error methods (default: console) */
+  logger?: Partial<Logger>;
+  /** Minimum log level (default: 'warn') */
+  logLevel?: LogLevel;
+  /** Include request/response bodies in debug logs (default: false) */
+  logBodies?: boolean;
+  /** Backfill events missed while the socket was down (default: true) */
+  replayOnReconnect?: boolean;
+  /** Max events replayed after a reconnect (default: 1000) */
+  replayMaxEvents?: number;
+  /** Queue calls while the API is unreachable and replay them later, or true for an in-memory queue (default: disabled) */
+  offline?: OfflineOptions | boolean;
+  /** Store persisting created watchers (default: MemoryWatcherStore) */
+  watcherStore?: WatcherStore;
+  /** Socket heartbeat interval in ms, 0 to disable (default: 0) */
+  heartbeatInterval?: number;
+  /** Reconnect the socket after this many ms without events or heartbeats, 0 to disable (default: 0) */
+  staleTimeout?: number;
+  /** Event transport: 'socket.io' (default), 'sse' or a custom transport factory */
+  transport?: 'socket.io' | 'sse' | TransportFactory;
+  /** Path of the Server-Sent Events endpoint (default: '/events/stream') */
+  ssePath?: string;
+  /** HTTP polling used while the event socket is unavailable, or false to disable */
+  polling?: PollingOptions | false;
+  /** Watcher reconciliation run by connect(), or false to disable */
+  reconcileWatchers?: WatcherReconcilePolicy | false;
+}
+
+export interface TransportOptions {
+  baseUrl: string;
+  apiKey: string;
+  /** ID of the last event received, to resume from */
+  lastEventId: string | null;
+  reconnection: boolean;
+  reconnectionAttempts: number;
+  reconnectionDelay: number;
+  timeout: number;
+  ssePath: string;
+}
+
+/** Subset of the socket.io client socket API the SDK relies on */
+export interface EventTransport {
+  readonly connected: boolean;
+  /** Events: connect, disconnect, connect_error, error, event, notification, system, heartbeat */
+  on(event: string, handler: (...args: any[]) => void): unknown;
+  emit(event: string, data?: unknown, ack?: (reply?: unknown) => void): unknown;
+  disconnect(): unknown;
+  /** Optional manager emitting 'reconnect_failed' */
+  io?: { on(event: 'reconnect_failed', handler: () => void): unknown };
+}
+
+export type TransportFactory = (options: TransportOptions) => EventTransport;
+
+export interface PollingOptions {
+  /** Delay between polls in ms (default: 5000) */
+  interval?: number;
+  /** Max events fetched per poll (default: 500) */
+  maxEvents?: number;
+  /** Cursor endpoint polled as `GET <cursorPath>?cursor=<cursor>` returning `{ events, cursor }` instead of queryEvents */
+  cursorPath?: string;
+}
+
+/** Options accepted as the last argument of every API method */
+export interface RequestOptions {
+  /** Retry policy override for this call, or false to disable retries */
+  retry?: RetryPolicy | boolean;
+  /** Sent as the Idempotency-Key header; makes POST requests retryable */
+  idempotencyKey?: string;
+  /** Signal to cancel the request, including pending retries */
+  signal?: AbortSignal;
+  /** Per-attempt timeout override in milliseconds */
+  timeout?: number;
+  /** In offline mode, whether this mutating call may be queued (default: true for queueable methods) */
+  queue?: boolean;
+}
+
+// ===== COMMON SHAPES =====
+
+export interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages?: number;
+  [key: string]: unknown;
+}
+
+export interface BoundingBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface DetectedObject {
+  name: string;
+  confidence?: number;
+  boundingBox?: BoundingBox;
+  trackId?: string;
+  [key: string]: unknown;
+}
+
+export interface User {
+  id: string;
+  name?: string;
+  email?: string;
+  [key: string]: unknown;
+}
+
+export interface Organization {
+  id: string;
+  name?: string;
+  [key: string]: unknown;
+}
+
+export interface ConnectResult {
+  connected: boolean;
+  user: User;
+  organization: Organization;
+  websocketEnabled: boolean;
+  /** Result of the watcher reconciliation (null when disabled or failed) */
+  watchers: WatcherReconcileResult | null;
+}
+
+export type ConnectionState =
+  | 'idle'
+  | 'authenticating'
+  | 'connected'
+  | 'degraded-http-only'
+  | 'reconnecting'
+  | 'disconnected'
+  | 'failed';
+
+export const CONNECTION_STATE: {
+  IDLE: 'idle';
+  AUTHENTICATING: 'authenticating';
+  CONNECTED: 'connected';
+  DEGRADED: 'degraded-http-only';
+  RECONNECTING: 'reconnecting';
+  DISCONNECTED: 'disconnected';
+  FAILED: 'failed';
+};
+
+export interface ConnectionStateChangeEvent {
+  state: ConnectionState;
+  previousState: ConnectionState;
+  /** e.g. 'connect', 'authenticated', 'websocket_failed', 'transport close', 'reconnect_failed', 'client_disconnect' */
+  reason: string;
+  /** ISO time of the transition */
+  timestamp: string;
+  /** Milliseconds spent in the previous state */
+  previousStateDuration: number;
+  error?: Error;
+}
+
+export interface ConnectionStatus {
+  state: ConnectionState;
+  /** ISO time the current state was entered */
+  stateSince: string;
+  isConnected: boolean;
+  websocketConnected: boolean;
+  websocketEnabled: boolean;
+  /** Transport currently delivering events */
+  transport: 'websocket' | 'sse' | 'custom' | 'polling' | null;
+  reconnectCount: number;
+  activeWatchers: number;
+  /** Round trip of the last heartbeat in ms */
+  latency: number | null;
+  lastHeartbeatAt: string | null;
+  /** Last event or heartbeat received on the socket */
+  lastActivityAt: string | null;
+}
+
+export interface StaleEvent {
+  lastActivityAt: string;
+  /** Milliseconds without events or heartbeats */
+  silentFor: number;
+}
+
+export interface RateLimitInfo {
+  limit: number;
+  remaining: number;
+  /** Reset value as reported by the server */
+  reset: number;
+  /** Time the window resets (ms since epoch) */
+  resetAt: number;
+}
+
+export interface RateLimitEvent extends RateLimitInfo {
+  /** Requests waiting in the client side queue */
+  queued: number;
+  /** Seconds requested by a 429 Retry-After header */
+  retryAfter?: number;
+}
+
+// ===== EVENTS =====
+
+export interface DetectionSettings {
+  /** Detection sensitivity (0-1) */
+  sensitivityLevel?: number;
+  /** Object types to detect */
+  objectTypes?: string[];
+  [key: string]: unknown;
+}
+
+export interface NotificationSettings {
+  method: 'socket' | 'webhook' | string;
+  webhookUrl?: string;
+  [key: string]: unknown;
+}
+
+export interface WatchOptions {
+  streamUrl?: string;
+  deviceId?: string;
+  businessId?: string;
+  name?: string;
+  detectionSettings?: DetectionSettings;
+  notificationSettings?: NotificationSettings;
+  /** Identifies the watcher; derived from the target and detection settings if omitted */
+  idempotencyKey?: string;
+  /** Create a new watcher even if a matching one already exists */
+  force?: boolean;
+}
+
+export interface WatchResponse {
+  watcherId: string;
+  type: 'stream' | 'device' | 'business' | string;
+  entityId: string;
+  [key: string]: unknown;
+}
+
+export interface WatcherInfo {
+  id: string;
+  type: 'stream' | 'device' | 'business' | string;
+  entityId: string;
+  createdAt?: Date | string;
+  [key: string]: unknown;
+}
+
+export interface EventQuery {
+  streamId?: string;
+  deviceId?: string;
+  businessId?: string;
+  eventType?: string;
+  objectType?: string;
+  startDate?: string;
+  endDate?: string;
+  page?: number;
+  limit?: number;
+  [key: string]: unknown;
+}
+
+export interface CybernateEvent {
+  id?: string;
+  eventType?: string;
+  watcherId?: string;
+  entityId?: string;
+  streamId?: string;
+  deviceId?: string;
+  businessId?: string;
+  timestamp?: string;
+  acknowledged?: boolean;
+  /** True when the event was backfilled after a reconnect */
+  replayed?: boolean;
+  [key: string]: unknown;
+}
+
+export interface DetectionEvent extends CybernateEvent {
+  eventType?: 'detection';
+  objects: DetectedObject[];
+  confidence?: number;
+}
+
+export interface AlertEvent extends CybernateEvent {
+  eventType: 'alert';
+  severity?: number | string;
+  message?: string;
+}
+
+export interface ConnectionLostEvent extends CybernateEvent {
+  eventType: 'connection_lost';
+  reason?: string;
+}
+
+export interface NotificationEvent extends CybernateEvent {
+  eventType: 'notification';
+  title?: string;
+  message?: string;
+  category?: string;
+  priority?: string;
+}
+
+export interface SystemEvent extends CybernateEvent {
+  eventType: 'system';
+}
+
+export interface EventQueryResult {
+  events: CybernateEvent[];
+  pagination: Pagination;
+}
+
+export interface EventStatistics {
+  totalEvents: number;
+  byType?: Record<string, number>;
+  byObjectType?: Record<string, number>;
+  [key: string]: unknown;
+}
+
+// ===== WEBHOOKS =====
+
+export interface WebhookConfig {
+  url: string;
+  events?: string[];
+}
+
+export interface Webhook {
+  id: string;
+  url: string;
+  events: string[];
+  [key: string]: unknown;
+}
+
+export interface WebhookTestResult {
+  success: boolean;
+  status?: number;
+  [key: string]: unknown;
+}
+
+// ===== STORAGE =====
+
+export interface UploadFileOptions {
+  /** Blob, bytes, file path (Node.js) or readable stream such as a Node.js Readable */
+  file: Blob | ArrayBuffer | Uint8Array | string | AsyncIterable<Uint8Array | string>;
+  /** Required unless `file` is a file path */
+  fileName?: string;
+  eventId?: string;
+  streamId?: string;
+  deviceId?: string;
+  businessId?: string;
+  metadata?: Record<string, unknown>;
+  isPublic?: boolean;
+  /** Chunk size in bytes; enables chunked upload (default: 8 MiB) */
+  chunkSize?: number;
+  /** Resume the chunked upload session with this ID */
+  uploadId?: string;
+  /** Called after each chunk; enables chunked upload */
+  onProgress?: (progress: UploadProgress) => void;
+  /** Retry policy for each chunk (default: client retry policy) */
+  chunkRetry?: RetryPolicy | boolean;
+  /** Size in bytes of a stream, if known */
+  size?: number;
+  contentType?: string;
+}
+
+export interface UploadProgress {
+  uploadId: string;
+  bytesSent: number;
+  /** null for streams of unknown size */
+  totalBytes: number | null;
+  /** Bytes per second since the upload (or resume) started */
+  rate: number;
+}
+
+export interface FileInfo {
+  id: string;
+  fileName: string;
+  mimeType?: string;
+  size?: number;
+  url?: string;
+  eventId?: string;
+  streamId?: string;
+  deviceId?: string;
+  businessId?: string;
+  metadata?: Record<string, unknown>;
+  isPublic?: boolean;
+  createdAt?: string;
+  /** 'sha256:<hex>', or the value for `checksumAlgorithm`; downloadFileTo() also reads `sha256` and `md5` fields */
+  checksum?: string | { algorithm?: string; value: string };
+  checksumAlgorithm?: string;
+  [key: string]: unknown;
+}
+
+export interface FileQuery {
+  eventId?: string;
+  streamId?: string;
+  deviceId?: string;
+  businessId?: string;
+  startDate?: string;
+  endDate?: string;
+  mimeType?: string;
+  page?: number;
+  limit?: number;
+  [key: string]: unknown;
+}
+
+export interface FileQueryResult {
+  files: FileInfo[];
+  pagination: Pagination;
+}
+
+export interface FileUrlResponse {
+  url: string;
+  expiresAt?: string;
+  [key: string]: unknown;
+}
+
+export interface ExportEvidenceOptions {
+  /** Archive format (default: 'zip') */
+  format?: 'zip' | 'tar';
+  /** 'download' includes the files, 'url' lists signed URLs instead (default: 'download') */
+  media?: 'download' | 'url';
+  /** Lifetime of signed URLs in seconds (default: 3600) */
+  expiresIn?: number;
+  /** Write the archive to this path (Node.js) instead of returning it */
+  output?: string;
+  /** Extra details recorded in the manifest */
+  metadata?: Record<string, unknown>;
+}
+
+export interface EvidenceArtifact {
+  path: string;
+  size: number;
+  sha256: string;
+}
+
+export interface EvidenceFile {
+  fileId: string;
+  fileName: string | null;
+  mimeType: string | null;
+  size: number | null;
+  createdAt: string | null;
+  /** Archive path and checksum (media: 'download') */
+  path?: string;
+  sha256?: string;
+  /** Signed URL (media: 'url') */
+  url?: string;
+  urlExpiresAt?: string | null;
+}
+
+export interface EvidenceManifest {
+  version: 1;
+  eventId: string;
+  exportedAt: string;
+  exportedBy: { userId: string | null; organizationId: string | null };
+  metadata: Record<string, unknown> | null;
+  acknowledgement: {
+    acknowledged: boolean;
+    acknowledgedAt: string | null;
+    acknowledgedBy: string | null;
+    notes: string | null;
+  } | null;
+  media: 'download' | 'url';
+  files: EvidenceFile[];
+  /** Every archive entry except manifest.json and SHA256SUMS */
+  artifacts: EvidenceArtifact[];
+}
+
+export interface EvidenceExport {
+  format: 'zip' | 'tar';
+  /** Output path, or null when the archive is returned */
+  path: string | null;
+  /** Archive bytes, or null when written to `output` */
+  archive: Uint8Array | null;
+  /** Total size of the archived files in bytes */
+  size: number;
+  manifest: EvidenceManifest;
+  /** SHA-256 of manifest.json; record it outside the bundle */
+  manifestSha256: string;
+}
+
+export interface DownloadProgress {
+  fileId: string;
+  bytesReceived: number;
+  /** null when the server does not send Content-Length */
+  totalBytes: number | null;
+  /** Bytes per second since the download started */
+  rate: number;
+}
+
+export interface DownloadFileOptions {
+  /** Byte range ({ start, end }, end inclusive) or a `bytes=` Range header value */
+  range?: { start?: number; end?: number } | string;
+  /** Cancels the download, including the body */
+  signal?: AbortSignal;
+  onProgress?: (progress: DownloadProgress) => void;
+  /** Lifetime of the signed URL in seconds (default: 3600) */
+  expiresIn?: number;
+}
+
+export interface FileDownload {
+  /** Web ReadableStream in browsers, Node.js Readable (async iterable) in Node.js */
+  stream: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>;
+  contentType: string;
+  /** Bytes in this response, null if unknown */
+  size: number | null;
+  /** Size of the whole file (from Content-Range for partial responses), null if unknown */
+  totalSize: number | null;
+  /** Whether the server answered a range request with partial content */
+  partial: boolean;
+  contentRange: string | null;
+}
+
+export interface DownloadFileToOptions {
+  signal?: AbortSignal;
+  onProgress?: (progress: DownloadProgress) => void;
+  /** Verify size and checksum against getFileInfo() (default: true) */
+  verify?: boolean;
+  expiresIn?: number;
+}
+
+export interface DownloadedFile {
+  path: string;
+  size: number;
+  contentType: string;
+  /** null when the file info has no checksum or verification is disabled */
+  checksum: { algorithm: string; value: string; verified: true } | null;
+}
+
+export interface CaptureFrameOptions {
+  isPublic?: boolean;
+  metadata?: Record<string, unknown>;
+}
+
+// ===== ANALYTICS =====
+
+export interface AnalyticsOptions {
+  type?: 'daily' | 'weekly' | 'monthly';
+  period?: string;
+  startDate?: string;
+  endDate?: string;
+  limit?: number;
+}
+
+export interface AnalyticsRecord {
+  businessId: string;
+  type: string;
+  period: string;
+  metrics?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+export interface InsightQuery {
+  type?: 'trend' | 'anomaly' | 'recommendation' | 'alert';
+  minSeverity?: number;
+  isAcknowledged?: boolean;
+  startDate?: string;
+  endDate?: string;
+  page?: number;
+  limit?: number;
+  [key: string]: unknown;
+}
+
+export interface Insight {
+  id: string;
+  businessId: string;
+  type: 'trend' | 'anomaly' | 'recommendation' | 'alert' | string;
+  title: string;
+  description?: string;
+  severity: number;
+  isAcknowledged: boolean;
+  actionTaken?: string;
+  createdAt?: string;
+  [key: string]: unknown;
+}
+
+export interface InsightQueryResult {
+  insights: Insight[];
+  pagination: Pagination;
+}
+
+export interface DashboardAnalytics {
+  currentPeriod: {
+    today: number;
+    [key: string]: unknown;
+  };
+  [key: string]: unknown;
+}
+
+// ===== INTEGRATIONS =====
+
+export interface IntegrationQuery {
+  type?: string;
+  provider?: string;
+  isActive?: boolean;
+  page?: number;
+  limit?: number;
+  [key: string]: unknown;
+}
+
+export interface IntegrationData {
+  name: string;
+  type: string;
+  provider: string;
+  businessId: string;
+  config?: Record<string, unknown>;
+  credentials?: Record<string, unknown>;
+  endpoints?: Record<string, unknown>;
+}
+
+export interface Integration extends IntegrationData {
+  id: string;
+  isActive?: boolean;
+  createdAt?: string;
+  [key: string]: unknown;
+}
+
+export interface IntegrationQueryResult {
+  integrations: Integration[];
+  pagination: Pagination;
+}
+
+export interface IntegrationTestResult {
+  success: boolean;
+  message?: string;
+  [key: string]: unknown;
+}
+
+export interface IntegrationActionResult {
+  success: boolean;
+  result?: unknown;
+  [key: string]: unknown;
+}
+
+// ===== NOTIFICATIONS =====
+
+export interface NotificationQuery {
+  isRead?: boolean;
+  type?: string;
+  category?: string;
+  priority?: string;
+  startDate?: string;
+  endDate?: string;
+  page?: number;
+  limit?: number;
+  [key: string]: unknown;
+}
+
+export interface Notification {
+  id: string;
+  type: string;
+  category?: string;
+  priority?: string;
+  title?: string;
+  message?: string;
+  isRead: boolean;
+  createdAt?: string;
+  [key: string]: unknown;
+}
+
+export interface NotificationQueryResult {
+  notifications: Notification[];
+  pagination: Pagination;
+}
+
+export interface ChannelPreferences {
+  enabled?: boolean;
+  categories?: Record<string, boolean>;
+  [key: string]: unknown;
+}
+
+export interface NotificationPreferences {
+  email?: ChannelPreferences;
+  push?: ChannelPreferences;
+  sms?: ChannelPreferences;
+  [key: string]: unknown;
+}
+
+/** Generic response for endpoints that only report success */
+export interface ApiResponse {
+  success?: boolean;
+  message?: string;
+  [key: string]: unknown;
+}
+
+// ===== EVENT LISTENERS =====
+
+export interface GapEvent {
+  /** Start of the window that could not be fully replayed (ISO string) */
+  from: string;
+  /** End of the window (ISO string) */
+  to: string;
+  reason: 'backfill_failed' | 'limit_exceeded';
+  /** Number of events that were replayed */
+  replayed: number;
+  error?: Error;
+}
+
+export interface CybernateEventMap {
+  detection: DetectionEvent;
+  alert: AlertEvent;
+  connection_lost: ConnectionLostEvent;
+  notification: NotificationEvent;
+  system: SystemEvent;
+  all: CybernateEvent;
+  rateLimit: RateLimitEvent;
+  gap: GapEvent;
+  connectionStateChange: ConnectionStateChangeEvent;
+  stale: StaleEvent;
+  queued: QueuedEvent;
+  flushed: FlushedEvent;
+  failed: QueueFailedEvent;
+  'incident.opened': Incident;
+  'incident.updated': Incident;
+  'incident.closed': Incident;
+}
+
+export type EventCallback<T> = (event: T) => void;
+
+/** Filter and rate shaping options of on(); filters run first, then dedupe, then throttle/debounce */
+export interface ListenerOptions<T = CybernateEvent> {
+  /** Only events with an object of one of these types */
+  objectTypes?: string | string[];
+  /** Only events with an object at or above this confidence */
+  minConfidence?: number;
+  /** Only events for these watcher, stream, device or business IDs */
+  entityIds?: string | string[];
+  /** Only events with an object whose bounding box centre lies in this zone */
+  zone?: BoundingBox;
+  /** Predicate; return false to skip the event */
+  filter?: (event: T) => boolean;
+  /** Deliver at most one event per this many milliseconds */
+  throttle?: number;
+  /** Deliver only the last event after this many quiet milliseconds */
+  debounce?: number;
+  /** Skip events whose track IDs were all seen within this many milliseconds (sliding window) */
+  dedupe?: number;
+}
+
+// ===== PAGINATION =====
+
+export interface IterateOptions extends RequestOptions {
+  /** Stop after this many items (0 yields none) */
+  maxItems?: number;
+  /** Pages fetched ahead while the current page is consumed (default: 1, 0 disables) */
+  prefetch?: number;
+}
+
+// ===== BULK OPERATIONS =====
+
+export type BulkItemResult<T> =
+  | { id: string; status: 'succeeded'; result: T }
+  | { id: string; status: 'failed'; error: CybernateError }
+  | { id: string; status: 'skipped'; reason: 'invalid' | 'duplicate' | 'aborted' | 'not_found' };
+
+export interface BulkProgress<T> {
+  completed: number;
+  total: number;
+  succeeded: number;
+  failed: number;
+  skipped: number;
+  item: BulkItemResult<T>;
+}
+
+export interface BulkOptions<T = unknown> extends RequestOptions {
+  /** Max requests in flight (default: 5) */
+  concurrency?: number;
+  onProgress?: (progress: BulkProgress<T>) => void;
+}
+
+export interface BulkResult<T> {
+  /** One entry per input ID, in input order */
+  results: BulkItemResult<T>[];
+  succeeded: Extract<BulkItemResult<T>, { status: 'succeeded' }>[];
+  failed: Extract<BulkItemResult<T>, { status: 'failed' }>[];
+  skipped: Extract<BulkItemResult<T>, { status: 'skipped' }>[];
+  /** Whether the batch was cancelled through `signal` */
+  aborted: boolean;
+}
+
+export type WatcherFilter = ((watcher: WatcherInfo) => boolean) | { [field: string]: unknown };
+
+export interface PageIterator<T> extends AsyncIterable<T> {
+  toArray(): Promise<T[]>;
+}
+
+// ===== MIDDLEWARE =====
+
+export interface MiddlewareRequest {
+  method: string;
+  url: string;
+  path: string;
+  headers: Record<string, string>;
+  body?: unknown;
+  options: RequestOptions;
+}
+
+export interface MiddlewareResponse<T = unknown> {
+  status: number;
+  statusText?: string;
+  headers?: Headers | Record<string, string>;
+  data: T;
+}
+
+export type Middleware = (
+  request: MiddlewareRequest,
+  next: (request?: MiddlewareRequest) => Promise<MiddlewareResponse>
+) => MiddlewareResponse | Promise<MiddlewareResponse>;
+
+// ===== WATCHERS =====
+
+export type WatcherStatus = 'active' | 'paused' | 'stopped';
+
+export class Watcher {
+  readonly client: CybernateAI;
+  readonly id: string;
+  /** Alias of `id`, matching the raw watch response */
+  readonly watcherId: string;
+  readonly type: WatchResponse['type'];
+  readonly entityId: string;
+  readonly response: WatchResponse;
+  readonly createdAt: Date;
+  /** Key used by watch() to find this watcher again */
+  idempotencyKey: string | null;
+  detectionSettings: DetectionSettings;
+  options: WatchOptions;
+  status: WatcherStatus;
+
+  on<K extends keyof WatcherEventMap>(event: K, callback: EventCallback<WatcherEventMap[K]>, options?: ListenerOptions<WatcherEventMap[K]>): this;
+  on(event: string, callback: EventCallback<CybernateEvent>, options?: ListenerOptions): this;
+  off<K extends keyof WatcherEventMap>(event: K, callback?: EventCallback<WatcherEventMap[K]>): this;
+  off(event: string, callback?: EventCallback<CybernateEvent>): this;
+  pause(requestOptions?: RequestOptions): Promise<ApiResponse>;
+  resume(requestOptions?: RequestOptions): Promise<ApiResponse>;
+  updateDetectionSettings(detectionSettings: DetectionSettings, requestOptions?: RequestOptions): Promise<ApiResponse>;
+  /** Stops the watcher (see CybernateAI.unwatch) and removes its listeners */
+  stop(requestOptions?: RequestOptions): Promise<ApiResponse>;
+}
+
+export interface WatcherEventMap {
+  detection: DetectionEvent;
+  alert: AlertEvent;
+  connection_lost: ConnectionLostEvent;
+  all: CybernateEvent;
+}
+
+// ===== WAITING AND STREAMING =====
+
+export interface WaitForOptions<T = CybernateEvent> extends ListenerOptions<T> {
+  /** Reject with CybernateTimeoutError after this many milliseconds */
+  timeout?: number;
+  /** Reject with CybernateAbortError when aborted */
+  signal?: AbortSignal;
+}
+
+export type OverflowPolicy = 'drop-oldest' | 'drop-newest' | 'error';
+
+export interface EventStreamOptions<T = CybernateEvent> extends ListenerOptions<T> {
+  /** Max events buffered while the consumer is busy (default: 100) */
+  bufferSize?: number;
+  /** What to do when the buffer is full (default: 'drop-oldest'); 'error' fails with code STREAM_OVERFLOW */
+  overflow?: OverflowPolicy;
+  /** Ends the stream with a CybernateAbortError */
+  signal?: AbortSignal;
+}
+
+export class EventStream<T = CybernateEvent> implements AsyncIterableIterator<T> {
+  constructor(client: CybernateAI, eventType: string, options?: EventStreamOptions<T>);
+  readonly eventType: string;
+  /** Events dropped by the overflow policy */
+  readonly dropped: number;
+  [Symbol.asyncIterator](): this;
+  next(): Promise<IteratorResult<T>>;
+  return(): Promise<IteratorResult<T>>;
+  /** Stop listening and discard buffered events */
+  close(): void;
+}
+
+// ===== INCIDENTS =====
+
+export interface CorrelationRuleBase {
+  name?: string;
+  /** Max time in ms between the first and last detection of a match */
+  within: number;
+  objectTypes?: string | string[];
+  minConfidence?: number;
+}
+
+export interface CountRule extends CorrelationRuleBase {
+  type: 'count';
+  /** Number of detections within `within` that open an incident */
+  count: number;
+}
+
+export interface SequenceRule extends CorrelationRuleBase {
+  type: 'sequence';
+  /** Zones that must see a detection in this order within `within` */
+  zones: BoundingBox[];
+}
+
+export type CorrelationRule = CountRule | SequenceRule;
+
+export interface CorrelatorOptions {
+  rules: CorrelationRule[];
+  /** Close an incident after this many ms without a related detection (default: 60000) */
+  closeAfter?: number;
+  /** Acknowledge the member events when an incident is resolved (default: false) */
+  acknowledgeOnResolve?: boolean;
+  /** Closed incidents kept for getIncidents() and resolve(); older ones are dropped (default: 100) */
+  maxClosed?: number;
+}
+
+export interface Incident {
+  id: string;
+  rule: string;
+  entityId: string;
+  status: 'open' | 'closed';
+  events: DetectionEvent[];
+  openedAt: string;
+  updatedAt: string;
+  closedAt: string | null;
+  closeReason: 'resolved' | 'timeout' | null;
+  notes?: string;
+  acknowledgeErrors?: Array<{ eventId: string; error: Error }>;
+}
+
+export class IncidentCorrelator {
+  constructor(client: CybernateAI, options: CorrelatorOptions);
+  readonly rules: CorrelationRule[];
+  start(): this;
+  stop(): this;
+  getIncidents(query?: { status?: Incident['status'] }): Incident[];
+  resolve(incidentId: string, notes?: string): Promise<Incident>;
+}
+
+// ===== WATCHER STORES =====
+
+export interface WatcherRecord {
+  id: string;
+  type: WatchResponse['type'];
+  entityId: string;
+  /** Options the watcher was created with, used to re-create it */
+  options: WatchOptions;
+  createdAt: string;
+}
+
+export interface WatcherStore {
+  list(): Promise<WatcherRecord[]>;
+  set(id: string, record: WatcherRecord): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+export class MemoryWatcherStore implements WatcherStore {
+  constructor();
+  list(): Promise<WatcherRecord[]>;
+  set(id: string, record: WatcherRecord): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+/** Keeps watcher records in a JSON file (Node.js only) */
+export class FileWatcherStore implements WatcherStore {
+  constructor(filePath: string);
+  readonly filePath: string;
+  list(): Promise<WatcherRecord[]>;
+  set(id: string, record: WatcherRecord): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+// ===== OFFLINE MODE =====
+
+export interface QueuedRequest {
+  id: string;
+  method: 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+  path: string;
+  data: unknown;
+  idempotencyKey: string;
+  queuedAt: string;
+  attempts: number;
+  lastError: string | null;
+}
+
+/** Resolved by queueable calls that were queued instead of sent */
+export interface QueuedRequestResult {
+  queued: true;
+  queueId: string;
+  idempotencyKey: string;
+}
+
+export interface QueueStore {
+  load(): Promise<QueuedRequest[]>;
+  save(entries: QueuedRequest[]): Promise<void>;
+}
+
+export class MemoryQueueStore implements QueueStore {
+  constructor();
+  load(): Promise<QueuedRequest[]>;
+  save(entries: QueuedRequest[]): Promise<void>;
+}
+
+/** Keeps queued calls in Web Storage (browsers) */
+export class LocalStorageQueueStore implements QueueStore {
+  constructor(options?: { key?: string; storage?: Storage });
+  load(): Promise<QueuedRequest[]>;
+  save(entries: QueuedRequest[]): Promise<void>;
+}
+
+/** Keeps queued calls in IndexedDB (browsers) */
+export class IndexedDBQueueStore implements QueueStore {
+  constructor(options?: { dbName?: string; storeName?: string });
+  load(): Promise<QueuedRequest[]>;
+  save(entries: QueuedRequest[]): Promise<void>;
+}
+
+/** Keeps queued calls in a JSON file (Node.js only) */
+export class FileQueueStore implements QueueStore {
+  constructor(filePath: string);
+  readonly filePath: string;
+  load(): Promise<QueuedRequest[]>;
+  save(entries: QueuedRequest[]): Promise<void>;
+}
+
+export type ConflictResolution = 'discard' | 'ignore';
+
+export interface OfflineOptions {
+  /** Where queued calls are kept (default: MemoryQueueStore) */
+  store?: QueueStore;
+  /** Handling of replayed calls answered with 404, 409, 410 or 412 (default: 'discard') */
+  onConflict?: ConflictResolution | ((entry: QueuedRequest, error: CybernateError) => ConflictResolution | Promise<ConflictResolution>);
+  /** Delay in ms before retrying while the API is unreachable (default: 30000) */
+  retryInterval?: number;
+  /** Max queued calls (default: 1000) */
+  maxSize?: number;
+}
+
+export interface QueuedEvent {
+  entry: QueuedRequest;
+  /** Error that caused the call to be queued, null if it queued behind earlier calls */
+  error: CybernateError | null;
+  size: number;
+}
+
+export interface FlushedEvent {
+  entry: QueuedRequest;
+  /** Server response, null for an ignored conflict */
+  result: unknown;
+  conflict: boolean;
+  size: number;
+}
+
+export interface QueueFailedEvent {
+  entry: QueuedRequest;
+  error: CybernateError;
+  conflict: boolean;
+  size: number;
+}
+
+export interface FlushResult {
+  flushed: number;
+  failed: number;
+  remaining: number;
+}
+
+export interface WatcherReconcilePolicy {
+  /** Re-create stored watchers missing on the server (default: true) */
+  recreateMissing?: boolean;
+  /** Server watchers not in the store: keep them, adopt them into the store, or stop them (default: 'keep') */
+  orphans?: 'keep' | 'adopt' | 'stop';
+}
+
+export interface WatcherReconcileResult {
+  attached: Watcher[];
+  recreated: Watcher[];
+  adopted: Watcher[];
+  /** IDs of orphaned watchers that were stopped */
+  pruned: string[];
+  failed: Array<{ id: string; error: Error }>;
+}
+
+// ===== WEBHOOK RECEIVER =====
+
+export interface VerifyWebhookOptions {
+  /** Max age of the delivery in seconds (default: 300, 0 disables the check) */
+  tolerance?: number;
+}
+
+export type WebhookHeaders = Headers | Record<string, string | string[] | undefined>;
+
+export interface WebhookHandlerOptions extends VerifyWebhookOptions {
+  /** Webhook signing secret */
+  secret: string;
+  /** Called with each verified event */
+  onEvent?: (event: CybernateEvent) => void | Promise<void>;
+}
+
+/** Works as a Node http request listener, Express middleware or Fetch API handler */
+export interface WebhookHandler {
+  (request: Request): Promise<Response>;
+  (req: unknown, res: unknown, next?: (error?: unknown) => void): Promise<void>;
+}
+
+export function verifyWebhookSignature(
+  rawBody: string | Uint8Array | ArrayBuffer,
+  headers: WebhookHeaders,
+  secret: string,
+  options?: VerifyWebhookOptions
+): Promise<true>;
+
+export function createWebhookHandler(options: WebhookHandlerOptions & { client?: CybernateAI }): WebhookHandler;
+
+// ===== CLIENT =====
+
+export class CybernateAI {
+  constructor(apiKey: string, options?: CybernateOptions);
+
+  readonly apiKey: string;
+  readonly baseUrl: string;
+  readonly timeout: number;
+  user?: User;
+  organization?: Organization;
+  isConnected: boolean;
+  isConnecting: boolean;
+  reconnectCount: number;
+  activeWatchers: Map<string, WatcherInfo>;
+  /** Watcher handles created by watch(), keyed by watcher ID */
+  watchers: Map<string, Watcher>;
+  watcherStore: WatcherStore;
+  rateLimit: RateLimitInfo;
+  /** Last event delivered over the socket */
+  lastEvent: { id: string | null; timestamp: string | null };
+
+  events: {
+    iterate(query?: EventQuery, options?: IterateOptions): PageIterator<CybernateEvent>;
+  };
+  files: {
+    iterate(query?: FileQuery, options?: IterateOptions): PageIterator<FileInfo>;
+  };
+  insights: {
+    iterate(businessId: string, query?: InsightQuery, options?: IterateOptions): PageIterator<Insight>;
+  };
+  integrations: {
+    iterate(query?: IntegrationQuery, options?: IterateOptions): PageIterator<Integration>;
+  };
+  notifications: {
+    iterate(query?: NotificationQuery, options?: IterateOptions): PageIterator<Notification>;
+  };
+
+  connect(requestOptions?: RequestOptions): Promise<ConnectResult>;
+  disconnect(): void;
+
+  // Offline mode (require the `offline` option)
+  flushQueue(): Promise<FlushResult>;
+  getQueuedRequests(): Promise<QueuedRequest[]>;
+  clearQueue(): Promise<void>;
+
+  // Event service
+  watch(options: WatchOptions, requestOptions?: RequestOptions): Promise<Watcher>;
+  unwatch(watcherId: string, requestOptions?: RequestOptions): Promise<ApiResponse>;
+  unwatchAll(filter?: WatcherFilter | null, options?: BulkOptions<ApiResponse>): Promise<BulkResult<ApiResponse>>;
+  getActiveWatchers(requestOptions?: RequestOptions): Promise<WatcherInfo[]>;
+  /** Re-attach, re-create or prune watchers so the store and the server agree */
+  reconcileWatchers(policy?: WatcherReconcilePolicy): Promise<WatcherReconcileResult>;
+  queryEvents(query?: EventQuery, requestOptions?: RequestOptions): Promise<EventQueryResult>;
+  getEventStatistics(query?: EventQuery, requestOptions?: RequestOptions): Promise<EventStatistics>;
+  acknowledgeEvent(eventId: string, notes?: string, requestOptions?: RequestOptions): Promise<CybernateEvent>;
+  acknowledgeEvents(eventIds: string[], notes?: string, options?: BulkOptions<CybernateEvent>): Promise<BulkResult<CybernateEvent>>;
+  exportEvidence(eventId: string, options?: ExportEvidenceOptions, requestOptions?: RequestOptions): Promise<EvidenceExport>;
+
+  // Webhook service
+  setWebhook(config: WebhookConfig, requestOptions?: RequestOptions): Promise<ApiResponse>;
+  getWebhooks(requestOptions?: RequestOptions): Promise<Webhook[]>;
+  deleteWebhook(webhookId: string, requestOptions?: RequestOptions): Promise<ApiResponse>;
+  testWebhook(url: string, payload?: Record<string, unknown>, requestOptions?: RequestOptions): Promise<WebhookTestResult>;
+  createWebhookHandler(options: WebhookHandlerOptions): WebhookHandler;
+
+  // Storage service
+  uploadFile(options: UploadFileOptions, requestOptions?: RequestOptions): Promise<FileInfo>;
+  getFileInfo(fileId: string, requestOptions?: RequestOptions): Promise<FileInfo>;
+  queryFiles(query?: FileQuery, requestOptions?: RequestOptions): Promise<FileQueryResult>;
+  deleteFile(fileId: string, requestOptions?: RequestOptions): Promise<ApiResponse>;
+  deleteFiles(fileIds: string[], options?: BulkOptions<ApiResponse>): Promise<BulkResult<ApiResponse>>;
+  getFileUrl(fileId: string, expiresIn?: number, requestOptions?: RequestOptions): Promise<FileUrlResponse>;
+  downloadFile(fileId: string, options?: DownloadFileOptions, requestOptions?: RequestOptions): Promise<FileDownload>;
+  downloadFileTo(fileId: string, filePath: string, options?: DownloadFileToOptions, requestOptions?: RequestOptions): Promise<DownloadedFile>;
+  captureStreamFrame(streamId: string, options?: CaptureFrameOptions, requestOptions?: RequestOptions): Promise<FileInfo>;
+
+  // Analytics service
+  getAnalytics(businessId: string, options?: AnalyticsOptions, requestOptions?: RequestOptions): Promise<AnalyticsRecord[]>;
+  getInsights(businessId: string, options?: InsightQuery, requestOptions?: RequestOptions): Promise<InsightQueryResult>;
+  acknowledgeInsight(insightId: string, actionTaken?: string, requestOptions?: RequestOptions): Promise<Insight>;
+  getDashboardAnalytics(businessId: string, requestOptions?: RequestOptions): Promise<DashboardAnalytics>;
+
+  // Integration service
+  getIntegrations(query?: IntegrationQuery, requestOptions?: RequestOptions): Promise<IntegrationQueryResult>;
+  createIntegration(integrationData: IntegrationData, requestOptions?: RequestOptions): Promise<Integration>;
+  getIntegration(integrationId: string, requestOptions?: RequestOptions): Promise<Integration>;
+  updateIntegration(integrationId: string, updateData: Partial<IntegrationData> & Record<string, unknown>, requestOptions?: RequestOptions): Promise<Integration>;
+  deleteIntegration(integrationId: string, requestOptions?: RequestOptions): Promise<ApiResponse>;
+  testIntegration(integrationId: string, requestOptions?: RequestOptions): Promise<IntegrationTestResult>;
+  triggerIntegration(integrationId: string, action: string, data?: Record<string, unknown>, requestOptions?: RequestOptions): Promise<IntegrationActionResult>;
+
+  // Notification service
+  getNotifications(options?: NotificationQuery, requestOptions?: RequestOptions): Promise<NotificationQueryResult>;
+  markNotificationAsRead(notificationId: string, requestOptions?: RequestOptions): Promise<Notification>;
+  markNotificationsAsRead(notificationIds: string[], options?: BulkOptions<Notification>): Promise<BulkResult<Notification>>;
+  markAllNotificationsAsRead(requestOptions?: RequestOptions): Promise<ApiResponse>;
+  getNotificationPreferences(requestOptions?: RequestOptions): Promise<NotificationPreferences>;
+  updateNotificationPreferences(preferences: NotificationPreferences, requestOptions?: RequestOptions): Promise<NotificationPreferences>;
+  addDeviceToken(token: string, requestOptions?: RequestOptions): Promise<ApiResponse>;
+  removeDeviceToken(token: string, requestOptions?: RequestOptions): Promise<ApiResponse>;
+
+  // Event listeners
+  on<K extends keyof CybernateEventMap>(event: K, callback: EventCallback<CybernateEventMap[K]>, options?: ListenerOptions<CybernateEventMap[K]>): void;
+  on(event: string, callback: EventCallback<CybernateEvent>, options?: ListenerOptions): void;
+  off<K extends keyof CybernateEventMap>(event: K, callback?: EventCallback<CybernateEventMap[K]>): void;
+  off(event: string, callback?: EventCallback<CybernateEvent>): void;
+
+  use(middleware: Middleware): this;
+  waitFor<K extends keyof CybernateEventMap>(event: K, options?: WaitForOptions<CybernateEventMap[K]>): Promise<CybernateEventMap[K]>;
+  waitFor(event: string, options?: WaitForOptions): Promise<CybernateEvent>;
+  stream<K extends keyof CybernateEventMap>(event: K, options?: EventStreamOptions<CybernateEventMap[K]>): EventStream<CybernateEventMap[K]>;
+  stream(event: string, options?: EventStreamOptions): EventStream;
+  /** Correlate detection events into incidents (emits incident.opened/updated/closed) */
+  correlate(options: CorrelatorOptions): IncidentCorrelator;
+  getConnectionStatus(): ConnectionStatus;
+  retryWebSocketConnection(): Promise<boolean>;
+}
+
+// ===== ERRORS =====
+
+export interface CybernateErrorDetails {
+  status?: number;
+  code?: string;
+  requestId?: string;
+  method?: string;
+  path?: string;
+  body?: unknown;
+  cause?: unknown;
+}
+
+export class CybernateError extends Error {
+  constructor(message: string, details?: CybernateErrorDetails);
+  static defaultCode: string;
+  static errorName: string;
+  status: number | null;
+  code: string;
+  requestId: string | null;
+  method: string | null;
+  path: string | null;
+  body: unknown;
+  cause?: unknown;
+}
+
+export class CybernateAuthError extends CybernateError {}
+export class CybernatePermissionError extends CybernateError {}
+export class CybernateNotFoundError extends CybernateError {}
+export class CybernateRateLimitError extends CybernateError {
+  constructor(message: string, details?: CybernateErrorDetails & { retryAfter?: number });
+  retryAfter: number | null;
+}
+export class CybernateValidationError extends CybernateError {}
+export class CybernateServerError extends CybernateError {}
+export class CybernateNetworkError extends CybernateError {}
+export class CybernateTimeoutError extends CybernateError {}
+export class CybernateAbortError extends CybernateError {}
+export class CybernateWebhookError extends CybernateError {}
@@ -11,6 +11,56 @@ if (typeof window !== 'undefined') {
   }
 }
 
+const {
+  CybernateError,
+  CybernateAuthError,
+  CybernatePermissionError,
+  CybernateNotFoundError,
+  CybernateRateLimitError,
+  CybernateValidationError,
+  CybernateServerError,
+  CybernateNetworkError,
+  CybernateTimeoutError,
+  CybernateAbortError,
+  CybernateWebhookError,
+  createHttpError
+} = require('./errors');
+const {
+  normalizeRetryPolicy,
+  shouldRetry,
+  computeRetryDelay,
+  sleep
+} = require('./retry');
+const { RequestScheduler } = require('./scheduler');
+const { PageIterator } = require('./pagination');
+const { createLogger, redactBody, describeBinary } = require('./logger');
+const { verifyWebhookSignature, createWebhookHandler } = require('./webhooks');
+const { Watcher, watchKey, watcherInfoKey } = require('./watcher');
+const {
+  MemoryWatcherStore,
+  FileWatcherStore,
+  MemoryQueueStore,
+  LocalStorageQueueStore,
+  IndexedDBQueueStore,
+  FileQueueStore
+} = require('./stores');
+const { createListener, isListenerFor } = require('./filters');
+const { IncidentCorrelator } = require('./incidents');
+const { EventStream } = require('./events');
+const { CONNECTION_STATE, ConnectionStateMachine, HeartbeatMonitor } = require('./connection');
+const { EventPoller } = require('./polling');
+const {
+  createSocketIoTransport,
+  createSseTransport,
+  isSocketIoAvailable,
+  isSseAvailable
+} = require('./transports');
+const { uploadChunked, isStreamSource } = require('./uploads');
+const { downloadFile, downloadFileTo } = require('./downloads');
+const { exportEvidence } = require('./evidence');
+const { runBulk, createWatcherFilter } = require('./bulk');
+const { OfflineQueue, QUEUEABLE_METHODS } = require('./offline');
+
 /**
  * Extended Cybernate AI SDK Client
  * JavaScript client for integrating with Cybernate AI security platform
@@ -27,6 +77,31 @@ class CybernateAI {
    * @param {boolean} [options.enableWebSocket] - Enable WebSocket connections (default: true)
    * @param {number} [options.reconnectAttempts] - Max reconnection attempts (default: 5)
    * @param {number} [options.reconnectDelay] - Delay between reconnection attempts in ms (default: 1000)
+   * @param {Object|boolean} [options.retry] - Retry policy for API requests, or false to disable retries
+   * @param {number} [options.retry.maxAttempts] - Max attempts including the first one (default: 3)
+   * @param {number} [options.retry.baseDelay] - Initial backoff delay in ms (default: 500)
+   * @param {number} [options.retry.maxDelay] - Max backoff delay in ms (default: 10000)
+   * @param {boolean} [options.retry.jitter] - Randomize backoff delays (default: true)
+   * @param {number[]} [options.retry.statuses] - HTTP statuses to retry (default: 408, 429, 500, 502, 503, 504)
+   * @param {string[]} [options.retry.methods] - HTTP methods to retry without an idempotency key (default: GET, PUT, DELETE)
+   * @param {boolean} [options.retry.retryNetworkErrors] - Retry network errors and timeouts (default: true)
+   * @param {number} [options.maxConcurrency] - Max API requests in flight (default: unlimited)
+   * @param {boolean} [options.throttleRequests] - Queue requests while the rate limit is exhausted (default: true)
+   * @param {Object} [options.logger] - Logger with debug/info/warn/error methods (default: console)
+   * @param {string} [options.logLevel] - Minimum log level: debug, info, warn, error or silent (default: warn)
+   * @param {boolean} [options.logBodies] - Include request/response bodies in debug logs (default: false, bodies are redacted)
+   * @param {boolean} [options.replayOnReconnect] - Backfill events missed while the socket was down (default: true)
+   * @param {number} [options.replayMaxEvents] - Max events replayed after a reconnect (default: 1000)
+   * @param {number} [options.heartbeatInterval] - Socket heartbeat interval in ms, 0 to disable (default: 0)
+   * @param {number} [options.staleTimeout] - Reconnect the socket after this many ms without events or heartbeats, 0 to disable (default: 0)
+   * @param {string|Function} [options.transport] - Event transport: 'socket.io' (default), 'sse' or a custom transport factory
+   * @param {string} [options.ssePath] - Path of the Server-Sent Events endpoint (default: '/events/stream')
+   * @param {Object|boolean} [options.polling] - HTTP polling used while the socket is unavailable ({ interval, maxEvents, cursorPath }), or false to disable
+   * @param {Object|boolean} [options.offline] - Queue queueable calls while the API is unreachable ({ store, onConflict, retryInterval, maxSize }), or true for an in-memory queue (default: disabled)
+   * @param {Object} [options.watcherStore] - Store persisting created watchers (default: in-memory store)
+   * @param {Object|boolean} [options.reconcileWatchers] - Watcher reconciliation on connect(), or false to disable
+   * @param {boolean} [options.reconcileWatchers.recreateMissing] - Re-create stored watchers missing on the server (default: true)
+   * @param {string} [options.reconcileWatchers.orphans] - Server watchers not in the store: 'keep', 'adopt' or 'stop' (default: 'keep')
    */
   constructor(apiKey, options = {}) {
     if (!apiKey) {
@@ -40,47 +115,116 @@ class CybernateAI {
     this.enableWebSocket = options.enableWebSocket !== false;
     this.reconnectAttempts = options.reconnectAttempts || 5;
     this.reconnectDelay = options.reconnectDelay || 1000;
+    this.retryPolicy = normalizeRetryPolicy(options.retry);
+    this.logger = createLogger(options.logger, options.logLevel);
+    this.logBodies = options.logBodies === true;
+    this.replayOnReconnect = options.replayOnReconnect !== false;
+    this.replayMaxEvents = options.replayMaxEvents || 1000;
+    this.watcherStore = options.watcherStore || new MemoryWatcherStore();
+    this.watcherReconcilePolicy = options.reconcileWatchers === false
+      ? false
+      : { recreateMissing: true, orphans: 'keep', ...options.reconcileWatchers };
+    this.scheduler = new RequestScheduler({
+      maxConcurrency: options.maxConcurrency,
+      throttle: options.throttleRequests
+    });
     
     this.eventListeners = {};
+    this.middleware = [];
     this.activeWatchers = new Map();
+    this.watchers = new Map();
+    this.pendingWatches = new Map();
     this.socket = null;
+    this.socketConnectTimer = null;
     this.isConnected = false;
     this.isConnecting = false;
     this.reconnectCount = 0;
+    this.transport = options.transport || 'socket.io';
+    if (typeof this.transport !== 'function' && !['socket.io', 'sse'].includes(this.transport)) {
+      throw new Error(`Invalid transport "${this.transport}". Expected 'socket.io', 'sse' or a transport factory`);
+    }
+    this.ssePath = options.ssePath || '/events/stream';
+    this.poller = options.polling === false ? null : new EventPoller(this, options.polling);
+    this.offlineQueue = options.offline
+      ? new OfflineQueue(this, options.offline === true ? {} : options.offline)
+      : null;
+    this.connection = new ConnectionStateMachine(change => {
+      this.logger.info(`Connection state: ${change.previousState} -> ${change.state} (${change.reason})`);
+      this._updatePolling(change.state);
+      if (change.state === CONNECTION_STATE.CONNECTED && this.offlineQueue) {
+        this.offlineQueue.resume();
+      }
+      this._emit('connectionStateChange', change);
+    });
+    this.heartbeat = new HeartbeatMonitor({
+      interval: options.heartbeatInterval || 0,
+      staleTimeout: options.staleTimeout || 0,
+      send: reply => this.socket?.emit('heartbeat', { sentAt: new Date().toISOString() }, reply),
+      onStale: info => this._handleStaleSocket(info)
+    });
+    
+    // Socket event tracking used to replay events missed during reconnects
+    this.lastEvent = { id: null, timestamp: null };
+    this.deliveredEventIds = new Set();
+    this.disconnectedAt = null;
+    this.replayInProgress = null;
+    
+    // Async iterators over paged endpoints, e.g. `for await (const event of client.events.iterate(query))`
+    this.events = {
+      iterate: (query, options) => this._paginate('events', (q, o) => this.queryEvents(q, o), query, options)
+    };
+    this.files = {
+      iterate: (query, options) => this._paginate('files', (q, o) => this.queryFiles(q, o), query, options)
+    };
+    this.insights = {
+      iterate: (businessId, query, options) =>
+        this._paginate('insights', (q, o) => this.getInsights(businessId, q, o), query, options)
+    };
+    this.integrations = {
+      iterate: (query, options) => this._paginate('integrations', (q, o) => this.getIntegrations(q, o), query, options)
+    };
+    this.notifications = {
+      iterate: (query, options) => this._paginate('notifications', (q, o) => this.getNotifications(q, o), query, options)
+    };
     
-    // Track rate limits
+    // Track rate limits (reset as reported by the server, resetAt in ms since epoch)
     this.rateLimit = {
       limit: 0,
       remaining: 0,
-      reset: 0
+      reset: 0,
+      resetAt: 0
     };
   }
 
   /**
    * Set up authentication and connection
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Connection result
    */
-  async connect() {
+  async connect(requestOptions = {}) {
     if (this.isConnecting) {
       throw new Error('Connection already in progress');
     }
     
     this.isConnecting = true;
+    this.connection.transition(CONNECTION_STATE.AUTHENTICATING, 'connect');
     
     try {
       // Validate API key with server
-      const response = await this._request('GET', '/auth/validate');
+      const response = await this._request('GET', '/auth/validate', null, requestOptions);
       
       // Store user and organization info
       this.user = response.user;
       this.organization = response.organization;
       
       // Only set up WebSocket if enabled and available
+      let socketError = null;
       if (this.enableWebSocket && this._socketIsEnabled()) {
         try {
           await this._setupWebSocket();
-        } catch (socketError) {
-          console.warn('WebSocket connection failed, falling back to HTTP-only mode:', socketError.message);
+        } catch (error) {
+          socketError = error;
+          this.logger.warn('WebSocket connection failed, falling back to HTTP-only mode:', error.message);
           // Don't throw error, just continue without WebSocket
         }
       }
@@ -88,16 +232,51 @@ class CybernateAI {
       this.isConnected = true;
       this.isConnecting = false;
       
+      if (this.socket?.connected) {
+        this.connection.transition(CONNECTION_STATE.CONNECTED, 'authenticated');
+      } else if (socketError) {
+        this.connection.transition(CONNECTION_STATE.DEGRADED, 'websocket_failed', socketError);
+      } else {
+        this.connection.transition(CONNECTION_STATE.DEGRADED, 'websocket_unavailable');
+      }
+      
+      // Replay calls queued while offline, including ones saved before a restart
+      if (this.offlineQueue) {
+        this.offlineQueue.start();
+      }
+      
+      // Restore the watchers this client owned before a restart or disconnect
+      let watchers = null;
+      if (this.watcherReconcilePolicy) {
+        try {
+          watchers = await this.reconcileWatchers();
+        } catch (reconcileError) {
+          this.logger.warn('Failed to reconcile watchers:', reconcileError.message);
+        }
+      }
+      
       return {
         connected: true,
         user: this.user,
         organization: this.organization,
-        websocketEnabled: !!this.socket?.connected
+        websocketEnabled: !!this.socket?.connected,
+        watchers
       };
     } catch (error) {
       this.isConnected = false;
       this.isConnecting = false;
-      throw new Error(`Failed to connect to Cybernate: ${error.message}`);
+      this.connection.transition(CONNECTION_STATE.FAILED, 'connect_failed', error);
+      
+      // Starting without network: queued calls (including ones saved before a restart) keep
+      // retrying in the background, and queueable calls are queued until connect() succeeds
+      if (this.offlineQueue && (error instanceof CybernateNetworkError || error instanceof CybernateTimeoutError)) {
+        this.offlineQueue.start();
+      }
+      
+      if (error instanceof CybernateError) {
+        throw error;
+      }
+      throw new CybernateError(`Failed to connect to Cybernate: ${error.message}`, { cause: error });
     }
   }
 
@@ -113,9 +292,12 @@ class CybernateAI {
    * @param {number} [options.detectionSettings.sensitivityLevel] - Detection sensitivity (0-1)
    * @param {string[]} [options.detectionSettings.objectTypes] - Object types to detect
    * @param {Object} [options.notificationSettings] - How to receive notifications
-   * @returns {Promise<Object>} - Watch config with ID
+   * @param {string} [options.idempotencyKey] - Key identifying this watcher (derived from the target and detection settings if omitted)
+   * @param {boolean} [options.force] - Create a new watcher even if a matching one exists
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
+   * @returns {Promise<Watcher>} - Watcher handle with scoped listeners and lifecycle methods
    */
-  async watch(options) {
+  async watch(options, requestOptions = {}) {
     this._ensureConnected();
     
     // Validate options
@@ -123,6 +305,65 @@ class CybernateAI {
       throw new Error('You must specify either streamUrl, deviceId, or businessId');
     }
     
+    if (options.force) {
+      return this._createWatcher(options, requestOptions);
+    }
+    
+    // Concurrent calls for the same key share a single lookup/creation
+    const key = watchKey(options);
+    if (this.pendingWatches.has(key)) {
+      return this.pendingWatches.get(key);
+    }
+    
+    const pending = this._findOrCreateWatcher(key, options, requestOptions)
+      .finally(() => this.pendingWatches.delete(key));
+    this.pendingWatches.set(key, pending);
+    
+    return pending;
+  }
+
+  /**
+   * Return the watcher matching an idempotency key, creating it if none exists
+   * Looks at local watcher handles and cached watchers first, then at the server's active watchers.
+   * @param {string} key - Idempotency key
+   * @param {Object} options - Watch options
+   * @param {Object} requestOptions - Per-call request options
+   * @param {Array} [serverWatchers] - Active watchers already fetched from the server (skips fetching them again)
+   * @returns {Promise<Watcher>}
+   * @private
+   */
+  async _findOrCreateWatcher(key, options, requestOptions, serverWatchers) {
+    const handle = Array.from(this.watchers.values())
+      .find(watcher => watcher.status !== 'stopped' && watcher.idempotencyKey === key);
+    if (handle) {
+      this.logger.debug(`Reusing watcher ${handle.id} for ${key}`);
+      return handle;
+    }
+    
+    let existing = Array.from(this.activeWatchers.values()).find(info => watcherInfoKey(info) === key);
+    if (!existing) {
+      const candidates = serverWatchers || await this.getActiveWatchers(requestOptions);
+      existing = candidates.find(info => watcherInfoKey(info) === key);
+    }
+    
+    if (existing) {
+      this.logger.debug(`Reusing watcher ${existing.id} for ${key}`);
+      const watcher = this._attachWatcher(existing, options);
+      await this._saveWatcher(watcher);
+      return watcher;
+    }
+    
+    return this._createWatcher(options, requestOptions);
+  }
+
+  /**
+   * Create a watcher on the server
+   * @param {Object} options - Watch options
+   * @param {Object} requestOptions - Per-call request options
+   * @returns {Promise<Watcher>}
+   * @private
+   */
+  async _createWatcher(options, requestOptions) {
     let endpoint;
     let payload;
     
@@ -158,33 +399,43 @@ class CybernateAI {
       throw new Error('webhookUrl is required for webhook notifications');
     }
     
-    // Debug: Log the request details
-    console.log('Watch request:', {
+    if (options.idempotencyKey) {
+      payload.idempotencyKey = options.idempotencyKey;
+      // Also send it as the Idempotency-Key header, which makes the POST safe to retry
+      requestOptions = { idempotencyKey: options.idempotencyKey, ...requestOptions };
+    }
+    
+    this.logger.debug('Watch request:', {
       endpoint,
-      payload,
-      apiKey: this.apiKey ? 'Present' : 'Missing'
+      payload: this._logBody(payload)
     });
     
     // Set up the watcher with explicit authentication
-    const response = await this._request('POST', endpoint, payload);
+    const response = await this._request('POST', endpoint, payload, requestOptions);
     
     // Store active watcher
     this.activeWatchers.set(response.watcherId, {
       id: response.watcherId,
       type: response.type,
       entityId: response.entityId,
+      idempotencyKey: watchKey(options),
       createdAt: new Date()
     });
     
-    return response;
+    const watcher = new Watcher(this, response, options);
+    this.watchers.set(watcher.id, watcher);
+    await this._saveWatcher(watcher);
+    
+    return watcher;
   }
 
   /**
    * Stop watching a stream, device or business
    * @param {string} watcherId - Watcher ID to stop
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response
    */
-  async unwatch(watcherId) {
+  async unwatch(watcherId, requestOptions = {}) {
     this._ensureConnected();
     
     if (!watcherId) {
@@ -192,22 +443,150 @@ class CybernateAI {
     }
     
     // Remove the watcher
-    const response = await this._request('DELETE', `/events/watch/${watcherId}`);
+    const response = await this._request('DELETE', `/events/watch/${watcherId}`, null, requestOptions);
     
     // Remove from active watchers
     this.activeWatchers.delete(watcherId);
     
+    const watcher = this.watchers.get(watcherId);
+    if (watcher) {
+      watcher._markStopped();
+      this.watchers.delete(watcherId);
+    }
+    
+    try {
+      await this.watcherStore.delete(watcherId);
+    } catch (error) {
+      this.logger.warn(`Failed to remove watcher ${watcherId} from store:`, error.message);
+    }
+    
     return response;
   }
 
+  /**
+   * Stop every active watcher matching a filter
+   * Watchers already gone on the server are reported as skipped.
+   * @param {Function|Object} [filter] - Predicate called with each watcher, or fields to match
+   *   (e.g. { type: 'stream' }, { entityId: ['cam_1', 'cam_2'] }); all watchers when omitted
+   * @param {Object} [options] - Bulk options, plus per-call request options applied to every request
+   * @param {number} [options.concurrency=5] - Max requests in flight
+   * @param {Function} [options.onProgress] - Called with { completed, total, succeeded, failed, skipped, item } after each item
+   * @param {AbortSignal} [options.signal] - Stops starting new items and cancels requests in flight
+   * @returns {Promise<Object>} - { results, succeeded, failed, skipped, aborted }
+   */
+  async unwatchAll(filter, options = {}) {
+    this._ensureConnected();
+    
+    const { concurrency, onProgress, ...requestOptions } = options;
+    const watchers = await this.getActiveWatchers(requestOptions);
+    const ids = watchers.filter(createWatcherFilter(filter)).map(watcher => watcher.id);
+    
+    return runBulk(ids, (id, callOptions) => this.unwatch(id, callOptions), {
+      concurrency,
+      onProgress,
+      skipNotFound: true,
+      requestOptions,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Reconcile the watcher store with the watchers active on the server
+   * Stored watchers still running are re-attached as Watcher handles, stored watchers missing
+   * on the server are re-created from their saved watch() options, and server watchers that
+   * are not in the store (orphans) are kept, adopted into the store or stopped.
+   * Called by connect() unless the `reconcileWatchers` option is false.
+   * @param {Object} [policy] - Overrides the client `reconcileWatchers` policy
+   * @param {boolean} [policy.recreateMissing] - Re-create stored watchers missing on the server
+   * @param {string} [policy.orphans] - 'keep', 'adopt' or 'stop'
+   * @returns {Promise<Object>} - { attached, recreated, adopted, pruned, failed }
+   */
+  async reconcileWatchers(policy = {}) {
+    this._ensureConnected();
+    
+    const { recreateMissing, orphans } = {
+      recreateMissing: true,
+      orphans: 'keep',
+      ...this.watcherReconcilePolicy,
+      ...policy
+    };
+    
+    const result = { attached: [], recreated: [], adopted: [], pruned: [], failed: [] };
+    const saved = await this.watcherStore.list();
+    
+    // Nothing to re-attach and orphans are left alone, so the server list is not needed
+    if (saved.length === 0 && orphans === 'keep') {
+      return result;
+    }
+    
+    const serverWatchers = await this.getActiveWatchers();
+    const pending = new Map(saved.map(record => [record.id, record]));
+    
+    for (const info of serverWatchers) {
+      const record = pending.get(info.id);
+      
+      if (record) {
+        pending.delete(info.id);
+        result.attached.push(this._attachWatcher(info, record.options));
+      } else if (orphans === 'adopt') {
+        const watcher = this._attachWatcher(info, {});
+        await this._saveWatcher(watcher);
+        result.adopted.push(watcher);
+      } else if (orphans === 'stop') {
+        try {
+          await this.unwatch(info.id);
+          result.pruned.push(info.id);
+        } catch (error) {
+          result.failed.push({ id: info.id, error });
+        }
+      }
+    }
+    
+    // Stored watchers the server no longer knows about
+    for (const record of pending.values()) {
+      await this.watcherStore.delete(record.id);
+      
+      const stale = this.watchers.get(record.id);
+      if (stale) {
+        stale._markStopped();
+        this.watchers.delete(record.id);
+      }
+      
+      const options = record.options || {};
+      if (!recreateMissing || (!options.streamUrl && !options.deviceId && !options.businessId)) {
+        continue;
+      }
+      
+      // Re-create against the server list fetched above instead of fetching it once per watcher
+      try {
+        result.recreated.push(options.force
+          ? await this._createWatcher(options, {})
+          : await this._findOrCreateWatcher(watchKey(options), options, {}, serverWatchers));
+      } catch (error) {
+        result.failed.push({ id: record.id, error });
+      }
+    }
+    
+    this.logger.info('Reconciled watchers:', {
+      attached: result.attached.length,
+      recreated: result.recreated.length,
+      adopted: result.adopted.length,
+      pruned: result.pruned.length,
+      failed: result.failed.length
+    });
+    
+    return result;
+  }
+
   /**
    * Get all active watchers
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Array>} - List of active watchers
    */
-  async getActiveWatchers() {
+  async getActiveWatchers(requestOptions = {}) {
     this._ensureConnected();
     
-    const response = await this._request('GET', '/events/watchers');
+    const response = await this._request('GET', '/events/watchers', null, requestOptions);
     
     // Update local cache
     this.activeWatchers.clear();
@@ -230,9 +609,10 @@ class CybernateAI {
    * @param {string} [query.endDate] - Filter by end date (ISO string)
    * @param {number} [query.page=1] - Page number
    * @param {number} [query.limit=20] - Results per page
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Query results with pagination
    */
-  async queryEvents(query = {}) {
+  async queryEvents(query = {}, requestOptions = {}) {
     this._ensureConnected();
     
     const queryParams = new URLSearchParams();
@@ -244,15 +624,16 @@ class CybernateAI {
       }
     });
     
-    return this._request('GET', `/events?${queryParams.toString()}`);
+    return this._request('GET', `/events?${queryParams.toString()}`, null, requestOptions);
   }
 
   /**
    * Get event statistics
    * @param {Object} [query] - Filter parameters (same as queryEvents)
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Statistics
    */
-  async getEventStatistics(query = {}) {
+  async getEventStatistics(query = {}, requestOptions = {}) {
     this._ensureConnected();
     
     const queryParams = new URLSearchParams();
@@ -264,17 +645,18 @@ class CybernateAI {
       }
     });
     
-    return this._request('GET', `/events/statistics?${queryParams.toString()}`);
+    return this._request('GET', `/events/statistics?${queryParams.toString()}`, null, requestOptions);
   }
 
   /**
    * Acknowledge an event
    * @param {string} eventId - Event ID
    * @param {string} [notes] - Optional notes
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Updated event
    */
-  async acknowledgeEvent(eventId, notes) {
-    this._ensureConnected();
+  async acknowledgeEvent(eventId, notes, requestOptions = {}) {
+    this._ensureConnectedOrQueueing();
     
     if (!eventId) {
       throw new Error('eventId is required');
@@ -282,9 +664,55 @@ class CybernateAI {
     
     return this._request('POST', `/events/${eventId}/acknowledge`, {
       notes: notes || ''
+    }, { queue: true, ...requestOptions });
+  }
+
+  /**
+   * Acknowledge many events, reporting the outcome of each instead of failing on the first error
+   * @param {string[]} eventIds - Event IDs
+   * @param {string} [notes] - Notes added to every acknowledgement
+   * @param {Object} [options] - Bulk options, plus per-call request options applied to every request
+   * @param {number} [options.concurrency=5] - Max requests in flight
+   * @param {Function} [options.onProgress] - Called with { completed, total, succeeded, failed, skipped, item } after each item
+   * @param {AbortSignal} [options.signal] - Stops starting new items and cancels requests in flight
+   * @returns {Promise<Object>} - { results, succeeded, failed, skipped, aborted }
+   */
+  async acknowledgeEvents(eventIds, notes, options = {}) {
+    this._ensureConnectedOrQueueing();
+    
+    const { concurrency, onProgress, ...requestOptions } = options;
+    
+    return runBulk(eventIds, (id, callOptions) => this.acknowledgeEvent(id, notes, callOptions), {
+      concurrency,
+      onProgress,
+      requestOptions,
+      logger: this.logger
     });
   }
 
+  /**
+   * Export an event, its stored files and its acknowledgement as a ZIP or tar evidence bundle
+   * with a JSON manifest and SHA-256 checksums for every artifact
+   * @param {string} eventId - Event ID
+   * @param {Object} [options] - Export options
+   * @param {string} [options.format='zip'] - Archive format: 'zip' or 'tar'
+   * @param {string} [options.media='download'] - 'download' to include the files, 'url' to list signed URLs instead
+   * @param {number} [options.expiresIn] - Lifetime of signed URLs in seconds (default: 3600)
+   * @param {string} [options.output] - Write the archive to this path (Node.js) instead of returning it
+   * @param {Object} [options.metadata] - Extra details recorded in the manifest (case number, requester, ...)
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
+   * @returns {Promise<Object>} - { format, path, archive, size, manifest, manifestSha256 }
+   */
+  async exportEvidence(eventId, options = {}, requestOptions = {}) {
+    this._ensureConnected();
+    
+    if (!eventId) {
+      throw new Error('eventId is required');
+    }
+    
+    return exportEvidence(this, eventId, options, requestOptions);
+  }
+
   // ===== WEBHOOK SERVICE METHODS =====
 
   /**
@@ -292,9 +720,10 @@ class CybernateAI {
    * @param {Object} config - Webhook configuration
    * @param {string} config.url - Webhook URL
    * @param {Array<string>} [config.events] - Event types to receive (defaults to all)
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response
    */
-  async setWebhook(config) {
+  async setWebhook(config, requestOptions = {}) {
     this._ensureConnected();
     
     if (!config.url) {
@@ -304,71 +733,101 @@ class CybernateAI {
     return this._request('POST', '/webhooks/configure', {
       url: config.url,
       events: config.events || ['detection', 'connection_lost', 'alert']
-    });
+    }, requestOptions);
   }
 
   /**
    * Get all webhooks
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Array>} - List of webhooks
    */
-  async getWebhooks() {
+  async getWebhooks(requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('GET', '/webhooks');
+    return this._request('GET', '/webhooks', null, requestOptions);
   }
 
   /**
    * Delete a webhook
    * @param {string} webhookId - Webhook ID
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response
    */
-  async deleteWebhook(webhookId) {
+  async deleteWebhook(webhookId, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('DELETE', `/webhooks/${webhookId}`);
+    return this._request('DELETE', `/webhooks/${webhookId}`, null, requestOptions);
   }
 
   /**
    * Test a webhook
    * @param {string} url - Webhook URL to test
    * @param {Object} [payload] - Optional custom payload
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Test result
    */
-  async testWebhook(url, payload) {
+  async testWebhook(url, payload, requestOptions = {}) {
     this._ensureConnected();
     
     return this._request('POST', '/webhooks/test', {
       url,
       payload
-    });
+    }, requestOptions);
+  }
+
+  /**
+   * Create a request handler for webhook deliveries that dispatches them to this client's listeners
+   * @param {Object} options - Handler options
+   * @param {string} options.secret - Webhook signing secret
+   * @param {number} [options.tolerance=300] - Max age of a delivery in seconds
+   * @param {Function} [options.onEvent] - Called with each verified event
+   * @returns {Function} - Handler for Node http, Express or Fetch API requests
+   */
+  createWebhookHandler(options) {
+    return createWebhookHandler({ ...options, client: this });
   }
 
   // ===== STORAGE SERVICE METHODS =====
 
   /**
    * Upload a file to storage
+   * Files are sent in one multipart request, or in resumable chunks when a chunked option
+   * (chunkSize, uploadId, onProgress) is given or the file is a path or stream.
    * @param {Object} options - Upload options
-   * @param {File|Blob|Buffer} options.file - File to upload
-   * @param {string} options.fileName - Original file name
+   * @param {File|Blob|Buffer|Uint8Array|string|Readable} options.file - File to upload (file paths and streams in Node.js)
+   * @param {string} [options.fileName] - Original file name (defaults to the base name of a file path)
    * @param {string} [options.eventId] - Associated event ID
    * @param {string} [options.streamId] - Associated stream ID
    * @param {string} [options.deviceId] - Associated device ID
    * @param {string} [options.businessId] - Associated business ID
    * @param {Object} [options.metadata] - Additional metadata
    * @param {boolean} [options.isPublic=false] - Whether file is publicly accessible
+   * @param {number} [options.chunkSize] - Chunk size in bytes for chunked uploads (default: 8 MiB)
+   * @param {string} [options.uploadId] - Resume the chunked upload session with this ID
+   * @param {Function} [options.onProgress] - Called with { uploadId, bytesSent, totalBytes, rate } after each chunk
+   * @param {Object|boolean} [options.chunkRetry] - Retry policy for each chunk (default: client retry policy)
+   * @param {number} [options.size] - Size in bytes of a stream, if known
+   * @param {string} [options.contentType] - Content type of a chunked upload
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Uploaded file info
    */
-  async uploadFile(options) {
+  async uploadFile(options, requestOptions = {}) {
     this._ensureConnected();
     
     if (!options.file) {
       throw new Error('file is required');
     }
     
-    if (!options.fileName) {
+    const fileName = options.fileName || (typeof options.file === 'string' ? options.file.split(/[\\/]/).pop() : null);
+    if (!fileName) {
       throw new Error('fileName is required');
     }
     
+    if (options.chunkSize || options.uploadId || options.onProgress ||
+      typeof options.file === 'string' || isStreamSource(options.file)) {
+      return uploadChunked(this, { ...options, fileName }, requestOptions);
+    }
+    
     // Create form data
     const formData = new FormData();
     formData.append('file', options.file);
@@ -382,34 +841,33 @@ class CybernateAI {
     if (options.isPublic !== undefined) formData.append('isPublic', options.isPublic);
     
     // Use fetch directly for multipart form data
-    const url = `${this.baseUrl}/storage/upload`;
+    const path = '/storage/upload';
     
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: formData,
-      timeout: this.timeout
-    });
+    const headers = {
+      'Authorization': `Bearer ${this.apiKey}`
+    };
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `HTTP error ${response.status}`);
+    if (requestOptions.idempotencyKey) {
+      headers['Idempotency-Key'] = requestOptions.idempotencyKey;
     }
     
-    return await response.json();
+    return this._withRetry('POST', path, requestOptions, () => this._fetchJson('POST', path, {
+      method: 'POST',
+      headers,
+      body: formData
+    }, requestOptions));
   }
 
   /**
    * Get information about a stored file
    * @param {string} fileId - File ID
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - File info
    */
-  async getFileInfo(fileId) {
+  async getFileInfo(fileId, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('GET', `/storage/files/${fileId}`);
+    return this._request('GET', `/storage/files/${fileId}`, null, requestOptions);
   }
 
   /**
@@ -424,9 +882,10 @@ class CybernateAI {
    * @param {string} [query.mimeType] - Filter by MIME type
    * @param {number} [query.page=1] - Page number
    * @param {number} [query.limit=20] - Results per page
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Query results with pagination
    */
-  async queryFiles(query = {}) {
+  async queryFiles(query = {}, requestOptions = {}) {
     this._ensureConnected();
     
     const queryParams = new URLSearchParams();
@@ -438,30 +897,91 @@ class CybernateAI {
       }
     });
     
-    return this._request('GET', `/storage/files?${queryParams.toString()}`);
+    return this._request('GET', `/storage/files?${queryParams.toString()}`, null, requestOptions);
   }
 
   /**
    * Delete a file
    * @param {string} fileId - File ID
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response
    */
-  async deleteFile(fileId) {
-    this._ensureConnected();
+  async deleteFile(fileId, requestOptions = {}) {
+    this._ensureConnectedOrQueueing();
+    
+    return this._request('DELETE', `/storage/files/${fileId}`, null, { queue: true, ...requestOptions });
+  }
+
+  /**
+   * Delete many files; files that no longer exist are reported as skipped
+   * @param {string[]} fileIds - File IDs
+   * @param {Object} [options] - Bulk options, plus per-call request options applied to every request
+   * @param {number} [options.concurrency=5] - Max requests in flight
+   * @param {Function} [options.onProgress] - Called with { completed, total, succeeded, failed, skipped, item } after each item
+   * @param {AbortSignal} [options.signal] - Stops starting new items and cancels requests in flight
+   * @returns {Promise<Object>} - { results, succeeded, failed, skipped, aborted }
+   */
+  async deleteFiles(fileIds, options = {}) {
+    this._ensureConnectedOrQueueing();
+    
+    const { concurrency, onProgress, ...requestOptions } = options;
     
-    return this._request('DELETE', `/storage/files/${fileId}`);
+    return runBulk(fileIds, (id, callOptions) => this.deleteFile(id, callOptions), {
+      concurrency,
+      onProgress,
+      skipNotFound: true,
+      requestOptions,
+      logger: this.logger
+    });
   }
 
   /**
    * Get a signed URL for a file
    * @param {string} fileId - File ID
    * @param {number} [expiresIn=3600] - Expiration time in seconds
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response with signed URL
    */
-  async getFileUrl(fileId, expiresIn = 3600) {
+  async getFileUrl(fileId, expiresIn = 3600, requestOptions = {}) {
+    this._ensureConnected();
+    
+    return this._request('GET', `/storage/files/${fileId}/url?expiresIn=${expiresIn}`, null, requestOptions);
+  }
+
+  /**
+   * Download a file's content from its signed URL
+   * @param {string} fileId - File ID
+   * @param {Object} [options] - Download options
+   * @param {Object|string} [options.range] - Byte range: { start, end } (end inclusive) or a `bytes=` Range header value
+   * @param {AbortSignal} [options.signal] - Signal to cancel the download, including the body
+   * @param {Function} [options.onProgress] - Called with { fileId, bytesReceived, totalBytes, rate } as data arrives
+   * @param {number} [options.expiresIn] - Lifetime of the signed URL in seconds (default: 3600)
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
+   * @returns {Promise<Object>} - { stream, contentType, size, totalSize, partial, contentRange }; `stream` is a web
+   *   ReadableStream in browsers and a Node.js Readable in Node.js
+   */
+  async downloadFile(fileId, options = {}, requestOptions = {}) {
+    this._ensureConnected();
+    
+    return downloadFile(this, fileId, options, requestOptions);
+  }
+
+  /**
+   * Download a file to disk (Node.js), verifying its size and checksum against getFileInfo()
+   * The file is written next to `filePath` and only moved into place once verified.
+   * @param {string} fileId - File ID
+   * @param {string} filePath - Destination path
+   * @param {Object} [options] - Download options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the download
+   * @param {Function} [options.onProgress] - Called with { fileId, bytesReceived, totalBytes, rate } as data arrives
+   * @param {boolean} [options.verify=true] - Verify size and checksum against the file info
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
+   * @returns {Promise<Object>} - { path, size, contentType, checksum }
+   */
+  async downloadFileTo(fileId, filePath, options = {}, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('GET', `/storage/files/${fileId}/url?expiresIn=${expiresIn}`);
+    return downloadFileTo(this, fileId, filePath, options, requestOptions);
   }
 
   /**
@@ -470,12 +990,13 @@ class CybernateAI {
    * @param {Object} [options] - Capture options
    * @param {boolean} [options.isPublic=false] - Whether captured frame is publicly accessible
    * @param {Object} [options.metadata] - Additional metadata
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Captured frame info
    */
-  async captureStreamFrame(streamId, options = {}) {
+  async captureStreamFrame(streamId, options = {}, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('POST', `/storage/capture/${streamId}`, options);
+    return this._request('POST', `/storage/capture/${streamId}`, options, requestOptions);
   }
 
   // ===== ANALYTICS SERVICE METHODS =====
@@ -489,9 +1010,10 @@ class CybernateAI {
    * @param {string} [options.startDate] - Filter by start date (ISO string)
    * @param {string} [options.endDate] - Filter by end date (ISO string)
    * @param {number} [options.limit=30] - Maximum records to return
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Array>} - Analytics data
    */
-  async getAnalytics(businessId, options = {}) {
+  async getAnalytics(businessId, options = {}, requestOptions = {}) {
     this._ensureConnected();
     
     const queryParams = new URLSearchParams();
@@ -504,7 +1026,7 @@ class CybernateAI {
       }
     });
     
-    return this._request('GET', `/analytics?${queryParams.toString()}`);
+    return this._request('GET', `/analytics?${queryParams.toString()}`, null, requestOptions);
   }
 
   /**
@@ -518,9 +1040,10 @@ class CybernateAI {
    * @param {string} [options.endDate] - Filter by end date (ISO string)
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.limit=20] - Results per page
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Insights with pagination
    */
-  async getInsights(businessId, options = {}) {
+  async getInsights(businessId, options = {}, requestOptions = {}) {
     this._ensureConnected();
     
     const queryParams = new URLSearchParams();
@@ -533,32 +1056,34 @@ class CybernateAI {
       }
     });
     
-    return this._request('GET', `/analytics/insights?${queryParams.toString()}`);
+    return this._request('GET', `/analytics/insights?${queryParams.toString()}`, null, requestOptions);
   }
 
   /**
    * Acknowledge an insight
    * @param {string} insightId - Insight ID
    * @param {string} [actionTaken] - Action taken in response to insight
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Updated insight
    */
-  async acknowledgeInsight(insightId, actionTaken) {
-    this._ensureConnected();
+  async acknowledgeInsight(insightId, actionTaken, requestOptions = {}) {
+    this._ensureConnectedOrQueueing();
     
     return this._request('POST', `/analytics/insights/${insightId}/acknowledge`, {
       actionTaken: actionTaken || 'Reviewed'
-    });
+    }, { queue: true, ...requestOptions });
   }
 
   /**
    * Get dashboard analytics for a business
    * @param {string} businessId - Business ID
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Dashboard data
    */
-  async getDashboardAnalytics(businessId) {
+  async getDashboardAnalytics(businessId, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('GET', `/analytics/dashboard/${businessId}`);
+    return this._request('GET', `/analytics/dashboard/${businessId}`, null, requestOptions);
   }
 
   // ===== INTEGRATION SERVICE METHODS =====
@@ -571,9 +1096,10 @@ class CybernateAI {
    * @param {boolean} [query.isActive] - Filter by active status
    * @param {number} [query.page=1] - Page number
    * @param {number} [query.limit=20] - Results per page
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Integrations with pagination
    */
-  async getIntegrations(query = {}) {
+  async getIntegrations(query = {}, requestOptions = {}) {
     this._ensureConnected();
     
     const queryParams = new URLSearchParams();
@@ -585,7 +1111,7 @@ class CybernateAI {
       }
     });
     
-    return this._request('GET', `/integrations?${queryParams.toString()}`);
+    return this._request('GET', `/integrations?${queryParams.toString()}`, null, requestOptions);
   }
 
   /**
@@ -598,57 +1124,62 @@ class CybernateAI {
    * @param {Object} [integrationData.config] - Configuration
    * @param {Object} [integrationData.credentials] - Credentials
    * @param {Object} [integrationData.endpoints] - Endpoints
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Created integration
    */
-  async createIntegration(integrationData) {
+  async createIntegration(integrationData, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('POST', '/integrations', integrationData);
+    return this._request('POST', '/integrations', integrationData, requestOptions);
   }
 
   /**
    * Get integration by ID
    * @param {string} integrationId - Integration ID
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Integration
    */
-  async getIntegration(integrationId) {
+  async getIntegration(integrationId, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('GET', `/integrations/${integrationId}`);
+    return this._request('GET', `/integrations/${integrationId}`, null, requestOptions);
   }
 
   /**
    * Update an integration
    * @param {string} integrationId - Integration ID
    * @param {Object} updateData - Update data
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Updated integration
    */
-  async updateIntegration(integrationId, updateData) {
+  async updateIntegration(integrationId, updateData, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('PUT', `/integrations/${integrationId}`, updateData);
+    return this._request('PUT', `/integrations/${integrationId}`, updateData, requestOptions);
   }
 
   /**
    * Delete an integration
    * @param {string} integrationId - Integration ID
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response
    */
-  async deleteIntegration(integrationId) {
+  async deleteIntegration(integrationId, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('DELETE', `/integrations/${integrationId}`);
+    return this._request('DELETE', `/integrations/${integrationId}`, null, requestOptions);
   }
 
   /**
    * Test an integration
    * @param {string} integrationId - Integration ID
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Test result
    */
-  async testIntegration(integrationId) {
+  async testIntegration(integrationId, requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('POST', `/integrations/${integrationId}/test`);
+    return this._request('POST', `/integrations/${integrationId}/test`, null, requestOptions);
   }
 
   /**
@@ -656,15 +1187,16 @@ class CybernateAI {
    * @param {string} integrationId - Integration ID
    * @param {string} action - Action to trigger
    * @param {Object} [data] - Action data
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Action result
    */
-  async triggerIntegration(integrationId, action, data = {}) {
+  async triggerIntegration(integrationId, action, data = {}, requestOptions = {}) {
     this._ensureConnected();
     
     return this._request('POST', `/integrations/${integrationId}/trigger`, {
       action,
       data
-    });
+    }, requestOptions);
   }
 
   // ===== NOTIFICATION SERVICE METHODS =====
@@ -680,9 +1212,10 @@ class CybernateAI {
    * @param {string} [options.endDate] - Filter by end date (ISO string)
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.limit=20] - Results per page
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Notifications with pagination
    */
-  async getNotifications(options = {}) {
+  async getNotifications(options = {}, requestOptions = {}) {
     this._ensureConnected();
     
     const queryParams = new URLSearchParams();
@@ -694,73 +1227,104 @@ class CybernateAI {
       }
     });
     
-    return this._request('GET', `/notifications?${queryParams.toString()}`);
+    return this._request('GET', `/notifications?${queryParams.toString()}`, null, requestOptions);
   }
 
   /**
    * Mark a notification as read
    * @param {string} notificationId - Notification ID
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Updated notification
    */
-  async markNotificationAsRead(notificationId) {
-    this._ensureConnected();
+  async markNotificationAsRead(notificationId, requestOptions = {}) {
+    this._ensureConnectedOrQueueing();
+    
+    return this._request('POST', `/notifications/${notificationId}/read`, null, { queue: true, ...requestOptions });
+  }
+
+  /**
+   * Mark many notifications as read, reporting the outcome of each
+   * @param {string[]} notificationIds - Notification IDs
+   * @param {Object} [options] - Bulk options, plus per-call request options applied to every request
+   * @param {number} [options.concurrency=5] - Max requests in flight
+   * @param {Function} [options.onProgress] - Called with { completed, total, succeeded, failed, skipped, item } after each item
+   * @param {AbortSignal} [options.signal] - Stops starting new items and cancels requests in flight
+   * @returns {Promise<Object>} - { results, succeeded, failed, skipped, aborted }
+   */
+  async markNotificationsAsRead(notificationIds, options = {}) {
+    this._ensureConnectedOrQueueing();
     
-    return this._request('POST', `/notifications/${notificationId}/read`);
+    const { concurrency, onProgress, ...requestOptions } = options;
+    
+    return runBulk(notificationIds, (id, callOptions) => this.markNotificationAsRead(id, callOptions), {
+      concurrency,
+      onProgress,
+      requestOptions,
+      logger: this.logger
+    });
   }
 
   /**
    * Mark all notifications as read
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response
    */
-  async markAllNotificationsAsRead() {
-    this._ensureConnected();
+  async markAllNotificationsAsRead(requestOptions = {}) {
+    this._ensureConnectedOrQueueing();
     
-    return this._request('POST', '/notifications/read-all');
+    return this._request('POST', '/notifications/read-all', null, { queue: true, ...requestOptions });
   }
 
   /**
    * Get notification preferences
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Notification preferences
    */
-  async getNotificationPreferences() {
+  async getNotificationPreferences(requestOptions = {}) {
     this._ensureConnected();
     
-    return this._request('GET', '/notifications/preferences');
+    return this._request('GET', '/notifications/preferences', null, requestOptions);
   }
 
   /**
    * Update notification preferences
    * @param {Object} preferences - Updated preferences
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Updated preferences
    */
-  async updateNotificationPreferences(preferences) {
-    this._ensureConnected();
+  async updateNotificationPreferences(preferences, requestOptions = {}) {
+    this._ensureConnectedOrQueueing();
     
-    return this._request('PUT', '/notifications/preferences', preferences);
+    return this._request('PUT', '/notifications/preferences', preferences, { queue: true, ...requestOptions });
   }
 
   /**
    * Add a device token for push notifications
    * @param {string} token - Device token
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response
    */
-  async addDeviceToken(token) {
-    this._ensureConnected();
+  async addDeviceToken(token, requestOptions = {}) {
+    this._ensureConnectedOrQueueing();
     
     return this._request('POST', '/notifications/device-token', {
       token
-    });
+    }, { queue: true, ...requestOptions });
   }
 
   /**
    * Remove a device token
    * @param {string} token - Device token
+   * @param {Object} [requestOptions] - Per-call request options (see README: Request Options)
    * @returns {Promise<Object>} - Response
    */
-  async removeDeviceToken(token) {
-    this._ensureConnected();
+  async removeDeviceToken(token, requestOptions = {}) {
+    this._ensureConnectedOrQueueing();
     
-    return this._request('DELETE', `/notifications/device-token?token=${encodeURIComponent(token)}`);
+    return this._request('DELETE', `/notifications/device-token?token=${encodeURIComponent(token)}`, null, {
+      queue: true,
+      ...requestOptions
+    });
   }
 
   // ===== EVENT LISTENER METHODS =====
@@ -769,8 +1333,10 @@ class CybernateAI {
    * Register event listener
    * @param {string} event - Event type to listen for
    * @param {Function} callback - Callback function
+   * @param {Object} [options] - Filter and rate shaping options (objectTypes, minConfidence, entityIds,
+   *   zone, filter, throttle, debounce, dedupe), applied before the callback runs (see src/filters.js)
    */
-  on(event, callback) {
+  on(event, callback, options) {
     if (typeof callback !== 'function') {
       throw new Error('Callback must be a function');
     }
@@ -779,12 +1345,14 @@ class CybernateAI {
       this.eventListeners[event] = [];
     }
     
-    this.eventListeners[event].push(callback);
+    this.eventListeners[event].push(options
+      ? createListener(callback, options, error => this.logger.error(`Error in event listener for ${event}:`, error))
+      : callback);
     
     // If WebSocket is enabled but not connected, try to set it up
     if (this.enableWebSocket && this._socketIsEnabled() && !this.socket?.connected) {
       this._setupWebSocket()
-        .catch(err => console.warn('Failed to setup WebSocket for event listener:', err.message));
+        .catch(err => this.logger.warn('Failed to setup WebSocket for event listener:', err.message));
     }
   }
 
@@ -798,12 +1366,110 @@ class CybernateAI {
       return;
     }
     
+    const removed = this.eventListeners[event].filter(cb => !callback || isListenerFor(cb, callback));
+    removed.forEach(cb => cb.cancel && cb.cancel());
+    
     if (!callback) {
       delete this.eventListeners[event];
       return;
     }
     
-    this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    this.eventListeners[event] = this.eventListeners[event].filter(cb => !isListenerFor(cb, callback));
+  }
+
+  /**
+   * Wait for the next event of a type
+   * @param {string} event - Event type to wait for
+   * @param {Object} [options] - Wait options, plus any on() filter options (e.g. `filter`)
+   * @param {number} [options.timeout] - Reject with CybernateTimeoutError after this many milliseconds
+   * @param {AbortSignal} [options.signal] - Reject with CybernateAbortError when aborted
+   * @returns {Promise<Object>} - First matching event
+   */
+  waitFor(event, options = {}) {
+    const { timeout, signal, ...listenerOptions } = options;
+    
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      
+      const cleanup = () => {
+        this.off(event, listener);
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const listener = eventData => {
+        cleanup();
+        resolve(eventData);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(new CybernateAbortError(`Aborted while waiting for ${event}`, { cause: signal.reason }));
+      };
+      
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+      
+      this.on(event, listener, Object.keys(listenerOptions).length > 0 ? listenerOptions : undefined);
+      
+      if (timeout) {
+        timer = setTimeout(() => {
+          cleanup();
+          reject(new CybernateTimeoutError(`Timed out after ${timeout}ms waiting for ${event}`));
+        }, timeout);
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Iterate over live events with `for await`
+   * @param {string} event - Event type ('all' for every event)
+   * @param {Object} [options] - Stream options, plus any on() filter options
+   * @param {number} [options.bufferSize=100] - Max events buffered while the consumer is busy
+   * @param {string} [options.overflow='drop-oldest'] - 'drop-oldest', 'drop-newest' or 'error'
+   * @param {AbortSignal} [options.signal] - Ends the stream with a CybernateAbortError
+   * @returns {EventStream} - Async iterator of events
+   */
+  stream(event, options = {}) {
+    return new EventStream(this, event, options);
+  }
+
+  /**
+   * Correlate detection events into incidents
+   * Emits `incident.opened`, `incident.updated` and `incident.closed` on this client.
+   * @param {Object} options - Correlator options (see src/incidents.js)
+   * @param {Object[]} options.rules - Correlation rules
+   * @param {number} [options.closeAfter=60000] - Close an incident after this many ms without a related detection
+   * @param {boolean} [options.acknowledgeOnResolve=false] - Acknowledge the member events when an incident is resolved
+   * @returns {IncidentCorrelator} - Running correlator
+   */
+  correlate(options) {
+    return new IncidentCorrelator(this, options).start();
+  }
+
+  /**
+   * Add a request/response middleware
+   * Middleware runs for every API request (including uploads) in registration order. It receives
+   * the outgoing request ({ method, url, path, headers, body, options }) and a `next` function, and
+   * must resolve to a response ({ status, statusText, headers, data }). Calling `next(request)` sends
+   * the (possibly modified) request on; returning a response without calling `next` short-circuits it.
+   * Errors, including typed HTTP errors, are thrown out of `next`.
+   * @param {Function} middleware - async (request, next) => response
+   * @returns {CybernateAI} - The client, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+    
+    this.middleware.push(middleware);
+    
+    return this;
   }
 
   /**
@@ -812,11 +1478,17 @@ class CybernateAI {
    */
   getConnectionStatus() {
     return {
+      state: this.connection.state,
+      stateSince: new Date(this.connection.since).toISOString(),
       isConnected: this.isConnected,
       websocketConnected: !!this.socket?.connected,
       websocketEnabled: this.enableWebSocket,
+      transport: this._activeTransport(),
       reconnectCount: this.reconnectCount,
-      activeWatchers: this.activeWatchers.size
+      activeWatchers: this.activeWatchers.size,
+      latency: this.heartbeat.latency,
+      lastHeartbeatAt: this.heartbeat.lastHeartbeatAt ? new Date(this.heartbeat.lastHeartbeatAt).toISOString() : null,
+      lastActivityAt: this.heartbeat.lastActivityAt ? new Date(this.heartbeat.lastActivityAt).toISOString() : null
     };
   }
 
@@ -837,7 +1509,7 @@ class CybernateAI {
       await this._setupWebSocket();
       return true;
     } catch (error) {
-      console.error('Manual WebSocket retry failed:', error.message);
+      this.logger.error('Manual WebSocket retry failed:', error.message);
       return false;
     }
   }
@@ -846,6 +1518,12 @@ class CybernateAI {
    * Disconnect from the service
    */
   disconnect() {
+    this.heartbeat.stop();
+    clearTimeout(this.socketConnectTimer);
+    if (this.offlineQueue) {
+      this.offlineQueue.stop();
+    }
+    
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -855,109 +1533,518 @@ class CybernateAI {
     this.isConnecting = false;
     this.reconnectCount = 0;
     this.activeWatchers.clear();
+    this.disconnectedAt = null;
+    this.connection.transition(CONNECTION_STATE.DISCONNECTED, 'client_disconnect');
+  }
+
+  /**
+   * Replay the calls queued while offline, in order
+   * @returns {Promise<Object>} - { flushed, failed, remaining }
+   */
+  async flushQueue() {
+    return this._requireOfflineQueue().flush();
+  }
+
+  /**
+   * List the calls queued while offline, oldest first
+   * @returns {Promise<Object[]>} - Entries { id, method, path, data, idempotencyKey, queuedAt, attempts, lastError }
+   */
+  async getQueuedRequests() {
+    return this._requireOfflineQueue().list();
+  }
+
+  /**
+   * Drop every call queued while offline
+   * @returns {Promise<void>}
+   */
+  async clearQueue() {
+    return this._requireOfflineQueue().clear();
   }
 
   // ===== PRIVATE METHODS =====
 
   /**
-   * Make API request with enhanced authentication
-   * @param {string} method - HTTP method
-   * @param {string} path - API path
-   * @param {Object} [data] - Request data
-   * @returns {Promise<Object>} - Response data
+   * @returns {OfflineQueue}
    * @private
    */
-  async _request(method, path, data = null) {
-    const url = `${this.baseUrl}${path}`;
-    
-    // Multiple authentication header formats for compatibility
-    const headers = {
-      'Authorization': `Bearer ${this.apiKey}`,
-      'X-API-Key': this.apiKey,
-      'Content-Type': 'application/json',
-      'User-Agent': 'Cybernate-SDK/1.0',
-      'Accept': 'application/json'
-    };
+  _requireOfflineQueue() {
+    if (!this.offlineQueue) {
+      throw new Error('Offline mode is not enabled. Pass the `offline` option to the constructor.');
+    }
     
-    const options = {
-      method,
-      headers,
-      timeout: this.timeout
-    };
+    return this.offlineQueue;
+  }
+
+  /**
+   * Get or create the Watcher handle for a server side watcher
+   * @param {Object} info - Watcher record from the server
+   * @param {Object} [watchOptions] - Saved watch() options
+   * @returns {Watcher}
+   * @private
+   */
+  _attachWatcher(info, watchOptions = {}) {
+    let watcher = this.watchers.get(info.id);
     
-    if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-      options.body = JSON.stringify(data);
+    if (!watcher) {
+      watcher = new Watcher(this, { ...info, watcherId: info.id }, watchOptions);
+      this.watchers.set(watcher.id, watcher);
     }
     
-    // Debug logging
-    console.log('API Request:', {
-      method,
-      url,
-      headers: {
-        ...headers,
-        'Authorization': headers.Authorization ? 'Bearer [REDACTED]' : 'Missing',
-        'X-API-Key': headers['X-API-Key'] ? '[REDACTED]' : 'Missing'
-      },
-      hasBody: !!options.body
-    });
-    
+    return watcher;
+  }
+
+  /**
+   * Save a watcher to the watcher store
+   * Store failures are logged rather than thrown, so they never fail the API call itself.
+   * @param {Watcher} watcher - Watcher to save
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveWatcher(watcher) {
     try {
-      const response = await fetch(url, options);
-      
-      // Track rate limits
-      if (response.headers.has('X-RateLimit-Limit')) {
-        this.rateLimit.limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
-      }
-      if (response.headers.has('X-RateLimit-Remaining')) {
-        this.rateLimit.remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
-      }
-      if (response.headers.has('X-RateLimit-Reset')) {
-        this.rateLimit.reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+      await this.watcherStore.set(watcher.id, {
+        id: watcher.id,
+        type: watcher.type,
+        entityId: watcher.entityId,
+        options: JSON.parse(JSON.stringify(watcher.options)),
+        createdAt: watcher.createdAt.toISOString()
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to save watcher ${watcher.id} to store:`, error.message);
+    }
+  }
+
+  /**
+   * Create an async iterable over all items of a paged endpoint
+   * @param {string} itemsKey - Response property holding the page items
+   * @param {Function} queryFn - Called with (query, requestOptions), returns one page
+   * @param {Object} [query] - Query parameters; `page` and `limit` set the start page and page size
+   * @param {Object} [options] - Iteration options, plus per-call request options passed to every page request
+   * @param {number} [options.maxItems] - Stop after this many items
+   * @param {number} [options.prefetch=1] - Pages to fetch ahead while the current page is consumed (0 disables)
+   * @returns {PageIterator}
+   * @private
+   */
+  _paginate(itemsKey, queryFn, query = {}, options = {}) {
+    const { maxItems, prefetch, ...requestOptions } = options;
+    
+    return new PageIterator(
+      (page, limit) => queryFn({ ...query, page, limit }, requestOptions),
+      {
+        itemsKey,
+        startPage: query.page,
+        limit: query.limit,
+        maxItems,
+        prefetch
+      }
+    );
+  }
+
+  /**
+   * Make API request with enhanced authentication, retrying transient failures
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [data] - Request data
+   * @param {Object} [requestOptions] - Per-call request options
+   * @param {Object|boolean} [requestOptions.retry] - Retry policy override, or false to disable retries
+   * @param {string} [requestOptions.idempotencyKey] - Idempotency key; makes POST requests retryable
+   * @param {AbortSignal} [requestOptions.signal] - Signal to cancel the request (including pending retries)
+   * @param {number} [requestOptions.timeout] - Per-attempt timeout override in milliseconds
+   * @returns {Promise<Object>} - Response data
+   * @private
+   */
+  async _request(method, path, data = null, requestOptions = {}) {
+    if (this.offlineQueue && requestOptions.queue && QUEUEABLE_METHODS.includes(method)) {
+      return this.offlineQueue.send(method, path, data, requestOptions);
+    }
+    
+    return this._withRetry(method, path, requestOptions, () => this._performRequest(method, path, data, requestOptions));
+  }
+
+  /**
+   * Run a request attempt, retrying it according to the client and per-call retry policy
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} requestOptions - Per-call request options
+   * @param {Function} attemptFn - Performs a single attempt and returns a promise
+   * @returns {Promise<Object>} - Result of the first successful attempt
+   * @private
+   */
+  async _withRetry(method, path, requestOptions, attemptFn) {
+    const policy = requestOptions.retry === undefined
+      ? this.retryPolicy
+      : normalizeRetryPolicy(requestOptions.retry, this.retryPolicy);
+    const idempotent = !!requestOptions.idempotencyKey;
+    const { signal } = requestOptions;
+    
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) {
+        throw this._createAbortError(method, path, signal);
       }
       
-      // Enhanced error handling
-      if (!response.ok) {
-        let errorData;
-        try {
-          errorData = await response.json();
-        } catch (e) {
-          errorData = { message: `HTTP ${response.status}: ${response.statusText}` };
-        }
-        
-        // Log the full error for debugging
-        console.error('API Error Response:', {
-          status: response.status,
-          statusText: response.statusText,
-          url,
-          errorData
+      try {
+        return await this.scheduler.schedule(attemptFn, {
+          signal,
+          onAbort: () => this._createAbortError(method, path, signal)
         });
+      } catch (error) {
+        // Hold every queued request, not just this one, until the server allows more
+        if (error instanceof CybernateRateLimitError && error.retryAfter !== null) {
+          this.scheduler.pauseUntil(Date.now() + error.retryAfter * 1000);
+          this._emit('rateLimit', {
+            ...this.rateLimit,
+            remaining: 0,
+            retryAfter: error.retryAfter,
+            queued: this.scheduler.pending
+          });
+        }
         
-        // Specific error messages for common issues
-        if (response.status === 401) {
-          throw new Error(`Authentication failed: ${errorData.message || 'Invalid API key'}`);
-        } else if (response.status === 403) {
-          throw new Error(`Access forbidden: ${errorData.message || 'Insufficient permissions'}`);
-        } else if (response.status === 404) {
-          throw new Error(`Endpoint not found: ${errorData.message || 'The requested resource was not found'}`);
-        } else if (response.status >= 500) {
-          throw new Error(`Server error: ${errorData.message || 'Internal server error'}`);
-        } else {
-          throw new Error(errorData.message || `HTTP error ${response.status}`);
+        if (!shouldRetry(policy, { method, attempt, idempotent }, error)) {
+          throw error;
         }
+        
+        const delay = computeRetryDelay(policy, attempt, error);
+        this.logger.warn(`Retrying ${method} ${path} in ${delay}ms (attempt ${attempt + 1}/${policy.maxAttempts}):`, error.message);
+        await sleep(delay, signal);
       }
+    }
+  }
+
+  /**
+   * Perform a single API request attempt
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [data] - Request data
+   * @param {Object} [requestOptions] - Per-call request options
+   * @returns {Promise<Object>} - Response data
+   * @private
+   */
+  async _performRequest(method, path, data = null, requestOptions = {}) {
+    // Multiple authentication header formats for compatibility
+    const headers = {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'X-API-Key': this.apiKey,
+      'Content-Type': 'application/json',
+      'User-Agent': 'Cybernate-SDK/1.0',
+      'Accept': 'application/json'
+    };
+    
+    if (requestOptions.idempotencyKey) {
+      headers['Idempotency-Key'] = requestOptions.idempotencyKey;
+    }
+    
+    const options = {
+      method,
+      headers
+    };
+    
+    if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
+      options.body = data;
+    }
+    
+    return this._fetchJson(method, path, options, requestOptions);
+  }
+
+  /**
+   * Send a request through the middleware pipeline and return its parsed JSON response,
+   * enforcing the timeout and caller signal
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} init - Fetch options; a plain object body is sent as JSON
+   * @param {Object} [requestOptions] - Per-call request options
+   * @param {AbortSignal} [requestOptions.signal] - Signal to cancel the request
+   * @param {number} [requestOptions.timeout] - Timeout override in milliseconds
+   * @returns {Promise<Object>} - Response data
+   * @private
+   */
+  async _fetchJson(method, path, init, requestOptions = {}) {
+    const scope = this._createAbortScope(requestOptions);
+    const request = {
+      method,
+      url: `${this.baseUrl}${path}`,
+      path,
+      headers: { ...init.headers },
+      body: init.body,
+      options: requestOptions
+    };
+    
+    try {
+      const response = await this._runMiddleware(request, req => this._send(req, scope));
       
-      const responseData = await response.json();
-      console.log('API Response:', { status: response.status, data: responseData });
+      if (!response || typeof response !== 'object') {
+        throw new CybernateError('Middleware must resolve to a response object', {
+          code: 'INVALID_MIDDLEWARE_RESPONSE',
+          method,
+          path
+        });
+      }
       
-      return responseData;
+      return response.data;
+    } finally {
+      scope.cleanup();
+    }
+  }
+
+  /**
+   * Run a request through the registered middleware, ending with `send`
+   * @param {Object} request - Outgoing request
+   * @param {Function} send - Performs the request, returns a promise for the response
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  _runMiddleware(request, send) {
+    const dispatch = (index, req) => {
+      const middleware = this.middleware[index];
+      if (!middleware) {
+        return send(req);
+      }
+      
+      return Promise.resolve().then(() => middleware(req, (nextReq) => dispatch(index + 1, nextReq || req)));
+    };
+    
+    return dispatch(0, request);
+  }
+
+  /**
+   * Perform the HTTP call for a request at the end of the middleware pipeline
+   * @param {Object} request - Request built by _fetchJson (possibly modified by middleware)
+   * @param {Object} scope - Abort scope of the request
+   * @returns {Promise<{status: number, statusText: string, headers: Headers, data: *}>} - Response
+   * @private
+   */
+  async _send(request, scope) {
+    const { method, url, path, headers } = request;
+    const isJson = request.body !== null && typeof request.body === 'object' &&
+      (Array.isArray(request.body) || Object.prototype.toString.call(request.body) === '[object Object]');
+    const body = isJson ? JSON.stringify(request.body) : request.body;
+    
+    if (this.logger.enabled('debug')) {
+      this.logger.debug('API Request:', {
+        method,
+        url,
+        headers: {
+          ...headers,
+          'Authorization': headers.Authorization ? 'Bearer [REDACTED]' : 'Missing',
+          'X-API-Key': headers['X-API-Key'] ? '[REDACTED]' : undefined
+        },
+        body: body ? this._logBody(request.body) : undefined
+      });
+    }
+    
+    let response;
+    try {
+      response = await fetch(url, { method, headers, body, signal: scope.signal });
     } catch (error) {
-      // Enhanced error context
-      if (error.message.includes('fetch')) {
-        throw new Error(`Network error: Unable to connect to ${url}. Please check your internet connection.`);
+      throw this._createFetchError(error, method, path, scope);
+    }
+    
+    this._trackRateLimit(response);
+    
+    // Enhanced error handling
+    if (!response.ok) {
+      let errorData;
+      try {
+        errorData = await response.json();
+      } catch (e) {
+        errorData = null;
+      }
+      
+      if (scope.signal.aborted) {
+        throw this._createFetchError(new Error('Aborted while reading response'), method, path, scope);
       }
       
-      throw new Error(`API request failed: ${error.message}`);
+      const error = createHttpError(response, errorData, { method, path });
+      
+      this.logger.debug('API Error Response:', {
+        status: response.status,
+        statusText: response.statusText,
+        url,
+        errorData: this._logBody(errorData)
+      });
+      
+      throw error;
+    }
+    
+    let responseData;
+    try {
+      responseData = await response.json();
+    } catch (error) {
+      if (scope.signal.aborted) {
+        throw this._createFetchError(error, method, path, scope);
+      }
+      throw error;
     }
+    this.logger.debug('API Response:', { status: response.status, data: this._logBody(responseData) });
+    
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      data: responseData
+    };
+  }
+
+  /**
+   * Fetch a URL and return the raw response for streaming its body
+   * The timeout only covers the response headers; the caller's signal keeps aborting the body
+   * until `scope.cleanup()` is called.
+   * @param {string} url - Absolute URL
+   * @param {string} path - API path used in errors and logs
+   * @param {Object} init - Fetch options (method, headers)
+   * @param {Object} [requestOptions] - Per-call request options (signal, timeout)
+   * @returns {Promise<{response: Object, scope: Object}>} - Response and its abort scope
+   * @private
+   */
+  async _fetchResponse(url, path, init, requestOptions = {}) {
+    const method = init.method || 'GET';
+    const scope = this._createAbortScope(requestOptions);
+    
+    this.logger.debug('API Request:', { method, path, headers: init.headers });
+    
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: scope.signal });
+    } catch (error) {
+      scope.cleanup();
+      throw this._createFetchError(error, method, path, scope);
+    }
+    
+    scope.clearTimeout();
+    
+    if (!response.ok) {
+      let errorData;
+      try {
+        errorData = await response.json();
+      } catch (e) {
+        errorData = null;
+      }
+      scope.cleanup();
+      
+      throw createHttpError(response, errorData, { method, path });
+    }
+    
+    return { response, scope };
+  }
+
+  /**
+   * Create an abort controller that fires on timeout or when the caller's signal aborts
+   * @param {Object} requestOptions - Per-call request options
+   * @returns {{signal: AbortSignal, timeout: number, timedOut: boolean, clearTimeout: Function, cleanup: Function}}
+   * @private
+   */
+  _createAbortScope(requestOptions) {
+    const controller = new AbortController();
+    const { signal } = requestOptions;
+    const scope = {
+      signal: controller.signal,
+      timeout: requestOptions.timeout || this.timeout,
+      timedOut: false
+    };
+    
+    const timer = setTimeout(() => {
+      scope.timedOut = true;
+      controller.abort();
+    }, scope.timeout);
+    
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+    
+    scope.clearTimeout = () => clearTimeout(timer);
+    scope.cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    
+    return scope;
+  }
+
+  /**
+   * Create the error thrown when the caller aborts a request
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {AbortSignal} [signal] - The aborted signal
+   * @returns {CybernateAbortError}
+   * @private
+   */
+  _createAbortError(method, path, signal) {
+    return new CybernateAbortError(`Request aborted: ${method} ${path}`, {
+      method,
+      path,
+      cause: signal?.reason
+    });
+  }
+
+  /**
+   * Record rate limit headers, feed them to the scheduler and emit a `rateLimit` event
+   * @param {Object} response - Fetch response
+   * @private
+   */
+  _trackRateLimit(response) {
+    if (!response.headers.has('X-RateLimit-Remaining')) {
+      return;
+    }
+    
+    if (response.headers.has('X-RateLimit-Limit')) {
+      this.rateLimit.limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
+    }
+    this.rateLimit.remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+    if (response.headers.has('X-RateLimit-Reset')) {
+      const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+      this.rateLimit.reset = reset;
+      // Accept both epoch seconds and seconds until reset
+      this.rateLimit.resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+    }
+    
+    this.scheduler.updateBudget(this.rateLimit.remaining, this.rateLimit.resetAt);
+    this._emit('rateLimit', { ...this.rateLimit, queued: this.scheduler.pending });
+  }
+
+  /**
+   * Prepare a request or response body for logging
+   * @param {*} body - Body to log
+   * @returns {*} - The body itself if `logBodies` is enabled, otherwise a redacted summary
+   * @private
+   */
+  _logBody(body) {
+    if (!this.logBodies) {
+      return redactBody(body);
+    }
+
+    // Binary bodies (upload chunks, files) are summarized even when bodies are logged
+    return describeBinary(body) || body;
+  }
+
+  /**
+   * Convert an error thrown by fetch itself into a typed SDK error
+   * @param {Error} error - Error thrown by fetch
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [scope] - Abort scope of the request
+   * @returns {CybernateError}
+   * @private
+   */
+  _createFetchError(error, method, path, scope) {
+    const details = { method, path, cause: error };
+    const timeout = scope ? scope.timeout : this.timeout;
+    
+    if (scope?.timedOut || error.type === 'request-timeout' || error.name === 'TimeoutError') {
+      return new CybernateTimeoutError(`Request timed out after ${timeout}ms: ${method} ${path}`, details);
+    }
+    
+    if (scope?.signal.aborted || error.name === 'AbortError') {
+      return this._createAbortError(method, path);
+    }
+    
+    return new CybernateNetworkError(
+      `Network error: Unable to connect to ${this.baseUrl}${path}. Please check your internet connection.`,
+      details
+    );
   }
 
   /**
@@ -968,84 +2055,107 @@ class CybernateAI {
   async _setupWebSocket() {
     return new Promise((resolve, reject) => {
       if (!this._socketIsEnabled()) {
-        return reject(new Error('WebSocket not enabled or supported'));
+        return reject(new CybernateError('WebSocket not enabled or supported', { code: 'WEBSOCKET_UNAVAILABLE' }));
       }
       
       try {
-        let io;
-        // Load socket.io client in browser environment
-        if (typeof window !== 'undefined' && typeof window.io !== 'undefined') {
-          io = window.io;
-        } else if (typeof require === 'function') {
-          // In Node.js
-          try {
-            io = require('socket.io-client');
-          } catch (e) {
-            return reject(new Error('socket.io-client package not found. Install with: npm install socket.io-client'));
-          }
-        } else {
-          return reject(new Error('Socket.io client not available. Include socket.io-client in your project.'));
-        }
-        
         // Clean up existing socket
+        const lastEventId = this.socket?.lastEventId;
+        clearTimeout(this.socketConnectTimer);
         if (this.socket) {
           this.socket.disconnect();
           this.socket = null;
         }
         
-        // Create new socket with better configuration
-        this.socket = io(`${this.baseUrl}/events`, {
-          auth: { token: this.apiKey },
-          transports: ['websocket', 'polling'], // Allow fallback to polling
-          reconnection: this.autoReconnect,
-          reconnectionAttempts: this.reconnectAttempts,
-          reconnectionDelay: this.reconnectDelay,
-          timeout: this.timeout,
-          forceNew: true
-        });
+        // Create the transport (socket.io, SSE or custom); all expose the socket.io client API
+        this.socket = this._createTransport(lastEventId);
         
         // Set up event handlers
         this.socket.on('connect', () => {
-          console.log('Connected to Cybernate events socket');
+          this.logger.info('Connected to Cybernate events socket');
           this.reconnectCount = 0;
+          this.heartbeat.start();
+          
+          // connect() reports the initial connection once authentication completes
+          if (this.isConnected) {
+            this.connection.transition(CONNECTION_STATE.CONNECTED, 'websocket_connected');
+          }
+          
+          if (this.disconnectedAt && this.replayOnReconnect) {
+            this._replayMissedEvents();
+          }
+          
           resolve();
         });
         
         this.socket.on('disconnect', (reason) => {
-          console.log('Disconnected from Cybernate events socket:', reason);
+          this.logger.info('Disconnected from Cybernate events socket:', reason);
+          this.heartbeat.stop();
+          
+          if (!this.disconnectedAt) {
+            this.disconnectedAt = new Date();
+          }
+          
+          if (this.isConnected && reason !== 'io client disconnect') {
+            this.connection.transition(
+              this.autoReconnect ? CONNECTION_STATE.RECONNECTING : CONNECTION_STATE.DEGRADED,
+              reason
+            );
+          }
           
           // If disconnect was due to server, try to reconnect
           if (reason === 'io server disconnect' && this.autoReconnect) {
             setTimeout(() => {
               if (this.reconnectCount < this.reconnectAttempts) {
                 this.reconnectCount++;
-                console.log(`Attempting to reconnect (${this.reconnectCount}/${this.reconnectAttempts})...`);
+                this.logger.info(`Attempting to reconnect (${this.reconnectCount}/${this.reconnectAttempts})...`);
                 this._setupWebSocket().catch(() => {});
+              } else if (this.isConnected) {
+                this.connection.transition(CONNECTION_STATE.DEGRADED, 'reconnect_failed');
               }
             }, this.reconnectDelay);
           }
         });
         
+        // socket.io gave up on its own reconnection attempts
+        if (this.socket.io && typeof this.socket.io.on === 'function') {
+          this.socket.io.on('reconnect_failed', () => {
+            if (this.isConnected) {
+              this.connection.transition(CONNECTION_STATE.DEGRADED, 'reconnect_failed');
+            }
+          });
+        }
+        
         this.socket.on('connect_error', (error) => {
-          console.error('Socket connection error:', error.message);
+          this.logger.warn('Socket connection error:', error.message);
           
           // If this is the initial connection attempt, reject
           if (this.reconnectCount === 0) {
-            reject(new Error(`WebSocket connection failed: ${error.message}`));
+            clearTimeout(this.socketConnectTimer);
+            reject(this._createSocketError(error));
           }
         });
         
         this.socket.on('error', (error) => {
-          console.error('Socket error:', error);
+          this.logger.error('Socket error:', error);
+        });
+        
+        // Server initiated heartbeats also count as activity
+        this.socket.on('heartbeat', () => {
+          this.heartbeat.touch();
         });
         
         // Listen for events and dispatch to registered listeners
         this.socket.on('event', (eventData) => {
-          this._dispatchEvent(eventData);
+          this.heartbeat.touch();
+          if (this._recordDeliveredEvent(eventData)) {
+            this._dispatchEvent(eventData);
+          }
         });
         
         // Listen for notifications
         this.socket.on('notification', (notificationData) => {
+          this.heartbeat.touch();
           // Dispatch as a special event type
           this._dispatchEvent({
             ...notificationData,
@@ -1055,6 +2165,7 @@ class CybernateAI {
         
         // Listen for system events
         this.socket.on('system', (systemData) => {
+          this.heartbeat.touch();
           this._dispatchEvent({
             ...systemData,
             eventType: 'system'
@@ -1065,9 +2176,10 @@ class CybernateAI {
         const connectionTimeout = setTimeout(() => {
           if (!this.socket?.connected) {
             this.socket?.disconnect();
-            reject(new Error('WebSocket connection timeout'));
+            reject(new CybernateTimeoutError('WebSocket connection timeout', { path: '/events' }));
           }
         }, this.timeout);
+        this.socketConnectTimer = connectionTimeout;
         
         // Clear timeout on successful connection
         this.socket.on('connect', () => {
@@ -1075,9 +2187,188 @@ class CybernateAI {
         });
         
       } catch (error) {
-        reject(new Error(`Failed to initialize WebSocket: ${error.message}`));
+        if (error instanceof CybernateError) {
+          return reject(error);
+        }
+        reject(new CybernateError(`Failed to initialize WebSocket: ${error.message}`, {
+          code: 'WEBSOCKET_INIT_FAILED',
+          path: '/events',
+          cause: error
+        }));
+      }
+    });
+  }
+
+  /**
+   * Start the polling fallback when only HTTP is available, stop it once the socket is back
+   * @param {string} state - New connection state
+   * @private
+   */
+  _updatePolling(state) {
+    if (!this.poller) {
+      return;
+    }
+    
+    if (state === CONNECTION_STATE.DEGRADED) {
+      this.poller.start();
+    } else if (this.poller.running) {
+      this.poller.stop();
+      
+      // Pick up events published between the last poll and the socket reconnecting
+      if (state === CONNECTION_STATE.CONNECTED) {
+        this.poller.poll().catch(error => this.logger.warn('Final event poll failed:', error.message));
+      }
+    }
+  }
+
+  /**
+   * Transport currently delivering events
+   * @returns {string|null} - 'websocket', 'polling' or null
+   * @private
+   */
+  _activeTransport() {
+    if (this.socket?.connected) {
+      if (typeof this.transport === 'function') {
+        return 'custom';
+      }
+      return this.transport === 'sse' ? 'sse' : 'websocket';
+    }
+    
+    return this.poller?.running ? 'polling' : null;
+  }
+
+  /**
+   * Reconnect a socket that went silent (half-open connection)
+   * @param {Object} info - { lastActivityAt, silentFor } from the heartbeat monitor
+   * @private
+   */
+  _handleStaleSocket(info) {
+    this.logger.warn(`No events or heartbeats for ${info.silentFor}ms, reconnecting WebSocket`);
+    this._emit('stale', info);
+    this.connection.transition(CONNECTION_STATE.RECONNECTING, 'stale');
+    
+    this._setupWebSocket().catch(error => {
+      this.logger.warn('Failed to reconnect stale WebSocket:', error.message);
+      if (this.isConnected) {
+        this.connection.transition(CONNECTION_STATE.DEGRADED, 'reconnect_failed', error);
+      }
+    });
+  }
+
+  /**
+   * Convert a socket.io connect_error into a typed SDK error
+   * @param {Error} error - socket.io connection error
+   * @returns {CybernateError}
+   * @private
+   */
+  _createSocketError(error) {
+    const details = {
+      path: '/events',
+      body: error.data !== undefined ? error.data : null,
+      cause: error
+    };
+    const message = `WebSocket connection failed: ${error.message}`;
+    
+    // Errors raised by server middleware (e.g. auth) carry a `data` payload
+    const status = error.data?.status;
+    if (status === 401 || /auth|unauthori[sz]ed|token/i.test(error.message)) {
+      return new CybernateAuthError(message, { ...details, status: status || 401 });
+    }
+    if (status === 403) {
+      return new CybernatePermissionError(message, { ...details, status });
+    }
+    if (/timeout/i.test(error.message)) {
+      return new CybernateTimeoutError(message, details);
+    }
+    
+    return new CybernateNetworkError(message, details);
+  }
+
+  /**
+   * Remember a socket event as delivered
+   * @param {Object} eventData - Event data
+   * @returns {boolean} - False if the event was already delivered
+   * @private
+   */
+  _recordDeliveredEvent(eventData) {
+    const id = eventData.id || eventData.eventId;
+    
+    if (id) {
+      if (this.deliveredEventIds.has(id)) {
+        return false;
+      }
+      
+      this.deliveredEventIds.add(id);
+      
+      // Keep the dedupe window bounded; Sets iterate in insertion order
+      if (this.deliveredEventIds.size > this.replayMaxEvents) {
+        this.deliveredEventIds.delete(this.deliveredEventIds.values().next().value);
+      }
+    }
+    
+    const timestamp = eventData.timestamp || eventData.createdAt;
+    if (timestamp && (!this.lastEvent.timestamp || Date.parse(timestamp) >= Date.parse(this.lastEvent.timestamp))) {
+      this.lastEvent = { id: id || null, timestamp };
+    }
+    
+    return true;
+  }
+
+  /**
+   * Backfill events missed while the socket was disconnected
+   * Queries events since the last delivered event (or the disconnect time), drops the ones
+   * already delivered and dispatches the rest in order, flagged with `replayed: true`.
+   * Emits `gap` when the backfill fails or hits `replayMaxEvents`.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _replayMissedEvents() {
+    if (this.replayInProgress) {
+      return this.replayInProgress;
+    }
+    
+    const from = this.lastEvent.timestamp || this.disconnectedAt.toISOString();
+    const to = new Date().toISOString();
+    this.disconnectedAt = null;
+    
+    this.replayInProgress = (async () => {
+      const missed = [];
+      let truncated = false;
+      
+      try {
+        for await (const event of this.events.iterate({ startDate: from }, { maxItems: this.replayMaxEvents + 1 })) {
+          if (missed.length === this.replayMaxEvents) {
+            truncated = true;
+            break;
+          }
+          missed.push(event);
+        }
+      } catch (error) {
+        this.logger.warn('Failed to replay missed events:', error.message);
+        this._emit('gap', { from, to, reason: 'backfill_failed', error, replayed: 0 });
+        return;
       }
+      
+      missed.sort((a, b) => Date.parse(a.timestamp || a.createdAt) - Date.parse(b.timestamp || b.createdAt));
+      
+      let replayed = 0;
+      for (const event of missed) {
+        if (this._recordDeliveredEvent(event)) {
+          this._dispatchEvent({ ...event, replayed: true });
+          replayed++;
+        }
+      }
+      
+      this.logger.info(`Replayed ${replayed} missed events since ${from}`);
+      
+      if (truncated) {
+        this._emit('gap', { from, to, reason: 'limit_exceeded', replayed });
+      }
+    })().finally(() => {
+      this.replayInProgress = null;
     });
+    
+    return this.replayInProgress;
   }
 
   /**
@@ -1095,7 +2386,7 @@ class CybernateAI {
         try {
           callback(eventData);
         } catch (error) {
-          console.error(`Error in event listener for ${eventType}:`, error);
+          this.logger.error(`Error in event listener for ${eventType}:`, error);
         }
       });
     }
@@ -1106,36 +2397,76 @@ class CybernateAI {
         try {
           callback(eventData);
         } catch (error) {
-          console.error('Error in "all" event listener:', error);
+          this.logger.error('Error in "all" event listener:', error);
         }
       });
     }
+    
+    // Route to the watchers the event belongs to
+    this.watchers.forEach(watcher => {
+      if (watcher._matches(eventData)) {
+        watcher._dispatch(eventData);
+      }
+    });
   }
 
   /**
-   * Check if socket.io is available
-   * @returns {boolean}
+   * Emit an SDK generated event (e.g. `rateLimit`) to its registered listeners
+   * Unlike _dispatchEvent, these are not delivered to 'all' listeners.
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
    * @private
    */
-  _socketIsEnabled() {
-    return (
-      (typeof window !== 'undefined' && typeof window.io !== 'undefined') ||
-      (typeof require === 'function' && this._isSocketIOAvailable())
-    );
+  _emit(event, data) {
+    if (!this.eventListeners[event]) {
+      return;
+    }
+    
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        this.logger.error(`Error in event listener for ${event}:`, error);
+      }
+    });
   }
 
   /**
-   * Check if socket.io-client is available in Node.js
+   * Check if the configured event transport can run in this environment
    * @returns {boolean}
    * @private
    */
-  _isSocketIOAvailable() {
-    try {
-      require.resolve('socket.io-client');
+  _socketIsEnabled() {
+    if (typeof this.transport === 'function') {
       return true;
-    } catch (e) {
-      return false;
     }
+    
+    return this.transport === 'sse' ? isSseAvailable() : isSocketIoAvailable();
+  }
+
+  /**
+   * Create the configured event transport
+   * @param {string} [lastEventId] - Last event ID seen by the previous transport, to resume from
+   * @returns {Object} - Transport exposing the socket.io client API (see src/transports.js)
+   * @private
+   */
+  _createTransport(lastEventId) {
+    const options = {
+      baseUrl: this.baseUrl,
+      apiKey: this.apiKey,
+      lastEventId: lastEventId || this.lastEvent.id,
+      reconnection: this.autoReconnect,
+      reconnectionAttempts: this.reconnectAttempts,
+      reconnectionDelay: this.reconnectDelay,
+      timeout: this.timeout,
+      ssePath: this.ssePath
+    };
+    
+    if (typeof this.transport === 'function') {
+      return this.transport(options);
+    }
+    
+    return this.transport === 'sse' ? createSseTransport(options) : createSocketIoTransport(options);
   }
 
   /**
@@ -1144,14 +2475,45 @@ class CybernateAI {
    */
   _ensureConnected() {
     if (!this.isConnected) {
-      throw new Error('Not connected to Cybernate API. Call connect() first.');
+      throw new CybernateError('Not connected to Cybernate API. Call connect() first.', { code: 'NOT_CONNECTED' });
+    }
+  }
+
+  /**
+   * Like _ensureConnected, but in offline mode queueable calls are let through before the first
+   * successful connect(), so a client starting without network still queues them
+   * @private
+   */
+  _ensureConnectedOrQueueing() {
+    if (!this.offlineQueue) {
+      this._ensureConnected();
     }
   }
 }
 
 // Export for both CommonJS and ES modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { CybernateAI };
-} else if (typeof window !== 'undefined') {
-  window.CybernateAI = CybernateAI;
-}
\ No newline at end of file
+// Assigned one by one so the bundler emits each of them as a named export
+exports.CybernateAI = CybernateAI;
+exports.CybernateError = CybernateError;
+exports.CybernateAuthError = CybernateAuthError;
+exports.CybernatePermissionError = CybernatePermissionError;
+exports.CybernateNotFoundError = CybernateNotFoundError;
+exports.CybernateRateLimitError = CybernateRateLimitError;
+exports.CybernateValidationError = CybernateValidationError;
+exports.CybernateServerError = CybernateServerError;
+exports.CybernateNetworkError = CybernateNetworkError;
+exports.CybernateTimeoutError = CybernateTimeoutError;
+exports.CybernateAbortError = CybernateAbortError;
+exports.CybernateWebhookError = CybernateWebhookError;
+exports.Watcher = Watcher;
+exports.CONNECTION_STATE = CONNECTION_STATE;
+exports.IncidentCorrelator = IncidentCorrelator;
+exports.EventStream = EventStream;
+exports.MemoryWatcherStore = MemoryWatcherStore;
+exports.FileWatcherStore = FileWatcherStore;
+exports.MemoryQueueStore = MemoryQueueStore;
+exports.LocalStorageQueueStore = LocalStorageQueueStore;
+exports.IndexedDBQueueStore = IndexedDBQueueStore;
+exports.FileQueueStore = FileQueueStore;
+exports.verifyWebhookSignature = verifyWebhookSignature;
+exports.createWebhookHandler = createWebhookHandler;
@@ -0,0 +1,96 @@
+/**
+ * Logging helpers for the Cybernate AI SDK
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Wrap a logger so only messages at or above the given level are forwarded
+ * @param {Object} [logger] - Object with debug/info/warn/error methods (defaults to console when undefined or null)
+ * @param {string} [level='warn'] - Minimum level: 'debug', 'info', 'warn', 'error' or 'silent'
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, enabled: Function}}
+ */
+function createLogger(logger, level = 'warn') {
+  if (logger === undefined || logger === null) {
+    logger = console;
+  }
+
+  if (level !== 'silent' && !LOG_LEVELS.includes(level)) {
+    throw new Error(`Invalid logLevel "${level}". Expected one of: silent, ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const threshold = level === 'silent' ? LOG_LEVELS.length : LOG_LEVELS.indexOf(level);
+  const wrapped = {};
+
+  LOG_LEVELS.forEach((name, index) => {
+    const method = typeof logger[name] === 'function'
+      ? logger[name].bind(logger)
+      : (typeof logger.log === 'function' ? logger.log.bind(logger) : null);
+
+    wrapped[name] = index >= threshold && method ? method : () => {};
+  });
+
+  // Lets callers skip building expensive log payloads that would be dropped
+  wrapped.enabled = name => LOG_LEVELS.indexOf(name) >= threshold;
+
+  return wrapped;
+}
+
+/**
+ * Describe a request or response body without exposing its contents
+ * @param {*} body - Body to describe
+ * @returns {string}
+ */
+function redactBody(body) {
+  if (body === null || body === undefined) {
+    return '[empty]';
+  }
+
+  const binary = describeBinary(body);
+  if (binary) {
+    return binary;
+  }
+
+  if (Array.isArray(body)) {
+    return `[REDACTED array(${body.length})]`;
+  }
+
+  if (typeof body === 'object') {
+    return `[REDACTED keys: ${Object.keys(body).join(', ')}]`;
+  }
+
+  return `[REDACTED ${typeof body}]`;
+}
+
+/**
+ * Describe a binary, form or stream body by its size instead of its contents
+ * @param {*} body - Body to describe
+ * @returns {string|null} - null when the body is not one of these
+ */
+function describeBinary(body) {
+  if (body === null || typeof body !== 'object') {
+    return null;
+  }
+
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return `[binary ${body.byteLength} bytes]`;
+  }
+  if (typeof Blob !== 'undefined' && body instanceof Blob) {
+    return `[binary ${body.size} bytes]`;
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return '[form data]';
+  }
+  if (typeof body.getReader === 'function' || typeof body.pipe === 'function') {
+    return '[stream]';
+  }
+
+  return null;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  redactBody,
+  describeBinary
+};
@@ -0,0 +1,358 @@
+/**
+ * Offline request queue for the Cybernate AI SDK
+ * In offline mode, queueable mutating calls (acknowledgeEvent, markNotificationAsRead, ...) that fail
+ * because the API is unreachable are saved to a queue store instead of throwing, and replayed in
+ * order once the API is reachable again. Every queued call carries an idempotency key, so a call
+ * that did reach the server before the connection dropped is not applied twice.
+ *
+ * The client emits:
+ *   queued  - { entry, error, size }            A call was queued
+ *   flushed - { entry, result, conflict, size } A queued call was replayed (or its conflict ignored)
+ *   failed  - { entry, error, conflict, size }  A queued call was rejected and dropped
+ */
+
+const {
+  CybernateNetworkError,
+  CybernateTimeoutError,
+  CybernateServerError,
+  CybernateRateLimitError
+} = require('./errors');
+const { MemoryQueueStore } = require('./stores');
+
+const QUEUEABLE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Responses meaning the server state moved on while the call was queued
+const CONFLICT_STATUSES = [404, 409, 410, 412];
+
+const CONFLICT_RESOLUTIONS = ['discard', 'ignore'];
+
+let entryCounter = 0;
+
+class OfflineQueue {
+  /**
+   * @param {CybernateAI} client - Client sending the requests
+   * @param {Object} [options] - Queue options
+   * @param {Object} [options.store] - Queue store (default: in-memory store)
+   * @param {string|Function} [options.onConflict='discard'] - 'discard', 'ignore' or a function called with
+   *   (entry, error) returning either
+   * @param {number} [options.retryInterval=30000] - Delay in ms before retrying a flush that found the API unreachable
+   * @param {number} [options.maxSize=1000] - Max queued calls; further calls throw their error
+   */
+  constructor(client, options = {}) {
+    const { onConflict = 'discard' } = options;
+    if (typeof onConflict !== 'function' && !CONFLICT_RESOLUTIONS.includes(onConflict)) {
+      throw new Error(`Invalid onConflict "${onConflict}". Expected one of: ${CONFLICT_RESOLUTIONS.join(', ')} or a function`);
+    }
+
+    this.client = client;
+    this.store = options.store || new MemoryQueueStore();
+    this.onConflict = onConflict;
+    this.retryInterval = options.retryInterval || 30000;
+    this.maxSize = options.maxSize || 1000;
+    this.entries = null;
+    this.loading = null;
+    this.saving = Promise.resolve();
+    this.flushing = null;
+    this.timer = null;
+    this.onOnline = () => this.resume();
+  }
+
+  /**
+   * Send a request, queueing it if the API is unreachable
+   * Calls are queued straight away while earlier calls are still waiting, to keep them in order.
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [data] - Request data
+   * @param {Object} requestOptions - Per-call request options
+   * @returns {Promise<Object>} - Response data, or { queued: true, queueId, idempotencyKey } once queued
+   */
+  async send(method, path, data, requestOptions) {
+    const options = {
+      ...requestOptions,
+      idempotencyKey: requestOptions.idempotencyKey || createIdempotencyKey()
+    };
+
+    const entries = await this._load();
+    if (entries.length > 0) {
+      const queued = await this._enqueue(method, path, data, options, null);
+      // The API may be back already; find out now instead of at the next retry
+      this.resume();
+      return queued;
+    }
+
+    try {
+      return await this._perform(method, path, data, options);
+    } catch (error) {
+      if (!isUnreachable(error) || options.signal?.aborted) {
+        throw error;
+      }
+      return this._enqueue(method, path, data, options, error);
+    }
+  }
+
+  /**
+   * Replay queued calls in order
+   * Stops at the first call that finds the API unreachable and retries after `retryInterval`.
+   * @returns {Promise<Object>} - { flushed, failed, remaining }
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this._flush().finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  /**
+   * Flush in the background, logging failures
+   */
+  resume() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.flush().catch(error => {
+      this.client.logger.warn('Failed to flush offline queue:', error.message);
+    });
+  }
+
+  /**
+   * List queued calls, oldest first
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const entries = await this._load();
+    return entries.slice();
+  }
+
+  /**
+   * Drop every queued call
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const entries = await this._load();
+    entries.length = 0;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this._save();
+  }
+
+  /**
+   * Flush now and whenever the browser comes back online
+   */
+  start() {
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      window.addEventListener('online', this.onOnline);
+    }
+    this.resume();
+  }
+
+  /**
+   * Stop retrying; queued calls stay in the store
+   */
+  stop() {
+    if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+      window.removeEventListener('online', this.onOnline);
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @private
+   */
+  async _flush() {
+    const entries = await this._load();
+    const summary = { flushed: 0, failed: 0, remaining: 0 };
+
+    while (entries.length > 0) {
+      const entry = entries[0];
+
+      let result;
+      try {
+        result = await this._perform(entry.method, entry.path, entry.data, { idempotencyKey: entry.idempotencyKey });
+      } catch (error) {
+        if (isUnreachable(error) || error instanceof CybernateServerError || error instanceof CybernateRateLimitError) {
+          entry.attempts++;
+          entry.lastError = error.message;
+          await this._save();
+          this._scheduleRetry();
+          break;
+        }
+
+        const conflict = CONFLICT_STATUSES.includes(error.status);
+        const resolution = conflict ? await this._resolveConflict(entry, error) : 'discard';
+        await this._remove(entry);
+
+        if (resolution === 'ignore') {
+          summary.flushed++;
+          this.client._emit('flushed', { entry, result: null, conflict, size: entries.length });
+        } else {
+          summary.failed++;
+          this.client.logger.warn(`Dropped queued ${entry.method} ${entry.path}:`, error.message);
+          this.client._emit('failed', { entry, error, conflict, size: entries.length });
+        }
+        continue;
+      }
+
+      await this._remove(entry);
+      summary.flushed++;
+      this.client._emit('flushed', { entry, result, conflict: false, size: entries.length });
+    }
+
+    summary.remaining = entries.length;
+    return summary;
+  }
+
+  /**
+   * @private
+   */
+  async _resolveConflict(entry, error) {
+    let resolution = this.onConflict;
+    if (typeof resolution === 'function') {
+      try {
+        resolution = await resolution(entry, error);
+      } catch (resolveError) {
+        this.client.logger.error('Error in offline queue onConflict:', resolveError);
+        resolution = 'discard';
+      }
+    }
+
+    return resolution === 'ignore' ? 'ignore' : 'discard';
+  }
+
+  /**
+   * @private
+   */
+  async _enqueue(method, path, data, options, error) {
+    const entries = await this._load();
+    if (entries.length >= this.maxSize) {
+      this.client.logger.warn(`Offline queue is full (${this.maxSize} calls), not queueing ${method} ${path}`);
+      if (error) {
+        throw error;
+      }
+      return this._perform(method, path, data, options);
+    }
+
+    const entry = {
+      id: `q_${Date.now().toString(36)}_${++entryCounter}`,
+      method,
+      path,
+      data: data === undefined ? null : data,
+      idempotencyKey: options.idempotencyKey,
+      queuedAt: new Date().toISOString(),
+      attempts: error ? 1 : 0,
+      lastError: error ? error.message : null
+    };
+
+    entries.push(entry);
+    await this._save();
+
+    this.client.logger.info(`Queued ${method} ${path} while offline (${entries.length} queued)`);
+    this.client._emit('queued', { entry, error, size: entries.length });
+    this._scheduleRetry();
+
+    return { queued: true, queueId: entry.id, idempotencyKey: entry.idempotencyKey };
+  }
+
+  /**
+   * @private
+   */
+  _perform(method, path, data, options) {
+    return this.client._withRetry(method, path, options,
+      () => this.client._performRequest(method, path, data, options));
+  }
+
+  /**
+   * @private
+   */
+  async _remove(entry) {
+    const entries = await this._load();
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+      entries.splice(index, 1);
+    }
+    await this._save();
+  }
+
+  /**
+   * Load the store once; later changes go to the cached array and are saved in full
+   * @private
+   */
+  _load() {
+    if (this.entries) {
+      return Promise.resolve(this.entries);
+    }
+
+    if (!this.loading) {
+      this.loading = Promise.resolve(this.store.load())
+        .then(entries => {
+          this.entries = Array.isArray(entries) ? entries : [];
+          return this.entries;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Save the entries, serialized so writes never interleave
+   * @private
+   */
+  _save() {
+    const snapshot = this.entries.slice();
+    this.saving = this.saving
+      .catch(() => {})
+      .then(() => this.store.save(snapshot));
+
+    return this.saving;
+  }
+
+  /**
+   * @private
+   */
+  _scheduleRetry() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.resume();
+    }, this.retryInterval);
+
+    // Queued calls are persisted, so retrying never needs to keep a Node.js process alive
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+  }
+}
+
+/**
+ * Whether a request failed without a usable answer from the API
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ * @private
+ */
+function isUnreachable(error) {
+  return error instanceof CybernateNetworkError || error instanceof CybernateTimeoutError;
+}
+
+/**
+ * @returns {string}
+ * @private
+ */
+function createIdempotencyKey() {
+  const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+  if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+    return cryptoApi.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+module.exports = { OfflineQueue, QUEUEABLE_METHODS };
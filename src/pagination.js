@@ -0,0 +1,152 @@
+/**
+ * Pagination helpers for the Cybernate AI SDK
+ * Turns the page/limit endpoints into async iterables over individual items.
+ */
+
+/**
+ * Async iterable over every item of a paged endpoint
+ */
+class PageIterator {
+  /**
+   * Create a new page iterator
+   * @param {Function} fetchPage - Called with (page, limit), returns a promise for one page response
+   * @param {Object} options - Iterator options
+   * @param {string} options.itemsKey - Response property holding the page items (e.g. 'events')
+   * @param {number} [options.startPage=1] - First page to fetch
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.maxItems] - Stop after yielding this many items (0 yields none)
+   * @param {number} [options.prefetch=1] - Number of pages to fetch ahead while the current one is consumed (0 disables)
+   */
+  constructor(fetchPage, options) {
+    this.fetchPage = fetchPage;
+    this.itemsKey = options.itemsKey;
+    this.startPage = options.startPage || 1;
+    this.limit = options.limit;
+    this.maxItems = options.maxItems;
+    this.prefetch = options.prefetch !== undefined ? Math.max(0, options.prefetch) : 1;
+  }
+
+  [Symbol.asyncIterator]() {
+    return this._items();
+  }
+
+  /**
+   * Collect all items into an array
+   * @returns {Promise<Array>}
+   */
+  async toArray() {
+    const items = [];
+    for await (const item of this) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * Generate items page by page
+   * @private
+   */
+  async * _items() {
+    const pending = new Map();
+    let page = this.startPage;
+    let lastPage = Infinity;
+    let yielded = 0;
+
+    if (this.maxItems !== undefined && this.maxItems <= 0) {
+      return;
+    }
+
+    const request = (pageNumber) => {
+      if (pageNumber > lastPage || pending.has(pageNumber)) {
+        return;
+      }
+
+      const promise = Promise.resolve().then(() => this.fetchPage(pageNumber, this.limit));
+      // Prefetched pages may never be awaited if iteration stops early
+      promise.catch(() => {});
+      pending.set(pageNumber, promise);
+    };
+
+    try {
+      while (page <= lastPage) {
+        request(page);
+        const response = await pending.get(page);
+        pending.delete(page);
+
+        const items = this._extractItems(response);
+        lastPage = Math.min(lastPage, this._lastPage(response, page, items));
+
+        if (page < lastPage) {
+          for (let ahead = 1; ahead <= this.prefetch; ahead++) {
+            request(page + ahead);
+          }
+        }
+
+        for (const item of items) {
+          yield item;
+
+          if (this.maxItems !== undefined && ++yielded >= this.maxItems) {
+            return;
+          }
+        }
+
+        page++;
+      }
+    } finally {
+      pending.clear();
+    }
+  }
+
+  /**
+   * Get the items of a page response
+   * @param {Object|Array} response - Page response
+   * @returns {Array}
+   * @private
+   */
+  _extractItems(response) {
+    if (Array.isArray(response)) {
+      return response;
+    }
+
+    const items = response?.[this.itemsKey] || response?.items || response?.data;
+    return Array.isArray(items) ? items : [];
+  }
+
+  /**
+   * Work out the last page number from a page response, or Infinity if unknown
+   * @param {Object|Array} response - Page response
+   * @param {number} page - Page number of the response
+   * @param {Array} items - Items of the response
+   * @returns {number}
+   * @private
+   */
+  _lastPage(response, page, items) {
+    if (items.length === 0) {
+      return page;
+    }
+
+    const pagination = (response && !Array.isArray(response) && (response.pagination || response)) || {};
+    const limit = pagination.limit || this.limit;
+    const pages = pagination.pages || pagination.totalPages;
+
+    if (pages) {
+      return pages;
+    }
+
+    if (pagination.total !== undefined && limit) {
+      return Math.max(page, Math.ceil(pagination.total / limit));
+    }
+
+    if (pagination.hasMore === false || pagination.hasNextPage === false) {
+      return page;
+    }
+
+    if (limit && items.length < limit) {
+      return page;
+    }
+
+    return Infinity;
+  }
+}
+
+module.exports = { PageIterator };
@@ -0,0 +1,177 @@
+/**
+ * HTTP long-polling fallback transport for the Cybernate AI SDK
+ * Used while the events socket is unavailable, so `on()` listeners keep firing over plain HTTP.
+ */
+
+// Events the client emits itself; listening for them does not need polling
+const CLIENT_EVENTS = [
+  'connectionStateChange',
+  'rateLimit',
+  'stale',
+  'gap',
+  'queued',
+  'flushed',
+  'failed',
+  'incident.opened',
+  'incident.updated',
+  'incident.closed'
+];
+
+/**
+ * Polls for new events and dispatches them through the client
+ * By default events are fetched with `queryEvents({ startDate })` from the timestamp of the last
+ * delivered event. With `cursorPath`, `GET <cursorPath>?cursor=<cursor>` is polled instead and must
+ * return `{ events, cursor }`. Events already delivered (by ID) are skipped.
+ */
+class EventPoller {
+  /**
+   * @param {CybernateAI} client - Client to dispatch events through
+   * @param {Object} [options] - Polling options
+   * @param {number} [options.interval=5000] - Delay between polls in ms
+   * @param {number} [options.maxEvents=500] - Max events fetched per poll
+   * @param {string} [options.cursorPath] - Cursor endpoint to poll instead of queryEvents
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.interval = options.interval || 5000;
+    this.maxEvents = options.maxEvents || 500;
+    this.cursorPath = options.cursorPath || null;
+    this.cursor = null;
+    this.running = false;
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    if (!this.cursorPath && !this.cursor) {
+      this.cursor = this.client.lastEvent.timestamp || new Date().toISOString();
+    }
+
+    this.client.logger.info(`Polling for events every ${this.interval}ms`);
+    this._schedule();
+  }
+
+  /**
+   * Stop polling (an in-flight poll still delivers its events)
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Fetch and dispatch new events once
+   * @returns {Promise<number>} - Number of events dispatched
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this._fetch()
+        .then(events => this._deliver(events))
+        .finally(() => {
+          this.polling = null;
+        });
+    }
+
+    return this.polling;
+  }
+
+  /**
+   * @private
+   */
+  _schedule() {
+    this.timer = setTimeout(async () => {
+      try {
+        // Nobody is listening; skip the request but keep the cursor
+        if (this._hasListeners()) {
+          await this.poll();
+        }
+      } catch (error) {
+        this.client.logger.warn('Event poll failed:', error.message);
+      }
+
+      if (this.running) {
+        this._schedule();
+      }
+    }, this.interval);
+
+    // Like an idle socket, polling only keeps Node.js processes alive while someone listens
+    if (!this._hasListeners() && typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _hasListeners() {
+    return hasEventListeners(this.client.eventListeners) ||
+      Array.from(this.client.watchers.values()).some(watcher => hasEventListeners(watcher.eventListeners));
+  }
+
+  /**
+   * @returns {Promise<Object[]>}
+   * @private
+   */
+  async _fetch() {
+    if (this.cursorPath) {
+      const query = this.cursor ? `?cursor=${encodeURIComponent(this.cursor)}` : '';
+      const response = await this.client._request('GET', `${this.cursorPath}${query}`);
+      if (response.cursor) {
+        this.cursor = response.cursor;
+      }
+      return response.events || [];
+    }
+
+    const events = [];
+    for await (const event of this.client.events.iterate({ startDate: this.cursor }, { maxItems: this.maxEvents })) {
+      events.push(event);
+    }
+
+    return events;
+  }
+
+  /**
+   * @private
+   */
+  _deliver(events) {
+    events.sort((a, b) => Date.parse(a.timestamp || a.createdAt) - Date.parse(b.timestamp || b.createdAt));
+
+    let dispatched = 0;
+    for (const event of events) {
+      if (this.client._recordDeliveredEvent(event)) {
+        this.client._dispatchEvent(event);
+        dispatched++;
+      }
+    }
+
+    // startDate is inclusive, so the last event is fetched again and dropped by the ID dedupe
+    if (!this.cursorPath && this.client.lastEvent.timestamp) {
+      this.cursor = this.client.lastEvent.timestamp;
+    }
+
+    return dispatched;
+  }
+}
+
+/**
+ * Whether a listener map has a listener for an event delivered by the API
+ * @param {Object} listeners - Listener arrays by event type
+ * @returns {boolean}
+ * @private
+ */
+function hasEventListeners(listeners) {
+  return Object.keys(listeners).some(event =>
+    !CLIENT_EVENTS.includes(event) && listeners[event].length > 0
+  );
+}
+
+module.exports = { EventPoller };
@@ -0,0 +1,118 @@
+/**
+ * Retry policy helpers for the Cybernate AI SDK
+ */
+
+const { CybernateNetworkError, CybernateTimeoutError } = require('./errors');
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  jitter: true,
+  statuses: [408, 429, 500, 502, 503, 504],
+  methods: ['GET', 'PUT', 'DELETE'],
+  retryNetworkErrors: true
+};
+
+/**
+ * Merge a user supplied retry policy with a base policy
+ * @param {Object|boolean|undefined} policy - Retry options, or false to disable retries
+ * @param {Object} [base] - Policy to merge onto (defaults to DEFAULT_RETRY_POLICY)
+ * @returns {Object} - Normalized policy
+ */
+function normalizeRetryPolicy(policy, base = DEFAULT_RETRY_POLICY) {
+  if (policy === false) {
+    return { ...base, maxAttempts: 1 };
+  }
+
+  if (!policy || policy === true) {
+    return { ...base };
+  }
+
+  const merged = { ...base, ...policy };
+  merged.maxAttempts = Math.max(1, merged.maxAttempts);
+  merged.methods = merged.methods.map(method => method.toUpperCase());
+
+  return merged;
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ * @param {Object} policy - Normalized retry policy
+ * @param {Object} context - Attempt context
+ * @param {string} context.method - HTTP method
+ * @param {number} context.attempt - Number of the attempt that failed (1-based)
+ * @param {boolean} context.idempotent - Whether the caller supplied an idempotency key
+ * @param {Error} error - Error thrown by the attempt
+ * @returns {boolean}
+ */
+function shouldRetry(policy, { method, attempt, idempotent }, error) {
+  if (attempt >= policy.maxAttempts) {
+    return false;
+  }
+
+  if (!idempotent && !policy.methods.includes(method.toUpperCase())) {
+    return false;
+  }
+
+  if (error instanceof CybernateNetworkError || error instanceof CybernateTimeoutError) {
+    return policy.retryNetworkErrors;
+  }
+
+  return typeof error.status === 'number' && policy.statuses.includes(error.status);
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * Uses exponential backoff capped at `maxDelay`; with jitter enabled the delay is
+ * picked at random from the upper half of that window. A server supplied
+ * `retryAfter` (seconds) is used as a lower bound.
+ * @param {Object} policy - Normalized retry policy
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @param {Error} [error] - Error thrown by the attempt
+ * @returns {number} - Delay in milliseconds
+ */
+function computeRetryDelay(policy, attempt, error) {
+  let delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+
+  if (policy.jitter) {
+    delay = delay / 2 + Math.random() * (delay / 2);
+  }
+
+  if (error && typeof error.retryAfter === 'number') {
+    delay = Math.max(delay, error.retryAfter * 1000);
+  }
+
+  return Math.round(delay);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * Resolves early when the signal is aborted; callers check `signal.aborted` afterwards.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cuts the wait short
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      return resolve();
+    }
+
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  shouldRetry,
+  computeRetryDelay,
+  sleep
+};
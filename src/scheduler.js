@@ -0,0 +1,157 @@
+/**
+ * Client side request scheduler for the Cybernate AI SDK
+ * Limits the number of requests in flight and holds requests back while the
+ * server side rate limit budget is exhausted.
+ */
+
+class RequestScheduler {
+  /**
+   * Create a new scheduler
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.maxConcurrency=Infinity] - Max requests in flight
+   * @param {boolean} [options.throttle=true] - Hold requests while the rate limit budget is exhausted
+   */
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency > 0 ? options.maxConcurrency : Infinity;
+    this.throttle = options.throttle !== false;
+
+    this.active = 0;
+    this.queue = [];
+    this.budget = null;
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Number of requests waiting to be sent
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Run a task once concurrency and rate limit budget allow it
+   * @param {Function} task - Function returning a promise
+   * @param {Object} [options] - Scheduling options
+   * @param {AbortSignal} [options.signal] - Removes the task from the queue when aborted
+   * @param {Function} [options.onAbort] - Returns the error to reject with when aborted while queued
+   * @returns {Promise<*>} - Result of the task
+   */
+  schedule(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      const { signal, onAbort } = options;
+      const entry = { task, resolve, reject };
+
+      if (signal) {
+        const abort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(onAbort ? onAbort() : new Error('Aborted'));
+          }
+        };
+
+        if (signal.aborted) {
+          return abort();
+        }
+
+        signal.addEventListener('abort', abort, { once: true });
+        entry.cleanup = () => signal.removeEventListener('abort', abort);
+      }
+
+      this.queue.push(entry);
+      this._drain();
+    });
+  }
+
+  /**
+   * Update the known remaining budget from rate limit headers
+   * @param {number} remaining - Requests remaining in the current window
+   * @param {number} resetAt - Time the window resets (ms since epoch)
+   */
+  updateBudget(remaining, resetAt) {
+    this.budget = remaining;
+
+    if (remaining <= 0 && resetAt > Date.now()) {
+      this.pauseUntil(resetAt);
+    }
+  }
+
+  /**
+   * Hold all queued requests until the given time
+   * @param {number} time - Time to resume (ms since epoch)
+   */
+  pauseUntil(time) {
+    if (!this.throttle || time <= this.pausedUntil) {
+      return;
+    }
+
+    this.pausedUntil = time;
+    this._drain();
+  }
+
+  /**
+   * Start as many queued tasks as currently allowed
+   * @private
+   */
+  _drain() {
+    while (this.queue.length > 0 && this.active < this.maxConcurrency) {
+      const now = Date.now();
+
+      if (this.throttle && this.pausedUntil > now) {
+        this._wakeAt(this.pausedUntil);
+        return;
+      }
+
+      // The window has reset, so the previous budget no longer applies
+      if (this.pausedUntil && this.pausedUntil <= now) {
+        this.pausedUntil = 0;
+        this.budget = null;
+      }
+
+      if (this.throttle && this.budget !== null && this.budget <= 0) {
+        // Budget exhausted but reset time unknown; wait for an in-flight response to update it
+        if (this.active > 0) {
+          return;
+        }
+        this.budget = null;
+      }
+
+      const { task, resolve, reject, cleanup } = this.queue.shift();
+      if (cleanup) {
+        cleanup();
+      }
+      this.active++;
+      if (this.budget !== null) {
+        this.budget--;
+      }
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this._drain();
+        });
+    }
+  }
+
+  /**
+   * Schedule a drain once a pause expires
+   * @param {number} time - Time to wake up (ms since epoch)
+   * @private
+   */
+  _wakeAt(time) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._drain();
+    }, Math.max(0, time - Date.now()));
+  }
+}
+
+module.exports = { RequestScheduler };
@@ -0,0 +1,295 @@
+/**
+ * Watcher and offline queue stores for the Cybernate AI SDK
+ *
+ * A watcher store persists the watchers a client created so they can be restored after a restart.
+ * Custom stores implement the same async interface:
+ *   list(): Promise<Array<Object>>      - All saved watcher records
+ *   set(id, record): Promise<void>      - Save a watcher record
+ *   delete(id): Promise<void>           - Remove a watcher record
+ * Records look like { id, type, entityId, options, createdAt }, where `options` are the watch() options.
+ *
+ * A queue store persists the requests queued in offline mode, in order:
+ *   load(): Promise<Array<Object>>      - All queued entries, oldest first
+ *   save(entries): Promise<void>        - Replace the saved entries
+ * Entries are plain JSON: { id, method, path, data, idempotencyKey, queuedAt, attempts, lastError }.
+ */
+
+/**
+ * Keeps watcher records in memory (survives reconnects, not restarts)
+ */
+class MemoryWatcherStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async list() {
+    return Array.from(this.records.values());
+  }
+
+  async set(id, record) {
+    this.records.set(id, record);
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+/**
+ * Keeps watcher records in a JSON file (Node.js only)
+ */
+class FileWatcherStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('filePath is required');
+    }
+
+    this.filePath = filePath;
+    this.records = null;
+    this.writing = Promise.resolve();
+  }
+
+  async list() {
+    const records = await this._load();
+    return Array.from(records.values());
+  }
+
+  async set(id, record) {
+    const records = await this._load();
+    records.set(id, record);
+    return this._persist();
+  }
+
+  async delete(id) {
+    const records = await this._load();
+    if (records.delete(id)) {
+      return this._persist();
+    }
+  }
+
+  /**
+   * Read the file once and cache its records
+   * @returns {Promise<Map>}
+   * @private
+   */
+  async _load() {
+    if (this.records) {
+      return this.records;
+    }
+
+    const fs = loadFs();
+    let records = [];
+    try {
+      records = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this.records = new Map(records.map(record => [record.id, record]));
+    return this.records;
+  }
+
+  /**
+   * Write all records, serialized so concurrent updates never interleave
+   * Writes to a temporary file first so a crash never leaves a truncated store.
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    const fs = loadFs();
+    const data = JSON.stringify(Array.from(this.records.values()), null, 2);
+    const tmpPath = `${this.filePath}.tmp`;
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.writeFile(tmpPath, data, 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+      });
+
+    return this.writing;
+  }
+}
+
+/**
+ * Keeps queued requests in memory (survives reconnects, not restarts)
+ */
+class MemoryQueueStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  async load() {
+    return this.entries.slice();
+  }
+
+  async save(entries) {
+    this.entries = entries.slice();
+  }
+}
+
+/**
+ * Keeps queued requests in Web Storage (localStorage by default)
+ */
+class LocalStorageQueueStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.key='cybernate:offline-queue'] - Storage key
+   * @param {Storage} [options.storage] - Storage to use (default: localStorage)
+   */
+  constructor(options = {}) {
+    this.key = options.key || 'cybernate:offline-queue';
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    if (!this.storage) {
+      throw new Error('LocalStorageQueueStore requires localStorage');
+    }
+  }
+
+  async load() {
+    const data = this.storage.getItem(this.key);
+    return data ? JSON.parse(data) : [];
+  }
+
+  async save(entries) {
+    this.storage.setItem(this.key, JSON.stringify(entries));
+  }
+}
+
+/**
+ * Keeps queued requests in IndexedDB (browsers)
+ */
+class IndexedDBQueueStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.dbName='cybernate'] - Database name
+   * @param {string} [options.storeName='offline-queue'] - Object store name
+   */
+  constructor(options = {}) {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDBQueueStore requires IndexedDB');
+    }
+
+    this.dbName = options.dbName || 'cybernate';
+    this.storeName = options.storeName || 'offline-queue';
+    this.db = null;
+  }
+
+  async load() {
+    const entries = await this._run('readonly', store => store.get('entries'));
+    return entries || [];
+  }
+
+  async save(entries) {
+    await this._run('readwrite', store => store.put(entries, 'entries'));
+  }
+
+  /**
+   * Run a request in a transaction and resolve once the transaction completes
+   * @private
+   */
+  async _run(mode, makeRequest) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.db;
+  }
+}
+
+/**
+ * Keeps queued requests in a JSON file (Node.js only)
+ */
+class FileQueueStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('filePath is required');
+    }
+
+    this.filePath = filePath;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    const fs = loadFs('FileQueueStore');
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write all entries, serialized and through a temporary file like FileWatcherStore
+   * @param {Object[]} entries - Queued entries
+   * @returns {Promise<void>}
+   */
+  save(entries) {
+    const fs = loadFs('FileQueueStore');
+    const data = JSON.stringify(entries, null, 2);
+    const tmpPath = `${this.filePath}.tmp`;
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.writeFile(tmpPath, data, 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+      });
+
+    return this.writing;
+  }
+}
+
+/**
+ * Load Node's promise based fs module
+ * @param {string} [storeName='FileWatcherStore'] - Store named in the error outside Node.js
+ * @returns {Object}
+ * @private
+ */
+function loadFs(storeName = 'FileWatcherStore') {
+  try {
+    return require('fs').promises;
+  } catch (e) {
+    throw new Error(`${storeName} requires Node.js`);
+  }
+}
+
+module.exports = {
+  MemoryWatcherStore,
+  FileWatcherStore,
+  MemoryQueueStore,
+  LocalStorageQueueStore,
+  IndexedDBQueueStore,
+  FileQueueStore
+};
@@ -0,0 +1,350 @@
+/**
+ * Event transports for the Cybernate AI SDK
+ * A transport delivers server events to the client. Every transport exposes the subset of the
+ * socket.io client API the SDK relies on:
+ *   connected               - Whether the transport is connected
+ *   on(event, handler)      - 'connect', 'disconnect' (reason), 'connect_error' (error), 'error',
+ *                             'event', 'notification', 'system' and 'heartbeat'
+ *   emit(event, data, ack)  - Send a message; `ack` is called with the reply when the transport supports it
+ *   disconnect()            - Close the transport for good
+ *   io.on('reconnect_failed', handler) - Optional; reconnection attempts are exhausted
+ *
+ * Custom transports are factories called with { baseUrl, apiKey, lastEventId, reconnection,
+ * reconnectionAttempts, reconnectionDelay, timeout, ssePath } that return such an object.
+ */
+
+const { CybernateError } = require('./errors');
+
+/**
+ * Create a socket.io transport on the `/events` namespace
+ * @param {Object} options - Transport options
+ * @returns {Object} - socket.io client socket
+ */
+function createSocketIoTransport(options) {
+  let io;
+  // Load socket.io client in browser environment
+  if (typeof window !== 'undefined' && typeof window.io !== 'undefined') {
+    io = window.io;
+  } else if (typeof require === 'function') {
+    // In Node.js
+    try {
+      io = require('socket.io-client');
+    } catch (e) {
+      throw new CybernateError('socket.io-client package not found. Install with: npm install socket.io-client', {
+        code: 'WEBSOCKET_UNAVAILABLE',
+        cause: e
+      });
+    }
+  } else {
+    throw new CybernateError('Socket.io client not available. Include socket.io-client in your project.', {
+      code: 'WEBSOCKET_UNAVAILABLE'
+    });
+  }
+
+  return io(`${options.baseUrl}/events`, {
+    auth: { token: options.apiKey },
+    transports: ['websocket', 'polling'], // Allow fallback to polling
+    reconnection: options.reconnection,
+    reconnectionAttempts: options.reconnectionAttempts,
+    reconnectionDelay: options.reconnectionDelay,
+    timeout: options.timeout,
+    forceNew: true
+  });
+}
+
+/**
+ * Check whether socket.io can be loaded
+ * @returns {boolean}
+ */
+function isSocketIoAvailable() {
+  if (typeof window !== 'undefined' && typeof window.io !== 'undefined') {
+    return true;
+  }
+
+  try {
+    return typeof require === 'function' && !!require.resolve('socket.io-client');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Create a Server-Sent Events transport
+ * @param {Object} options - Transport options
+ * @returns {SseTransport}
+ */
+function createSseTransport(options) {
+  if (!isSseAvailable()) {
+    throw new CybernateError('Server-Sent Events require a native fetch with streaming response bodies', {
+      code: 'WEBSOCKET_UNAVAILABLE'
+    });
+  }
+
+  return new SseTransport(options);
+}
+
+/**
+ * Check whether the runtime has a native fetch that can stream responses
+ * @returns {boolean}
+ */
+function isSseAvailable() {
+  return typeof globalThis !== 'undefined' &&
+    typeof globalThis.fetch === 'function' &&
+    typeof globalThis.ReadableStream === 'function' &&
+    typeof TextDecoder === 'function';
+}
+
+/**
+ * Minimal event emitter shared by the transports
+ */
+class TransportEmitter {
+  constructor() {
+    this.handlers = {};
+  }
+
+  on(event, handler) {
+    if (!this.handlers[event]) {
+      this.handlers[event] = [];
+    }
+    this.handlers[event].push(handler);
+
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _fire(event, ...args) {
+    (this.handlers[event] || []).forEach(handler => handler(...args));
+  }
+}
+
+/**
+ * Server-Sent Events transport over native fetch
+ * Reads `GET <baseUrl><ssePath>` as an event stream. The SSE event name selects the SDK channel
+ * (unnamed messages are 'event'), `data` is parsed as JSON and comments count as heartbeats.
+ * Reconnects resume with `Last-Event-ID` and honour the server's `retry` field.
+ */
+class SseTransport extends TransportEmitter {
+  /**
+   * @param {Object} options - Transport options
+   */
+  constructor(options) {
+    super();
+
+    this.url = `${options.baseUrl}${options.ssePath || '/events/stream'}`;
+    this.apiKey = options.apiKey;
+    this.lastEventId = options.lastEventId || null;
+    this.reconnection = options.reconnection !== false;
+    this.reconnectionAttempts = options.reconnectionAttempts !== undefined ? options.reconnectionAttempts : 5;
+    this.retryDelay = options.reconnectionDelay || 1000;
+    this.io = new TransportEmitter();
+    this.connected = false;
+    this.closed = false;
+    this.attempts = 0;
+    this.controller = null;
+    this.retryTimer = null;
+    this.message = null;
+
+    // Connect once the caller has attached its handlers, like socket.io does
+    Promise.resolve().then(() => this._open());
+  }
+
+  /**
+   * SSE is one-way; messages cannot be sent and acknowledgements never arrive
+   * @returns {boolean} - Always false
+   */
+  emit() {
+    return false;
+  }
+
+  /**
+   * Close the stream and stop reconnecting
+   */
+  disconnect() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+
+    if (this.controller) {
+      this.controller.abort();
+    }
+
+    if (this.connected) {
+      this.connected = false;
+      this._fire('disconnect', 'io client disconnect');
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _open() {
+    if (this.closed) {
+      return;
+    }
+
+    const headers = {
+      'Accept': 'text/event-stream',
+      'Authorization': `Bearer ${this.apiKey}`,
+      'X-API-Key': this.apiKey,
+      'Cache-Control': 'no-cache'
+    };
+    if (this.lastEventId) {
+      headers['Last-Event-ID'] = this.lastEventId;
+    }
+
+    this.controller = new AbortController();
+
+    let response;
+    try {
+      response = await globalThis.fetch(this.url, { headers, signal: this.controller.signal });
+      if (!response.ok || !response.body) {
+        const error = new Error(`Event stream request failed with status ${response.status}`);
+        error.data = { status: response.status };
+        throw error;
+      }
+    } catch (error) {
+      if (this.closed) {
+        return;
+      }
+
+      this._fire('connect_error', error);
+
+      // Authentication and other client errors will not fix themselves
+      const status = error.data?.status;
+      if (!status || status >= 500 || status === 408 || status === 429) {
+        this._retry();
+      }
+      return;
+    }
+
+    this.connected = true;
+    this.attempts = 0;
+    this._fire('connect');
+
+    let reason = 'transport close';
+    try {
+      await this._read(response.body);
+    } catch (error) {
+      if (this.closed) {
+        return;
+      }
+      reason = 'transport error';
+      this._fire('error', error);
+    }
+
+    if (this.closed) {
+      return;
+    }
+
+    this.connected = false;
+    this._fire('disconnect', reason);
+    this._retry();
+  }
+
+  /**
+   * @private
+   */
+  _retry() {
+    if (!this.reconnection || this.closed) {
+      return;
+    }
+
+    if (this.attempts >= this.reconnectionAttempts) {
+      this.io._fire('reconnect_failed');
+      return;
+    }
+
+    this.attempts++;
+    this.retryTimer = setTimeout(() => this._open(), this.retryDelay);
+  }
+
+  /**
+   * Read the stream line by line
+   * @param {ReadableStream} body - Response body
+   * @private
+   */
+  async _read(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    this.message = { event: '', data: [] };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        return;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = lines.pop();
+
+      lines.forEach(line => this._parseLine(line));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseLine(line) {
+    if (line === '') {
+      this._dispatchMessage();
+      return;
+    }
+
+    // Comments are keep-alives
+    if (line.startsWith(':')) {
+      this._fire('heartbeat');
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'event') {
+      this.message.event = value;
+    } else if (field === 'data') {
+      this.message.data.push(value);
+    } else if (field === 'id' && !value.includes('\0')) {
+      this.lastEventId = value;
+    } else if (field === 'retry' && /^\d+$/.test(value)) {
+      this.retryDelay = Number(value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _dispatchMessage() {
+    const { event, data } = this.message;
+    this.message = { event: '', data: [] };
+
+    if (data.length === 0) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(data.join('\n'));
+    } catch (error) {
+      this._fire('error', new Error(`Invalid event stream data: ${error.message}`));
+      return;
+    }
+
+    this._fire(!event || event === 'message' ? 'event' : event, payload);
+  }
+}
+
+module.exports = {
+  createSocketIoTransport,
+  createSseTransport,
+  isSocketIoAvailable,
+  isSseAvailable,
+  SseTransport
+};
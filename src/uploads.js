@@ -0,0 +1,261 @@
+/**
+ * Chunked, resumable uploads for the Cybernate AI SDK
+ *
+ * Protocol:
+ *   POST /storage/uploads                         - Start a session, returns { uploadId }
+ *   GET  /storage/uploads/:uploadId               - Session state, returns { receivedBytes }
+ *   PUT  /storage/uploads/:uploadId/chunks?offset - Upload one chunk (raw bytes, Content-Range)
+ *   POST /storage/uploads/:uploadId/complete      - Assemble the file, returns the file info
+ */
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Upload a file in chunks, resuming an existing session when `options.uploadId` is given
+ * @param {CybernateAI} client - Client performing the requests
+ * @param {Object} options - uploadFile() options
+ * @param {Object} requestOptions - Per-call request options (signal, retry, idempotencyKey)
+ * @returns {Promise<Object>} - Uploaded file info
+ */
+async function uploadChunked(client, options, requestOptions) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const { signal } = requestOptions;
+  // Each step is a different request, so a caller's idempotency key is only used to derive per-step keys
+  const { idempotencyKey, ...stepOptions } = requestOptions;
+  const source = await openSource(options.file, options.size);
+
+  try {
+    let uploadId = options.uploadId;
+    let offset = 0;
+
+    if (uploadId) {
+      const session = await client._request('GET', `/storage/uploads/${uploadId}`, null, stepOptions);
+      offset = session.receivedBytes || 0;
+    } else {
+      const session = await client._request('POST', '/storage/uploads', {
+        fileName: options.fileName,
+        contentType: options.contentType || source.contentType,
+        size: source.size,
+        chunkSize,
+        eventId: options.eventId,
+        streamId: options.streamId,
+        deviceId: options.deviceId,
+        businessId: options.businessId,
+        metadata: options.metadata,
+        isPublic: options.isPublic
+      }, idempotencyKey ? { ...stepOptions, idempotencyKey: `${idempotencyKey}-session` } : stepOptions);
+      uploadId = session.uploadId;
+    }
+
+    const startOffset = offset;
+    const startedAt = Date.now();
+    const report = () => {
+      if (options.onProgress) {
+        const seconds = (Date.now() - startedAt) / 1000;
+        options.onProgress({
+          uploadId,
+          bytesSent: offset,
+          totalBytes: source.size,
+          rate: seconds > 0 ? Math.round((offset - startOffset) / seconds) : 0
+        });
+      }
+    };
+
+    try {
+      report();
+
+      for await (const chunk of source.chunks(offset, chunkSize)) {
+        if (signal && signal.aborted) {
+          throw client._createAbortError('PUT', `/storage/uploads/${uploadId}/chunks`, signal);
+        }
+
+        const path = `/storage/uploads/${uploadId}/chunks?offset=${offset}`;
+        const end = offset + chunk.length - 1;
+        const headers = {
+          'Authorization': `Bearer ${client.apiKey}`,
+          'Content-Type': 'application/octet-stream',
+          'Content-Range': `bytes ${offset}-${end}/${source.size !== null ? source.size : '*'}`
+        };
+        const chunkOptions = options.chunkRetry !== undefined
+          ? { ...stepOptions, retry: options.chunkRetry }
+          : stepOptions;
+
+        await client._withRetry('PUT', path, chunkOptions, () => client._fetchJson('PUT', path, {
+          method: 'PUT',
+          headers,
+          body: chunk
+        }, chunkOptions));
+
+        offset = end + 1;
+        report();
+      }
+
+      // Completing twice is harmless, so the request is made retryable
+      return await client._request('POST', `/storage/uploads/${uploadId}/complete`, { size: offset }, {
+        ...stepOptions,
+        idempotencyKey: idempotencyKey ? `${idempotencyKey}-complete` : `${uploadId}-complete`
+      });
+    } catch (error) {
+      // Let callers resume the session later
+      error.uploadId = uploadId;
+      error.bytesSent = offset;
+      throw error;
+    }
+  } finally {
+    await source.close();
+  }
+}
+
+/**
+ * Check whether a value is a Node.js Readable (or any async iterable of bytes)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isStreamSource(value) {
+  return !!value && typeof value === 'object' && typeof value[Symbol.asyncIterator] === 'function' &&
+    typeof value.arrayBuffer !== 'function';
+}
+
+/**
+ * Wrap an upload source in a common interface
+ * @param {Blob|Buffer|Uint8Array|ArrayBuffer|string|Readable} file - Blob, bytes, file path or stream
+ * @param {number} [size] - Size in bytes, for streams of known length
+ * @returns {Promise<{size: number|null, contentType: string, chunks: Function, close: Function}>}
+ * @private
+ */
+async function openSource(file, size) {
+  // File path (Node.js)
+  if (typeof file === 'string') {
+    let fs;
+    try {
+      fs = require('fs').promises;
+    } catch (e) {
+      throw new Error('Uploading from a file path requires Node.js');
+    }
+
+    const handle = await fs.open(file, 'r');
+    const { size: fileSize } = await handle.stat();
+
+    return {
+      size: fileSize,
+      contentType: 'application/octet-stream',
+      async *chunks(offset, chunkSize) {
+        for (let start = offset; start < fileSize; start += chunkSize) {
+          const buffer = new Uint8Array(Math.min(chunkSize, fileSize - start));
+          const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+          yield buffer.subarray(0, bytesRead);
+        }
+      },
+      close: () => handle.close()
+    };
+  }
+
+  // Node.js Readable or async iterable: read sequentially, skipping bytes already uploaded
+  if (isStreamSource(file)) {
+    return {
+      size: size !== undefined ? size : null,
+      contentType: 'application/octet-stream',
+      async *chunks(offset, chunkSize) {
+        let skip = offset;
+        let pending = [];
+        let pendingLength = 0;
+
+        for await (const data of file) {
+          let bytes = typeof data === 'string' ? new TextEncoder().encode(data) : toBytes(data);
+
+          if (skip > 0) {
+            const skipped = Math.min(skip, bytes.length);
+            bytes = bytes.subarray(skipped);
+            skip -= skipped;
+          }
+
+          while (bytes.length > 0) {
+            const take = Math.min(chunkSize - pendingLength, bytes.length);
+            pending.push(bytes.subarray(0, take));
+            pendingLength += take;
+            bytes = bytes.subarray(take);
+
+            if (pendingLength === chunkSize) {
+              yield concat(pending, pendingLength);
+              pending = [];
+              pendingLength = 0;
+            }
+          }
+        }
+
+        if (pendingLength > 0) {
+          yield concat(pending, pendingLength);
+        }
+      },
+      close: async () => {
+        if (typeof file.destroy === 'function') {
+          file.destroy();
+        }
+      }
+    };
+  }
+
+  // Blob / File
+  if (typeof file.arrayBuffer === 'function' && typeof file.slice === 'function') {
+    return {
+      size: file.size,
+      contentType: file.type || 'application/octet-stream',
+      async *chunks(offset, chunkSize) {
+        for (let start = offset; start < file.size; start += chunkSize) {
+          yield new Uint8Array(await file.slice(start, start + chunkSize).arrayBuffer());
+        }
+      },
+      close: async () => {}
+    };
+  }
+
+  // Buffer / Uint8Array / ArrayBuffer
+  const bytes = toBytes(file);
+  return {
+    size: bytes.length,
+    contentType: 'application/octet-stream',
+    async *chunks(offset, chunkSize) {
+      for (let start = offset; start < bytes.length; start += chunkSize) {
+        yield bytes.subarray(start, start + chunkSize);
+      }
+    },
+    close: async () => {}
+  };
+}
+
+/**
+ * @private
+ */
+function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  throw new Error('file must be a Blob, Buffer, Uint8Array, ArrayBuffer, file path or readable stream');
+}
+
+/**
+ * @private
+ */
+function concat(parts, length) {
+  const result = new Uint8Array(length);
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  uploadChunked,
+  isStreamSource
+};
@@ -0,0 +1,270 @@
+/**
+ * Watcher handle returned by CybernateAI.watch()
+ */
+
+const { createListener, isListenerFor } = require('./filters');
+
+const WATCHER_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  STOPPED: 'stopped'
+};
+
+class Watcher {
+  /**
+   * Create a watcher handle
+   * @param {CybernateAI} client - Client that created the watcher
+   * @param {Object} response - Response of the watch request
+   * @param {Object} [watchOptions] - Options the watcher was created with
+   */
+  constructor(client, response, watchOptions = {}) {
+    this.client = client;
+    this.id = response.watcherId || response.id;
+    this.type = response.type;
+    this.entityId = response.entityId;
+    this.detectionSettings = watchOptions.detectionSettings || response.detectionSettings || {};
+    this.options = watchOptions;
+    this.response = response;
+    this.status = response.status === WATCHER_STATUS.PAUSED ? WATCHER_STATUS.PAUSED : WATCHER_STATUS.ACTIVE;
+    this.createdAt = new Date();
+    this.idempotencyKey = watchKey(watchOptions) || watcherInfoKey(response);
+    this.eventListeners = {};
+  }
+
+  /**
+   * Watcher ID (alias of `id`, matching the raw watch response)
+   * @returns {string}
+   */
+  get watcherId() {
+    return this.id;
+  }
+
+  /**
+   * Register a listener for events produced by this watcher only
+   * @param {string} event - Event type to listen for ('all' for every event)
+   * @param {Function} callback - Callback function
+   * @param {Object} [options] - Filter and rate shaping options (see CybernateAI.on)
+   * @returns {Watcher} - The watcher, for chaining
+   */
+  on(event, callback, options) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+
+    this.eventListeners[event].push(options
+      ? createListener(callback, options, error => this.client.logger.error(`Error in watcher ${this.id} listener for ${event}:`, error))
+      : callback);
+
+    return this;
+  }
+
+  /**
+   * Remove a watcher listener
+   * @param {string} event - Event type
+   * @param {Function} [callback] - Callback function (if omitted, removes all listeners for event)
+   * @returns {Watcher} - The watcher, for chaining
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) {
+      return this;
+    }
+
+    const removed = this.eventListeners[event].filter(cb => !callback || isListenerFor(cb, callback));
+    removed.forEach(cb => cb.cancel && cb.cancel());
+
+    if (!callback) {
+      delete this.eventListeners[event];
+      return this;
+    }
+
+    this.eventListeners[event] = this.eventListeners[event].filter(cb => !isListenerFor(cb, callback));
+
+    return this;
+  }
+
+  /**
+   * Pause detection for this watcher
+   * @param {Object} [requestOptions] - Per-call request options
+   * @returns {Promise<Object>} - Response
+   */
+  async pause(requestOptions = {}) {
+    this._ensureNotStopped();
+
+    const response = await this.client._request('POST', `/events/watch/${this.id}/pause`, null, requestOptions);
+    this.status = WATCHER_STATUS.PAUSED;
+
+    return response;
+  }
+
+  /**
+   * Resume detection for a paused watcher
+   * @param {Object} [requestOptions] - Per-call request options
+   * @returns {Promise<Object>} - Response
+   */
+  async resume(requestOptions = {}) {
+    this._ensureNotStopped();
+
+    const response = await this.client._request('POST', `/events/watch/${this.id}/resume`, null, requestOptions);
+    this.status = WATCHER_STATUS.ACTIVE;
+
+    return response;
+  }
+
+  /**
+   * Update the AI detection settings of this watcher
+   * @param {Object} detectionSettings - New detection settings
+   * @param {Object} [requestOptions] - Per-call request options
+   * @returns {Promise<Object>} - Response
+   */
+  async updateDetectionSettings(detectionSettings, requestOptions = {}) {
+    this._ensureNotStopped();
+
+    const response = await this.client._request('PUT', `/events/watch/${this.id}`, { detectionSettings }, requestOptions);
+    this.detectionSettings = response?.detectionSettings || detectionSettings;
+    this.options = { ...this.options, detectionSettings: this.detectionSettings };
+    this.idempotencyKey = watchKey(this.options) || this.idempotencyKey;
+    await this.client._saveWatcher(this);
+
+    return response;
+  }
+
+  /**
+   * Stop the watcher and remove its listeners
+   * @param {Object} [requestOptions] - Per-call request options
+   * @returns {Promise<Object>} - Response
+   */
+  async stop(requestOptions = {}) {
+    if (this.status === WATCHER_STATUS.STOPPED) {
+      return { success: true };
+    }
+
+    return this.client.unwatch(this.id, requestOptions);
+  }
+
+  /**
+   * Check whether an event belongs to this watcher
+   * @param {Object} eventData - Event data
+   * @returns {boolean}
+   * @private
+   */
+  _matches(eventData) {
+    if (eventData.watcherId) {
+      return eventData.watcherId === this.id;
+    }
+
+    const entityId = eventData.entityId || eventData.streamId || eventData.deviceId || eventData.businessId;
+    return !!entityId && entityId === this.entityId;
+  }
+
+  /**
+   * Deliver an event to this watcher's listeners
+   * @param {Object} eventData - Event data
+   * @private
+   */
+  _dispatch(eventData) {
+    if (this.status !== WATCHER_STATUS.ACTIVE) {
+      return;
+    }
+
+    const eventType = eventData.eventType || 'detection';
+    const listeners = [
+      ...(this.eventListeners[eventType] || []),
+      ...(this.eventListeners['all'] || [])
+    ];
+
+    listeners.forEach(callback => {
+      try {
+        callback(eventData);
+      } catch (error) {
+        this.client.logger.error(`Error in watcher ${this.id} listener for ${eventType}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Mark the watcher as stopped and drop its listeners
+   * @private
+   */
+  _markStopped() {
+    this.status = WATCHER_STATUS.STOPPED;
+    Object.values(this.eventListeners).forEach(listeners => listeners.forEach(cb => cb.cancel && cb.cancel()));
+    this.eventListeners = {};
+  }
+
+  /**
+   * @private
+   */
+  _ensureNotStopped() {
+    if (this.status === WATCHER_STATUS.STOPPED) {
+      throw new Error(`Watcher ${this.id} has been stopped`);
+    }
+  }
+}
+
+/**
+ * Idempotency key of a watch() call
+ * Uses the explicit `idempotencyKey` when given, otherwise derives one from the watched
+ * stream, device or business plus the detection settings.
+ * @param {Object} options - watch() options
+ * @returns {string|null} - null when the options name nothing to watch
+ */
+function watchKey(options = {}) {
+  if (options.idempotencyKey) {
+    return options.idempotencyKey;
+  }
+
+  let target;
+  if (options.streamUrl) {
+    target = `stream:${options.streamUrl}`;
+  } else if (options.deviceId) {
+    target = `device:${options.deviceId}`;
+  } else if (options.businessId) {
+    target = `business:${options.businessId}`;
+  } else {
+    return null;
+  }
+
+  return `${target}:${stableStringify(options.detectionSettings || {})}`;
+}
+
+/**
+ * Idempotency key of a watcher listed by the server
+ * @param {Object} info - Watcher record from /events/watchers or a watch response
+ * @returns {string|null}
+ */
+function watcherInfoKey(info = {}) {
+  if (info.idempotencyKey) {
+    return info.idempotencyKey;
+  }
+
+  return watchKey({
+    streamUrl: info.type === 'stream' ? (info.streamUrl || info.url) : undefined,
+    deviceId: info.type === 'device' ? (info.deviceId || info.entityId) : undefined,
+    businessId: info.type === 'business' ? (info.businessId || info.entityId) : undefined,
+    detectionSettings: info.detectionSettings
+  });
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal settings give equal keys
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+module.exports = { Watcher, WATCHER_STATUS, watchKey, watcherInfoKey };
@@ -0,0 +1,314 @@
+/**
+ * Webhook helpers for the Cybernate AI SDK
+ * Verifies signed webhook deliveries and adapts them to the client's `on()` listeners.
+ *
+ * Deliveries carry two headers:
+ *   X-Cybernate-Timestamp: Unix time (seconds) the delivery was signed
+ *   X-Cybernate-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${rawBody}`>
+ * The signature header may list several comma separated signatures while secrets are rotated.
+ */
+
+const { CybernateWebhookError } = require('./errors');
+
+const SIGNATURE_HEADER = 'x-cybernate-signature';
+const TIMESTAMP_HEADER = 'x-cybernate-timestamp';
+const DEFAULT_TOLERANCE = 300;
+
+/**
+ * Verify the signature of a webhook delivery
+ * @param {string|Uint8Array|ArrayBuffer} rawBody - Request body exactly as received
+ * @param {Object|Headers} headers - Request headers (plain object, Node headers or Fetch Headers)
+ * @param {string} secret - Webhook signing secret
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.tolerance=300] - Max age of the delivery in seconds (0 disables the check)
+ * @returns {Promise<boolean>} - Resolves true when valid
+ * @throws {CybernateWebhookError} - When the signature is missing, stale or does not match
+ */
+async function verifyWebhookSignature(rawBody, headers, secret, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE;
+
+  if (!secret) {
+    throw new Error('secret is required');
+  }
+
+  const signatureHeader = getHeader(headers, SIGNATURE_HEADER);
+  const timestampHeader = getHeader(headers, TIMESTAMP_HEADER);
+
+  if (!signatureHeader || !timestampHeader) {
+    throw new CybernateWebhookError('Missing webhook signature headers', { code: 'SIGNATURE_MISSING' });
+  }
+
+  const timestamp = Number(timestampHeader);
+  if (!Number.isFinite(timestamp)) {
+    throw new CybernateWebhookError('Invalid webhook timestamp', { code: 'TIMESTAMP_INVALID' });
+  }
+
+  if (tolerance > 0 && Math.abs(Date.now() / 1000 - timestamp) > tolerance) {
+    throw new CybernateWebhookError('Webhook timestamp is outside the tolerance window', {
+      code: 'TIMESTAMP_OUT_OF_TOLERANCE'
+    });
+  }
+
+  const expected = await computeSignature(`${timestampHeader}.${bodyToString(rawBody)}`, secret);
+  const signatures = signatureHeader
+    .split(',')
+    .map(value => value.trim())
+    .filter(value => value.startsWith('sha256='))
+    .map(value => value.slice('sha256='.length));
+
+  if (!signatures.some(signature => timingSafeEqual(signature, expected))) {
+    throw new CybernateWebhookError('Webhook signature does not match', { code: 'SIGNATURE_MISMATCH' });
+  }
+
+  return true;
+}
+
+/**
+ * Create a request handler that verifies webhook deliveries and dispatches them to a client's listeners
+ * Works as a Node `http` request listener, as Express middleware, and with Fetch API `Request`
+ * objects (resolving to a `Response`). Express apps must mount it before any JSON body parser,
+ * or expose the raw body as `req.rawBody`, since the signature covers the exact bytes sent.
+ * @param {Object} options - Handler options
+ * @param {string} options.secret - Webhook signing secret
+ * @param {Object} [options.client] - CybernateAI client whose `on()` listeners receive the events
+ * @param {number} [options.tolerance=300] - Max age of a delivery in seconds
+ * @param {Function} [options.onEvent] - Called with each verified event (in addition to the client)
+ * @returns {Function} - (req, res) for Node/Express, or (request) => Promise<Response> for Fetch
+ */
+function createWebhookHandler(options = {}) {
+  const { secret, client, tolerance, onEvent } = options;
+
+  if (!secret) {
+    throw new Error('secret is required');
+  }
+
+  const handle = async (rawBody, headers) => {
+    await verifyWebhookSignature(rawBody, headers, secret, { tolerance });
+
+    let payload;
+    try {
+      payload = JSON.parse(bodyToString(rawBody));
+    } catch (e) {
+      throw new CybernateWebhookError('Webhook body is not valid JSON', { code: 'INVALID_PAYLOAD' });
+    }
+
+    const eventType = payload && (payload.eventType || payload.type || payload.event);
+    if (!eventType || typeof eventType !== 'string') {
+      throw new CybernateWebhookError('Webhook payload has no event type', { code: 'INVALID_PAYLOAD', body: payload });
+    }
+
+    const event = { ...payload, eventType };
+
+    if (client && client._recordDeliveredEvent(event)) {
+      client._dispatchEvent(event);
+    }
+    if (onEvent) {
+      await onEvent(event);
+    }
+
+    return event;
+  };
+
+  return function webhookHandler(req, res, next) {
+    // Fetch API Request
+    if (!res && typeof req.text === 'function') {
+      return req.text()
+        .then(body => handle(body, req.headers))
+        .then(
+          () => jsonResponse(200, { received: true }),
+          error => jsonResponse(errorStatus(error), { error: error.code || 'WEBHOOK_ERROR', message: error.message })
+        );
+    }
+
+    // Node http / Express
+    return readNodeBody(req)
+      .then(body => handle(body, req.headers))
+      .then(
+        () => sendNodeResponse(res, 200, { received: true }),
+        error => {
+          if (!(error instanceof CybernateWebhookError) && typeof next === 'function') {
+            return next(error);
+          }
+          sendNodeResponse(res, errorStatus(error), { error: error.code || 'WEBHOOK_ERROR', message: error.message });
+        }
+      );
+  };
+}
+
+/**
+ * Compute the hex HMAC-SHA256 of a payload
+ * Uses Node's crypto module when available and Web Crypto otherwise.
+ * @param {string} payload - Signed payload
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>}
+ * @private
+ */
+async function computeSignature(payload, secret) {
+  let nodeCrypto = null;
+  try {
+    nodeCrypto = require('crypto');
+  } catch (e) {
+    // Not running in Node.js
+  }
+
+  if (nodeCrypto && typeof nodeCrypto.createHmac === 'function') {
+    return nodeCrypto.createHmac('sha256', secret).update(payload, 'utf8').digest('hex');
+  }
+
+  const subtle = typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) {
+    throw new Error('No HMAC implementation available (requires Node.js crypto or Web Crypto)');
+  }
+
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await subtle.sign('HMAC', key, encoder.encode(payload));
+
+  return Array.from(new Uint8Array(signature))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean}
+ * @private
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+
+  return diff === 0;
+}
+
+/**
+ * Read a header from a plain object, Node headers or Fetch Headers (case-insensitive)
+ * @param {Object|Headers} headers - Headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|null}
+ * @private
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  const value = key !== undefined ? headers[key] : null;
+
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+/**
+ * Decode a raw body to a UTF-8 string
+ * @param {string|Uint8Array|ArrayBuffer} body - Raw body
+ * @returns {string}
+ * @private
+ */
+function bodyToString(body) {
+  if (typeof body === 'string') {
+    return body;
+  }
+
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return new TextDecoder('utf-8').decode(body);
+  }
+
+  throw new CybernateWebhookError('Webhook body must be the raw request body (string or bytes)', {
+    code: 'RAW_BODY_REQUIRED'
+  });
+}
+
+/**
+ * Get the raw body of a Node/Express request
+ * @param {Object} req - Node IncomingMessage (possibly decorated by Express)
+ * @returns {Promise<string|Uint8Array>}
+ * @private
+ */
+function readNodeBody(req) {
+  if (req.rawBody !== undefined) {
+    return Promise.resolve(req.rawBody);
+  }
+
+  // express.raw() / express.text()
+  if (typeof req.body === 'string' || ArrayBuffer.isView(req.body)) {
+    return Promise.resolve(req.body);
+  }
+
+  if (req.body !== undefined && req.readableEnded) {
+    return Promise.reject(new CybernateWebhookError(
+      'Webhook body was already parsed; mount the handler before body parsers or set req.rawBody',
+      { code: 'RAW_BODY_REQUIRED' }
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk));
+    req.on('end', () => {
+      const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+      const body = new Uint8Array(length);
+      let offset = 0;
+      for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.length;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * HTTP status to answer a failed delivery with
+ * @param {Error} error - Handling error
+ * @returns {number}
+ * @private
+ */
+function errorStatus(error) {
+  if (!(error instanceof CybernateWebhookError)) {
+    return 500;
+  }
+
+  return error.code === 'INVALID_PAYLOAD' || error.code === 'RAW_BODY_REQUIRED' ? 400 : 401;
+}
+
+/**
+ * Write a JSON response with Node's http API (also works for Express)
+ * @private
+ */
+function sendNodeResponse(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Build a Fetch API JSON response
+ * @private
+ */
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyWebhookSignature,
+  createWebhookHandler
+};
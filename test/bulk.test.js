@@ -0,0 +1,92 @@
+const { runBulk } = require('../src/bulk');
+const { CybernateNotFoundError, CybernateAbortError } = require('../src/errors');
+
+describe('runBulk', () => {
+  test('reports every item and skips empty and repeated IDs', async () => {
+    const result = await runBulk(['a', 'b', '', 'a', 'c'], async id => {
+      if (id === 'b') {
+        throw new Error('rejected');
+      }
+      return { id };
+    });
+
+    expect(result.results.map(item => item.status)).toEqual(['succeeded', 'failed', 'skipped', 'skipped', 'succeeded']);
+    expect(result.skipped.map(item => item.reason)).toEqual(['invalid', 'duplicate']);
+    expect(result.succeeded.map(item => item.result)).toEqual([{ id: 'a' }, { id: 'c' }]);
+    expect(result.failed[0].error.message).toBe('rejected');
+    expect(result.aborted).toBe(false);
+  });
+
+  test('never runs more than `concurrency` operations at once', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await runBulk(Array.from({ length: 10 }, (_, i) => `id_${i}`), async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    }, { concurrency: 3 });
+
+    expect(peak).toBe(3);
+  });
+
+  test('derives a separate idempotency key for each item', async () => {
+    const keys = [];
+
+    await runBulk(['a', 'b'], async (id, requestOptions) => keys.push(requestOptions.idempotencyKey), {
+      requestOptions: { idempotencyKey: 'batch-1', timeout: 100 }
+    });
+    await runBulk(['c'], async (id, requestOptions) => keys.push(requestOptions.idempotencyKey));
+
+    expect(keys).toEqual(['batch-1-a', 'batch-1-b', undefined]);
+  });
+
+  test('skips not found items with skipNotFound', async () => {
+    const result = await runBulk(['a', 'gone'], async id => {
+      if (id === 'gone') {
+        throw new CybernateNotFoundError('Not found', { status: 404 });
+      }
+    }, { skipNotFound: true });
+
+    expect(result.results[1]).toEqual({ id: 'gone', status: 'skipped', reason: 'not_found' });
+  });
+
+  test('an onProgress callback that throws does not change results', async () => {
+    const progress = [];
+    const logger = { error: jest.fn() };
+
+    const result = await runBulk(['a', 'b', 'c'], async id => {
+      if (id === 'b') {
+        throw new Error('rejected');
+      }
+    }, {
+      logger,
+      onProgress: ({ completed, item }) => {
+        progress.push(`${completed}:${item.id}`);
+        throw new Error('callback failed');
+      }
+    });
+
+    expect(result.results.map(item => item.status)).toEqual(['succeeded', 'failed', 'succeeded']);
+    expect(progress).toHaveLength(3);
+    expect(logger.error).toHaveBeenCalledTimes(3);
+  });
+
+  test('stops starting items once the signal aborts', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    const result = await runBulk(['a', 'b', 'c', 'd'], async id => {
+      started.push(id);
+      if (id === 'b') {
+        controller.abort();
+        throw new CybernateAbortError('Aborted');
+      }
+    }, { concurrency: 1, requestOptions: { signal: controller.signal } });
+
+    expect(started).toEqual(['a', 'b']);
+    expect(result.aborted).toBe(true);
+    expect(result.results.map(item => item.reason || item.status)).toEqual(['succeeded', 'aborted', 'aborted', 'aborted']);
+  });
+});
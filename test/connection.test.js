@@ -0,0 +1,103 @@
+jest.mock('socket.io-client', () => jest.fn());
+
+const io = require('socket.io-client');
+const { CONNECTION_STATE, ConnectionStateMachine } = require('../src/connection');
+const { CybernateAuthError } = require('../src/errors');
+const { startServer, json, createClient } = require('./helpers/server');
+const { FakeSocket } = require('./helpers/socket');
+
+describe('ConnectionStateMachine', () => {
+  test('reports transitions and ignores repeated states', () => {
+    const changes = [];
+    const machine = new ConnectionStateMachine(change => changes.push(change));
+
+    expect(machine.transition(CONNECTION_STATE.AUTHENTICATING, 'connect')).toBe(true);
+    expect(machine.transition(CONNECTION_STATE.AUTHENTICATING, 'connect')).toBe(false);
+    const error = new Error('boom');
+    machine.transition(CONNECTION_STATE.FAILED, 'connect_failed', error);
+
+    expect(changes).toHaveLength(2);
+    expect(changes[1]).toMatchObject({ state: 'failed', previousState: 'authenticating', reason: 'connect_failed', error });
+    expect(changes[1].previousStateDuration).toBeGreaterThanOrEqual(0);
+    expect(machine.state).toBe('failed');
+  });
+});
+
+describe('client connection states', () => {
+  let server;
+  let client;
+  let socket;
+  let states;
+  let auth;
+
+  beforeEach(async () => {
+    auth = (req, res) => json(res, 200, { user: { id: 'user_1' } });
+    server = await startServer((req, res) => auth(req, res));
+    states = [];
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const start = (options = {}) => {
+    client = createClient(server.url, { heartbeatInterval: 0, staleTimeout: 0, ...options });
+    client.on('connectionStateChange', change => states.push(`${change.state}:${change.reason}`));
+    return client.connect();
+  };
+
+  test('ends in degraded-http-only when the socket is disabled', async () => {
+    await start();
+
+    expect(states).toEqual(['authenticating:connect', 'degraded-http-only:websocket_unavailable']);
+    expect(client.getConnectionStatus().state).toBe('degraded-http-only');
+  });
+
+  test('ends in failed when authentication fails', async () => {
+    auth = (req, res) => json(res, 401, { message: 'bad key' });
+
+    await expect(start()).rejects.toBeInstanceOf(CybernateAuthError);
+    expect(states).toEqual(['authenticating:connect', 'failed:connect_failed']);
+  });
+
+  test('follows the socket through drops, reconnects and disconnect()', async () => {
+    io.mockImplementation(() => (socket = new FakeSocket()));
+    await start({ enableWebSocket: true });
+
+    socket.serverDisconnect('transport close');
+    socket.serverConnect();
+    client.disconnect();
+
+    expect(states).toEqual([
+      'authenticating:connect',
+      'connected:authenticated',
+      'reconnecting:transport close',
+      'connected:websocket_connected',
+      'disconnected:client_disconnect'
+    ]);
+  });
+
+  test('falls back to degraded-http-only when the socket cannot connect', async () => {
+    io.mockImplementation(() => {
+      socket = new FakeSocket({ autoConnect: false });
+      setTimeout(() => socket.serverEmit('connect_error', new Error('websocket error')), 0);
+      return socket;
+    });
+
+    const result = await start({ enableWebSocket: true });
+
+    expect(result.websocketEnabled).toBe(false);
+    expect(states).toEqual(['authenticating:connect', 'degraded-http-only:websocket_failed']);
+  });
+
+  test('moves to degraded-http-only once socket.io gives up reconnecting', async () => {
+    io.mockImplementation(() => (socket = new FakeSocket()));
+    await start({ enableWebSocket: true });
+
+    socket.serverDisconnect('transport close');
+    socket.io.handlers.reconnect_failed();
+
+    expect(states.slice(-2)).toEqual(['reconnecting:transport close', 'degraded-http-only:reconnect_failed']);
+  });
+});
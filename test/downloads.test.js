@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readChecksum } = require('../src/downloads');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+
+const CONTENT = Buffer.from('0123456789'.repeat(100));
+const SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+async function readBody(stream) {
+  const chunks = [];
+  if (typeof stream.getReader === 'function') {
+    const reader = stream.getReader();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      chunks.push(Buffer.from(value));
+    }
+  } else {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+  }
+  return Buffer.concat(chunks);
+}
+
+describe('file downloads', () => {
+  let server;
+  let client;
+  let info;
+  let dir;
+
+  beforeEach(async () => {
+    info = { id: 'file_1', size: CONTENT.length, checksum: `sha256:${SHA256}` };
+    server = await startServer(withAuth((req, res) => {
+      if (req.url === '/storage/files/file_1') {
+        return json(res, 200, info);
+      }
+      if (req.url.startsWith('/storage/files/file_1/url')) {
+        return json(res, 200, { url: `${server.url}/blobs/file_1` });
+      }
+      if (req.url === '/blobs/file_1') {
+        const match = /bytes=(\d+)-(\d*)/.exec(req.headers.range || '');
+        if (match) {
+          const start = Number(match[1]);
+          const end = match[2] ? Number(match[2]) : CONTENT.length - 1;
+          res.writeHead(206, {
+            'Content-Type': 'video/mp4',
+            'Content-Length': end - start + 1,
+            'Content-Range': `bytes ${start}-${end}/${CONTENT.length}`
+          });
+          return res.end(CONTENT.subarray(start, end + 1));
+        }
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': CONTENT.length });
+        return res.end(CONTENT);
+      }
+      json(res, 404, { message: 'not found' });
+    }));
+    client = createClient(server.url);
+    await client.connect();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cybernate-downloads-'));
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('downloadFile streams the content from the signed URL with progress', async () => {
+    const progress = [];
+    const download = await client.downloadFile('file_1', { onProgress: update => progress.push(update) });
+
+    expect(await readBody(download.stream)).toEqual(CONTENT);
+    expect(download).toMatchObject({ contentType: 'video/mp4', size: CONTENT.length, partial: false });
+    expect(progress[progress.length - 1]).toMatchObject({ fileId: 'file_1', bytesReceived: CONTENT.length, totalBytes: CONTENT.length });
+
+    const blobRequest = server.requests.find(request => request.url === '/blobs/file_1');
+    expect(blobRequest.headers['x-api-key']).toBeUndefined();
+  });
+
+  test('downloadFile requests byte ranges', async () => {
+    const download = await client.downloadFile('file_1', { range: { start: 10, end: 19 } });
+
+    expect((await readBody(download.stream)).toString()).toBe('0123456789');
+    expect(download).toMatchObject({ partial: true, size: 10, totalSize: CONTENT.length, contentRange: `bytes 10-19/${CONTENT.length}` });
+  });
+
+  test('downloadFile rejects malformed ranges', async () => {
+    await expect(client.downloadFile('file_1', { range: { start: 5, end: 1 } })).rejects.toThrow('start <= end');
+  });
+
+  test('downloadFileTo writes the verified file', async () => {
+    const filePath = path.join(dir, 'clip.mp4');
+
+    const result = await client.downloadFileTo('file_1', filePath);
+
+    expect(fs.readFileSync(filePath)).toEqual(CONTENT);
+    expect(result).toEqual({
+      path: filePath,
+      size: CONTENT.length,
+      contentType: 'video/mp4',
+      checksum: { algorithm: 'sha256', value: SHA256, verified: true }
+    });
+  });
+
+  test('downloadFileTo rejects a checksum mismatch and leaves no file behind', async () => {
+    info.checksum = `sha256:${'0'.repeat(64)}`;
+    const filePath = path.join(dir, 'clip.mp4');
+
+    await expect(client.downloadFileTo('file_1', filePath)).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('downloadFileTo rejects a size mismatch', async () => {
+    info.size = CONTENT.length + 1;
+
+    await expect(client.downloadFileTo('file_1', path.join(dir, 'clip.mp4'))).rejects.toMatchObject({ code: 'SIZE_MISMATCH' });
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('downloadFileTo skips verification with verify: false', async () => {
+    info.checksum = `sha256:${'0'.repeat(64)}`;
+
+    const result = await client.downloadFileTo('file_1', path.join(dir, 'clip.mp4'), { verify: false });
+
+    expect(result.checksum).toBeNull();
+    expect(server.requests.some(request => request.url === '/storage/files/file_1')).toBe(false);
+  });
+});
+
+describe('readChecksum', () => {
+  test('reads the supported checksum formats', () => {
+    expect(readChecksum({ checksum: 'sha256:abc' })).toEqual({ algorithm: 'sha256', value: 'abc' });
+    expect(readChecksum({ checksum: 'abc', checksumAlgorithm: 'MD5' })).toEqual({ algorithm: 'md5', value: 'abc' });
+    expect(readChecksum({ checksum: { algorithm: 'SHA-1', value: 'abc' } })).toEqual({ algorithm: 'sha1', value: 'abc' });
+    expect(readChecksum({ sha512: 'abc' })).toEqual({ algorithm: 'sha512', value: 'abc' });
+    expect(readChecksum({ checksum: 'crc32c:abc' })).toBeNull();
+    expect(readChecksum({})).toBeNull();
+  });
+});
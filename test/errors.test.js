@@ -0,0 +1,29 @@
+const errors = require('../src/errors');
+
+describe('error classes', () => {
+  test('every class has an explicit name and default code', () => {
+    const classes = Object.entries(errors).filter(([name]) => /^Cybernate\w*Error$/.test(name));
+    expect(classes.length).toBeGreaterThan(5);
+
+    classes.forEach(([name, ErrorClass]) => {
+      const error = new ErrorClass('message');
+      expect(error.name).toBe(name);
+      expect(error).toBeInstanceOf(errors.CybernateError);
+      expect(typeof error.code).toBe('string');
+    });
+  });
+
+  test('createHttpError maps statuses to error classes', () => {
+    const response = (status, headers = {}) => ({ status, headers: new Headers(headers) });
+    const context = { method: 'GET', path: '/events' };
+
+    expect(errors.createHttpError(response(401), {}, context)).toBeInstanceOf(errors.CybernateAuthError);
+    expect(errors.createHttpError(response(404), {}, context)).toBeInstanceOf(errors.CybernateNotFoundError);
+    expect(errors.createHttpError(response(422), {}, context)).toBeInstanceOf(errors.CybernateValidationError);
+    expect(errors.createHttpError(response(503), {}, context)).toBeInstanceOf(errors.CybernateServerError);
+
+    const rateLimited = errors.createHttpError(response(429, { 'Retry-After': '7' }), {}, context);
+    expect(rateLimited).toBeInstanceOf(errors.CybernateRateLimitError);
+    expect(rateLimited.retryAfter).toBe(7);
+  });
+});
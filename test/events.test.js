@@ -0,0 +1,121 @@
+jest.mock('socket.io-client', () => jest.fn());
+
+const io = require('socket.io-client');
+const { CybernateTimeoutError, CybernateAbortError } = require('../src/errors');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { FakeSocket } = require('./helpers/socket');
+
+describe('waitFor() and stream()', () => {
+  let server;
+  let client;
+  let socket;
+
+  beforeEach(async () => {
+    server = await startServer(withAuth((req, res) => json(res, 200, {})));
+    io.mockImplementation(() => (socket = new FakeSocket()));
+    client = createClient(server.url, { enableWebSocket: true, heartbeatInterval: 0, staleTimeout: 0 });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const send = (...events) => events.forEach(event => socket.serverEmit('event', event));
+  const listenerCount = event => (client.eventListeners[event] || []).length;
+
+  describe('waitFor()', () => {
+    test('resolves with the first matching event and removes its listener', async () => {
+      const waiting = client.waitFor('intrusion', { filter: event => event.deviceId === 'device_2' });
+
+      send({ id: 'evt_1', eventType: 'intrusion', deviceId: 'device_1' });
+      send({ id: 'evt_2', eventType: 'intrusion', deviceId: 'device_2' });
+
+      await expect(waiting).resolves.toMatchObject({ id: 'evt_2' });
+      expect(listenerCount('intrusion')).toBe(0);
+    });
+
+    test('rejects with CybernateTimeoutError after the timeout', async () => {
+      await expect(client.waitFor('intrusion', { timeout: 20 })).rejects.toBeInstanceOf(CybernateTimeoutError);
+      expect(listenerCount('intrusion')).toBe(0);
+    });
+
+    test('rejects with CybernateAbortError when aborted', async () => {
+      const controller = new AbortController();
+      const waiting = client.waitFor('intrusion', { signal: controller.signal });
+      controller.abort();
+
+      await expect(waiting).rejects.toBeInstanceOf(CybernateAbortError);
+      expect(listenerCount('intrusion')).toBe(0);
+    });
+  });
+
+  describe('stream()', () => {
+    test('yields events in order and unsubscribes on break', async () => {
+      const stream = client.stream('all');
+      send({ id: 'evt_1' }, { id: 'evt_2' });
+      setTimeout(() => send({ id: 'evt_3' }), 5);
+
+      const ids = [];
+      for await (const event of stream) {
+        ids.push(event.id);
+        if (ids.length === 3) {
+          break;
+        }
+      }
+
+      expect(ids).toEqual(['evt_1', 'evt_2', 'evt_3']);
+      expect(listenerCount('all')).toBe(0);
+    });
+
+    test('drops the oldest buffered events by default', async () => {
+      const stream = client.stream('all', { bufferSize: 2 });
+      send({ id: 'evt_1' }, { id: 'evt_2' }, { id: 'evt_3' });
+
+      expect((await stream.next()).value.id).toBe('evt_2');
+      expect(stream.dropped).toBe(1);
+      stream.close();
+    });
+
+    test('drops new events with drop-newest', async () => {
+      const stream = client.stream('all', { bufferSize: 2, overflow: 'drop-newest' });
+      send({ id: 'evt_1' }, { id: 'evt_2' }, { id: 'evt_3' });
+
+      expect((await stream.next()).value.id).toBe('evt_1');
+      expect((await stream.next()).value.id).toBe('evt_2');
+      stream.close();
+      expect(await stream.next()).toEqual({ value: undefined, done: true });
+    });
+
+    test('fails with STREAM_OVERFLOW when overflow is error', async () => {
+      const stream = client.stream('all', { bufferSize: 1, overflow: 'error' });
+      send({ id: 'evt_1' }, { id: 'evt_2' });
+
+      await expect(stream.next()).rejects.toMatchObject({ code: 'STREAM_OVERFLOW' });
+      expect(listenerCount('all')).toBe(0);
+    });
+
+    test('ends a pending read with CybernateAbortError when aborted', async () => {
+      const controller = new AbortController();
+      const stream = client.stream('all', { signal: controller.signal });
+      const pending = stream.next();
+      controller.abort();
+
+      await expect(pending).rejects.toBeInstanceOf(CybernateAbortError);
+    });
+
+    test('applies on() filter options', async () => {
+      const stream = client.stream('detection', { objectTypes: 'person' });
+      send({ id: 'evt_1', objectType: 'car' }, { id: 'evt_2', objectType: 'person' });
+
+      expect((await stream.next()).value.id).toBe('evt_2');
+      stream.close();
+    });
+
+    test('rejects invalid options', () => {
+      expect(() => client.stream('all', { overflow: 'block' })).toThrow('Invalid overflow policy');
+      expect(() => client.stream('all', { bufferSize: 0 })).toThrow('bufferSize must be at least 1');
+    });
+  });
+});
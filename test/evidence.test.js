@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { CybernateNotFoundError } = require('../src/errors');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+
+const CLIP = Buffer.alloc(70000, 'v');
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Read the entries of a stored (uncompressed) ZIP archive from its central directory
+ */
+function readZip(bytes) {
+  const buffer = Buffer.from(bytes);
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  const entries = {};
+
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(offset)).toBe(0x02014b50);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    expect(buffer.readUInt32LE(local)).toBe(0x04034b50);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    if (zlib.crc32) {
+      expect(zlib.crc32(data)).toBe(crc);
+    }
+
+    entries[name] = data;
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read the entries of a ustar archive
+ */
+function readTar(bytes) {
+  const buffer = Buffer.from(bytes);
+  const entries = {};
+
+  for (let offset = 0; offset + 512 <= buffer.length;) {
+    const name = buffer.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '');
+    if (!name) {
+      break;
+    }
+    const size = parseInt(buffer.toString('utf8', offset + 124, offset + 136), 8);
+    entries[name] = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  return entries;
+}
+
+describe('exportEvidence', () => {
+  let server;
+  let client;
+  let event;
+  let files;
+  let chunked;
+
+  beforeEach(async () => {
+    event = {
+      id: 'evt_1',
+      eventType: 'intrusion',
+      acknowledged: true,
+      acknowledgedAt: '2024-01-01T00:10:00.000Z',
+      acknowledgedBy: 'user_2',
+      notes: 'police called'
+    };
+    chunked = false;
+    files = [{ id: 'file_1', fileName: 'clip one.mp4', mimeType: 'video/mp4', size: CLIP.length, checksum: `sha256:${sha256(CLIP)}` }];
+
+    server = await startServer(withAuth((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname === '/events') {
+        return json(res, 200, { events: url.searchParams.get('eventId') === event.id ? [event] : [] });
+      }
+      if (url.pathname === '/storage/files') {
+        return json(res, 200, { files, pagination: { total: files.length, limit: 20 } });
+      }
+      if (url.pathname === '/storage/files/file_1/url') {
+        return json(res, 200, { url: `${server.url}/blobs/file_1`, expiresAt: '2024-01-02T00:00:00.000Z' });
+      }
+      if (url.pathname === '/blobs/file_1') {
+        res.writeHead(200, { 'Content-Type': 'video/mp4' });
+        if (chunked) {
+          res.write(CLIP.subarray(0, 1000));
+          return res.end(CLIP.subarray(1000));
+        }
+        return res.end(CLIP);
+      }
+      json(res, 404, { message: 'not found' });
+    }));
+    client = createClient(server.url);
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  test('bundles the event, its media, a manifest and checksums into a ZIP archive', async () => {
+    const result = await client.exportEvidence('evt_1', { metadata: { caseNumber: 'C-42' } });
+    const entries = readZip(result.archive);
+
+    expect(Object.keys(entries)).toEqual(['event.json', 'media/file_1-clip_one.mp4', 'manifest.json', 'SHA256SUMS']);
+    expect(JSON.parse(entries['event.json'])).toEqual(event);
+    expect(entries['media/file_1-clip_one.mp4'].equals(CLIP)).toBe(true);
+
+    const manifest = JSON.parse(entries['manifest.json']);
+    expect(manifest).toMatchObject({
+      eventId: 'evt_1',
+      media: 'download',
+      metadata: { caseNumber: 'C-42' },
+      exportedBy: { userId: 'user_1', organizationId: 'org_1' },
+      acknowledgement: { acknowledged: true, acknowledgedBy: 'user_2', notes: 'police called' }
+    });
+    expect(manifest.files[0]).toMatchObject({ fileId: 'file_1', path: 'media/file_1-clip_one.mp4', sha256: sha256(CLIP) });
+    expect(result.manifest).toEqual(manifest);
+    expect(result.manifestSha256).toBe(sha256(entries['manifest.json']));
+
+    const sums = entries.SHA256SUMS.toString().trim().split('\n');
+    expect(sums).toEqual(['event.json', 'media/file_1-clip_one.mp4', 'manifest.json']
+      .map(name => `${sha256(entries[name])}  ${name}`));
+  });
+
+  test('writes a tar archive to a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cybernate-evidence-'));
+    const output = path.join(dir, 'evidence.tar');
+
+    try {
+      const result = await client.exportEvidence('evt_1', { format: 'tar', output });
+      const entries = readTar(fs.readFileSync(output));
+
+      expect(result).toMatchObject({ format: 'tar', path: output, archive: null });
+      expect(entries['media/file_1-clip_one.mp4'].equals(CLIP)).toBe(true);
+      expect(sha256(entries['manifest.json'])).toBe(result.manifestSha256);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('tar exports media whose size is not known up front', async () => {
+    chunked = true;
+    delete files[0].size;
+
+    const result = await client.exportEvidence('evt_1', { format: 'tar' });
+
+    expect(readTar(result.archive)['media/file_1-clip_one.mp4'].equals(CLIP)).toBe(true);
+  });
+
+  test("lists signed URLs instead of media with media: 'url'", async () => {
+    const result = await client.exportEvidence('evt_1', { media: 'url' });
+    const entries = readZip(result.archive);
+
+    expect(Object.keys(entries)).toEqual(['event.json', 'manifest.json', 'SHA256SUMS']);
+    expect(result.manifest.files[0]).toMatchObject({ fileId: 'file_1', url: `${server.url}/blobs/file_1` });
+    expect(server.requests.some(request => request.url === '/blobs/file_1')).toBe(false);
+  });
+
+  test('fails on a media checksum mismatch and removes the partial archive', async () => {
+    files[0].checksum = `sha256:${'0'.repeat(64)}`;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cybernate-evidence-'));
+
+    try {
+      await expect(client.exportEvidence('evt_1', { output: path.join(dir, 'evidence.zip') }))
+        .rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+      expect(fs.readdirSync(dir)).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects unknown events', async () => {
+    await expect(client.exportEvidence('evt_404')).rejects.toBeInstanceOf(CybernateNotFoundError);
+  });
+
+  test('rejects unknown formats and media modes', async () => {
+    await expect(client.exportEvidence('evt_1', { format: 'rar' })).rejects.toThrow('Invalid archive format');
+    await expect(client.exportEvidence('evt_1', { media: 'inline' })).rejects.toThrow('Invalid media mode');
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('socket.io-client', () => jest.fn());
+
+const io = require('socket.io-client');
+const { createListener } = require('../src/filters');
+const { startServer, createClient, withAuth, json } = require('./helpers/server');
+const { FakeSocket } = require('./helpers/socket');
+
+const person = (extra = {}) => ({ objects: [{ name: 'person', confidence: 0.9, boundingBox: { x: 10, y: 10, width: 10, height: 10 } }], ...extra });
+
+describe('createListener', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('filters by object type, confidence and entity', () => {
+    const callback = jest.fn();
+    const listener = createListener(callback, { objectTypes: 'person', minConfidence: 0.8, entityIds: ['device_1'] });
+
+    listener(person({ deviceId: 'device_1' }));
+    listener(person({ deviceId: 'device_2' }));
+    listener({ objectType: 'car', confidence: 0.99, deviceId: 'device_1' });
+    listener({ objectType: 'person', confidence: 0.5, deviceId: 'device_1' });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('filters by zone and custom predicate', () => {
+    const callback = jest.fn();
+    const listener = createListener(callback, {
+      zone: { x: 0, y: 0, width: 20, height: 20 },
+      filter: event => event.severity === 'high'
+    });
+
+    listener(person({ severity: 'high' }));
+    listener(person({ severity: 'low' }));
+    listener({ ...person(), objects: [{ name: 'person', boundingBox: { x: 50, y: 50, width: 10, height: 10 } }], severity: 'high' });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('throttle delivers at most one event per window', () => {
+    jest.useFakeTimers();
+    const callback = jest.fn();
+    const listener = createListener(callback, { throttle: 1000 });
+
+    listener({ id: 1 });
+    listener({ id: 2 });
+    jest.advanceTimersByTime(1000);
+    listener({ id: 3 });
+
+    expect(callback.mock.calls.map(([event]) => event.id)).toEqual([1, 3]);
+  });
+
+  test('debounce delivers only the last event after a quiet period', () => {
+    jest.useFakeTimers();
+    const callback = jest.fn();
+    const listener = createListener(callback, { debounce: 500 });
+
+    listener({ id: 1 });
+    jest.advanceTimersByTime(300);
+    listener({ id: 2 });
+    jest.advanceTimersByTime(500);
+
+    expect(callback.mock.calls.map(([event]) => event.id)).toEqual([2]);
+  });
+
+  test('cancel drops a pending debounced delivery', () => {
+    jest.useFakeTimers();
+    const callback = jest.fn();
+    const listener = createListener(callback, { debounce: 500 });
+
+    listener({ id: 1 });
+    listener.cancel();
+    jest.advanceTimersByTime(500);
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  test('dedupe skips events whose tracks were all seen recently', () => {
+    jest.useFakeTimers();
+    const callback = jest.fn();
+    const listener = createListener(callback, { dedupe: 1000 });
+
+    listener({ trackId: 'track_1' });
+    listener({ trackId: 'track_1' });
+    listener({ objects: [{ trackId: 'track_1' }, { trackId: 'track_2' }] });
+    jest.advanceTimersByTime(1000);
+    listener({ trackId: 'track_1' });
+
+    expect(callback).toHaveBeenCalledTimes(3);
+  });
+
+  test('rejects unknown and conflicting options', () => {
+    expect(() => createListener(() => {}, { minConfidnce: 0.5 })).toThrow('Unknown listener option(s): minConfidnce');
+    expect(() => createListener(() => {}, { throttle: 10, debounce: 10 })).toThrow('cannot be combined');
+    expect(() => createListener(() => {}, { filter: 'person' })).toThrow('filter must be a function');
+  });
+});
+
+describe('client listener options', () => {
+  let server;
+  let client;
+  let socket;
+
+  beforeEach(async () => {
+    server = await startServer(withAuth((req, res) => json(res, 200, {})));
+    io.mockImplementation(() => (socket = new FakeSocket()));
+    client = createClient(server.url, { enableWebSocket: true, heartbeatInterval: 0, staleTimeout: 0 });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  test('on() applies the options and off() removes the listener by its original callback', () => {
+    const callback = jest.fn();
+    client.on('detection', callback, { objectTypes: ['person'] });
+
+    socket.serverEmit('event', person({ id: 'evt_1' }));
+    socket.serverEmit('event', { id: 'evt_2', objectType: 'car' });
+    client.off('detection', callback);
+    socket.serverEmit('event', person({ id: 'evt_3' }));
+
+    expect(callback.mock.calls.map(([event]) => event.id)).toEqual(['evt_1']);
+  });
+});
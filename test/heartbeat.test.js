@@ -0,0 +1,140 @@
+jest.mock('socket.io-client', () => jest.fn());
+
+const io = require('socket.io-client');
+const { HeartbeatMonitor } = require('../src/connection');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { FakeSocket, nextEvent } = require('./helpers/socket');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const until = async condition => {
+  while (!condition()) {
+    await delay(5);
+  }
+};
+
+describe('HeartbeatMonitor', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('sends heartbeats and records the round trip of each reply', () => {
+    const replies = [];
+    const monitor = new HeartbeatMonitor({ interval: 1000, staleTimeout: 0, send: reply => replies.push(reply), onStale: jest.fn() });
+
+    monitor.start();
+    jest.advanceTimersByTime(1000);
+    jest.advanceTimersByTime(30);
+    replies[0]();
+
+    expect(replies).toHaveLength(1);
+    expect(monitor.latency).toBe(30);
+    expect(monitor.lastHeartbeatAt).not.toBeNull();
+    monitor.stop();
+  });
+
+  test('reports a stale connection after staleTimeout without activity', () => {
+    const onStale = jest.fn();
+    const monitor = new HeartbeatMonitor({ interval: 0, staleTimeout: 5000, send: jest.fn(), onStale });
+
+    monitor.start();
+    jest.advanceTimersByTime(4000);
+    monitor.touch();
+    jest.advanceTimersByTime(4000);
+    expect(onStale).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(onStale).toHaveBeenCalledWith(expect.objectContaining({ silentFor: 5000 }));
+  });
+
+  test('stop() cancels heartbeats and the watchdog', () => {
+    const send = jest.fn();
+    const onStale = jest.fn();
+    const monitor = new HeartbeatMonitor({ interval: 1000, staleTimeout: 5000, send, onStale });
+
+    monitor.start();
+    monitor.stop();
+    jest.advanceTimersByTime(10000);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(onStale).not.toHaveBeenCalled();
+  });
+});
+
+describe('client heartbeats', () => {
+  let server;
+  let client;
+  let sockets;
+
+  beforeEach(async () => {
+    server = await startServer(withAuth((req, res) => json(res, 200, { events: [] })));
+    sockets = [];
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const start = async (options, onEmit) => {
+    io.mockImplementation(() => {
+      const socket = new FakeSocket({ onEmit });
+      sockets.push(socket);
+      return socket;
+    });
+    client = createClient(server.url, { enableWebSocket: true, ...options });
+    await client.connect();
+  };
+
+  test('sends no heartbeats and arms no watchdog by default', async () => {
+    await start({});
+    const onStale = jest.fn();
+    client.on('stale', onStale);
+
+    await delay(30);
+
+    expect(sockets[0].emitted.filter(message => message.event === 'heartbeat')).toEqual([]);
+    expect(client.heartbeat.heartbeatTimer).toBeNull();
+    expect(client.heartbeat.staleTimer).toBeNull();
+    expect(onStale).not.toHaveBeenCalled();
+  });
+
+  test('reports heartbeat latency in getConnectionStatus()', async () => {
+    await start({ heartbeatInterval: 10, staleTimeout: 0 }, (event, data, ack) => {
+      if (event === 'heartbeat') {
+        ack({ receivedAt: new Date().toISOString() });
+      }
+    });
+
+    await until(() => client.getConnectionStatus().latency !== null);
+
+    const status = client.getConnectionStatus();
+    expect(status.lastHeartbeatAt).not.toBeNull();
+    expect(sockets[0].emitted.filter(message => message.event === 'heartbeat').length).toBeGreaterThan(0);
+  });
+
+  test('emits stale and reconnects the socket when it goes silent', async () => {
+    await start({ heartbeatInterval: 0, staleTimeout: 30 });
+
+    const stale = await nextEvent(client, 'stale');
+
+    expect(stale.silentFor).toBeGreaterThanOrEqual(30);
+    expect(sockets).toHaveLength(2);
+  });
+
+  test('events keep a quiet socket from going stale', async () => {
+    await start({ heartbeatInterval: 0, staleTimeout: 100 });
+    const onStale = jest.fn();
+    client.on('stale', onStale);
+
+    for (let i = 0; i < 8; i++) {
+      await delay(25);
+      sockets[0].serverEmit('event', { id: `evt_${i}` });
+    }
+
+    expect(onStale).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Local HTTP API used by the specs
+ */
+
+const http = require('http');
+const { CybernateAI } = require('../../src/index');
+
+/**
+ * Start a server on a random local port
+ * @param {Function} handler - (req, res, body) called once the request body has been read
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>}
+ */
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const parts = [];
+    req.on('data', chunk => parts.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(parts);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Reply with JSON
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} data - Body
+ * @param {Object} [headers] - Extra headers
+ */
+function json(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create a client for the local server, without socket or polling
+ * @param {string} url - Server URL
+ * @param {Object} [options] - Extra client options
+ * @returns {CybernateAI}
+ */
+function createClient(url, options = {}) {
+  return new CybernateAI('test-key', {
+    baseUrl: url,
+    enableWebSocket: false,
+    polling: false,
+    reconcileWatchers: false,
+    logLevel: 'silent',
+    ...options
+  });
+}
+
+/**
+ * Handle /auth/validate so connect() succeeds
+ * @param {Function} handler - Handler for every other request
+ * @returns {Function}
+ */
+function withAuth(handler) {
+  return (req, res, body) => {
+    if (req.url === '/auth/validate') {
+      return json(res, 200, { user: { id: 'user_1' }, organization: { id: 'org_1' } });
+    }
+    return handler(req, res, body);
+  };
+}
+
+module.exports = { startServer, json, createClient, withAuth };
@@ -0,0 +1,83 @@
+/**
+ * In-memory stand-in for a socket.io client socket
+ * Specs replace `socket.io-client` with a factory returning these, then drive the server side
+ * through serverConnect(), serverDisconnect() and serverEmit().
+ */
+
+class FakeSocket {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.autoConnect=true] - Fire `connect` once the client has attached its handlers
+   * @param {Function} [options.onEmit] - (event, data, ack) called for every message the client sends
+   */
+  constructor(options = {}) {
+    this.handlers = {};
+    this.connected = false;
+    this.closed = false;
+    this.emitted = [];
+    this.onEmit = options.onEmit;
+    this.io = {
+      handlers: {},
+      on: (event, handler) => {
+        this.io.handlers[event] = handler;
+      }
+    };
+
+    if (options.autoConnect !== false) {
+      setTimeout(() => {
+        if (!this.closed) {
+          this.serverConnect();
+        }
+      }, 0);
+    }
+  }
+
+  on(event, handler) {
+    (this.handlers[event] = this.handlers[event] || []).push(handler);
+    return this;
+  }
+
+  emit(event, data, ack) {
+    this.emitted.push({ event, data });
+    if (this.onEmit) {
+      this.onEmit(event, data, ack);
+    }
+  }
+
+  disconnect() {
+    this.closed = true;
+    this.connected = false;
+  }
+
+  serverConnect() {
+    this.connected = true;
+    this.serverEmit('connect');
+  }
+
+  serverDisconnect(reason = 'transport close') {
+    this.connected = false;
+    this.serverEmit('disconnect', reason);
+  }
+
+  serverEmit(event, ...args) {
+    (this.handlers[event] || []).forEach(handler => handler(...args));
+  }
+}
+
+/**
+ * Resolve on the next call of a client listener
+ * @param {Object} client - CybernateAI client
+ * @param {string} event - Event name
+ * @returns {Promise<*>}
+ */
+function nextEvent(client, event) {
+  return new Promise(resolve => {
+    const listener = data => {
+      client.off(event, listener);
+      resolve(data);
+    };
+    client.on(event, listener);
+  });
+}
+
+module.exports = { FakeSocket, nextEvent };
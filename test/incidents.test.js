@@ -0,0 +1,132 @@
+jest.mock('socket.io-client', () => jest.fn());
+
+const io = require('socket.io-client');
+const { IncidentCorrelator } = require('../src/incidents');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { FakeSocket } = require('./helpers/socket');
+
+const at = seconds => new Date(Date.UTC(2024, 0, 1, 0, 0, seconds)).toISOString();
+const detection = (id, seconds, extra = {}) => ({
+  id,
+  eventType: 'detection',
+  deviceId: 'device_1',
+  objectType: 'person',
+  confidence: 0.9,
+  timestamp: at(seconds),
+  ...extra
+});
+
+describe('IncidentCorrelator', () => {
+  let server;
+  let client;
+  let socket;
+  let emitted;
+  let correlator;
+
+  beforeEach(async () => {
+    server = await startServer(withAuth((req, res) => json(res, 200, { success: true })));
+    io.mockImplementation(() => (socket = new FakeSocket()));
+    client = createClient(server.url, { enableWebSocket: true, heartbeatInterval: 0, staleTimeout: 0 });
+    await client.connect();
+
+    emitted = [];
+    ['incident.opened', 'incident.updated', 'incident.closed'].forEach(name =>
+      client.on(name, incident => emitted.push(`${name}:${incident.events.length}`)));
+  });
+
+  afterEach(async () => {
+    correlator?.stop();
+    client.disconnect();
+    await server.close();
+  });
+
+  const send = (...events) => events.forEach(event => socket.serverEmit('event', event));
+
+  test('count rules open an incident once enough detections fall in the window', () => {
+    correlator = client.correlate({ rules: [{ type: 'count', count: 3, within: 10000 }] });
+
+    send(detection('evt_1', 0), detection('evt_2', 20), detection('evt_3', 25), detection('evt_4', 28), detection('evt_5', 29));
+
+    expect(emitted).toEqual(['incident.opened:3', 'incident.updated:4']);
+    expect(correlator.getIncidents({ status: 'open' })[0]).toMatchObject({ rule: 'count-1', entityId: 'device_1' });
+  });
+
+  test('detections of other entities and object types are kept apart', () => {
+    correlator = client.correlate({ rules: [{ type: 'count', count: 2, within: 10000, objectTypes: 'person' }] });
+
+    send(detection('evt_1', 0), detection('evt_2', 1, { deviceId: 'device_2' }), detection('evt_3', 2, { objectType: 'car' }));
+
+    expect(emitted).toEqual([]);
+  });
+
+  test('sequence rules need the zones in order within the window', () => {
+    const zoneA = { x: 0, y: 0, width: 10, height: 10 };
+    const zoneB = { x: 50, y: 50, width: 10, height: 10 };
+    const inA = { boundingBox: { x: 2, y: 2, width: 2, height: 2 } };
+    const inB = { boundingBox: { x: 52, y: 52, width: 2, height: 2 } };
+    correlator = client.correlate({ rules: [{ name: 'a-to-b', type: 'sequence', zones: [zoneA, zoneB], within: 30000 }] });
+
+    send(detection('evt_1', 0, inB), detection('evt_2', 1, inA));
+    expect(emitted).toEqual([]);
+
+    send(detection('evt_3', 5, inB));
+    expect(emitted).toEqual(['incident.opened:2']);
+    expect(correlator.getIncidents()[0].events.map(event => event.id)).toEqual(['evt_2', 'evt_3']);
+  });
+
+  test('incidents close after closeAfter without related detections', () => {
+    jest.useFakeTimers();
+    try {
+      correlator = client.correlate({ rules: [{ type: 'count', count: 1, within: 1000 }], closeAfter: 5000 });
+
+      send(detection('evt_1', 0));
+      jest.advanceTimersByTime(4000);
+      send(detection('evt_2', 4));
+      jest.advanceTimersByTime(4000);
+      expect(emitted).toEqual(['incident.opened:1', 'incident.updated:2']);
+
+      jest.advanceTimersByTime(1000);
+      expect(emitted).toEqual(['incident.opened:1', 'incident.updated:2', 'incident.closed:2']);
+      expect(correlator.getIncidents()[0].closeReason).toBe('timeout');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('resolve() closes the incident and can acknowledge its events', async () => {
+    correlator = client.correlate({ rules: [{ type: 'count', count: 2, within: 10000 }], acknowledgeOnResolve: true });
+    send(detection('evt_1', 0), detection('evt_2', 1));
+
+    const incident = await correlator.resolve(correlator.getIncidents()[0].id, 'handled');
+
+    expect(incident).toMatchObject({ status: 'closed', closeReason: 'resolved', notes: 'handled', acknowledgeErrors: [] });
+    expect(server.requests.filter(request => request.url.endsWith('/acknowledge')).map(request => request.url))
+      .toEqual(['/events/evt_1/acknowledge', '/events/evt_2/acknowledge']);
+  });
+
+  test('keeps at most maxClosed closed incidents', async () => {
+    correlator = client.correlate({ rules: [{ type: 'count', count: 1, within: 1000 }], maxClosed: 2 });
+
+    for (let i = 1; i <= 3; i++) {
+      send(detection(`evt_${i}`, i, { deviceId: `device_${i}` }));
+      await correlator.resolve(correlator.getIncidents({ status: 'open' })[0].id);
+    }
+
+    expect(correlator.getIncidents().map(incident => incident.entityId)).toEqual(['device_2', 'device_3']);
+  });
+
+  test('stop() detaches from the client', () => {
+    correlator = client.correlate({ rules: [{ type: 'count', count: 1, within: 1000 }] });
+    correlator.stop();
+
+    send(detection('evt_1', 0));
+
+    expect(emitted).toEqual([]);
+  });
+
+  test('rejects invalid rules', () => {
+    expect(() => new IncidentCorrelator(client, { rules: [] })).toThrow('At least one correlation rule is required');
+    expect(() => new IncidentCorrelator(client, { rules: [{ type: 'burst', within: 10 }] })).toThrow('Invalid rule type');
+    expect(() => new IncidentCorrelator(client, { rules: [{ type: 'count', within: 10 }] })).toThrow('"count" of at least 1');
+  });
+});
@@ -0,0 +1,39 @@
+const { createLogger, redactBody } = require('../src/logger');
+
+describe('logger', () => {
+  test('only forwards messages at or above the level', () => {
+    const sink = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const logger = createLogger(sink, 'warn');
+
+    logger.debug('debug');
+    logger.warn('warn');
+
+    expect(sink.debug).not.toHaveBeenCalled();
+    expect(sink.warn).toHaveBeenCalledWith('warn');
+    expect(logger.enabled('debug')).toBe(false);
+    expect(logger.enabled('error')).toBe(true);
+  });
+
+  test('falls back to console for an undefined or null logger', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      createLogger(null).warn('null');
+      createLogger(undefined).warn('undefined');
+
+      expect(warn.mock.calls).toEqual([['null'], ['undefined']]);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('redacts bodies without walking binary data', () => {
+    expect(redactBody({ apiKey: 'secret', notes: 'x' })).toBe('[REDACTED keys: apiKey, notes]');
+    expect(redactBody(new Uint8Array(8 * 1024 * 1024))).toBe('[binary 8388608 bytes]');
+    expect(redactBody(new ArrayBuffer(16))).toBe('[binary 16 bytes]');
+    expect(redactBody(new Blob(['abc']))).toBe('[binary 3 bytes]');
+    expect(redactBody(new FormData())).toBe('[form data]');
+    expect(redactBody(new ReadableStream())).toBe('[stream]');
+    expect(redactBody(null)).toBe('[empty]');
+  });
+});
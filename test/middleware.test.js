@@ -0,0 +1,100 @@
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { CybernateError, CybernateNotFoundError } = require('../src/errors');
+
+describe('request middleware', () => {
+  let server;
+  let client;
+  let respond;
+
+  beforeEach(async () => {
+    respond = (req, res) => json(res, 200, { ok: true });
+    server = await startServer(withAuth((req, res, body) => respond(req, res, body)));
+    client = createClient(server.url, { retry: false });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const lastRequest = () => server.requests[server.requests.length - 1];
+
+  test('runs middleware in registration order around the request', async () => {
+    const order = [];
+    client
+      .use(async (request, next) => {
+        order.push('first:before');
+        const response = await next();
+        order.push('first:after');
+        return response;
+      })
+      .use(async (request, next) => {
+        order.push('second:before');
+        const response = await next();
+        order.push('second:after');
+        return response;
+      });
+
+    await client.queryEvents();
+
+    expect(order).toEqual(['first:before', 'second:before', 'second:after', 'first:after']);
+  });
+
+  test('can change the outgoing request and the response data', async () => {
+    client.use(async (request, next) => {
+      const response = await next({ ...request, headers: { ...request.headers, 'X-Trace-Id': 'trace-1' } });
+      return { ...response, data: { ...response.data, traced: true } };
+    });
+
+    await expect(client.queryEvents()).resolves.toEqual({ ok: true, traced: true });
+    expect(lastRequest().headers['x-trace-id']).toBe('trace-1');
+  });
+
+  test('sees the request method, path and JSON body', async () => {
+    const seen = [];
+    client.use(async (request, next) => {
+      seen.push({ method: request.method, path: request.path, body: request.body });
+      return next();
+    });
+
+    await client.acknowledgeEvent('event_1', 'checked');
+
+    expect(seen).toEqual([{ method: 'POST', path: '/events/event_1/acknowledge', body: { notes: 'checked' } }]);
+  });
+
+  test('can short-circuit without sending the request', async () => {
+    client.use(async () => ({ status: 200, statusText: 'OK', headers: new Headers(), data: { cached: true } }));
+    const sent = server.requests.length;
+
+    await expect(client.queryEvents()).resolves.toEqual({ cached: true });
+    expect(server.requests).toHaveLength(sent);
+  });
+
+  test('receives typed HTTP errors from next', async () => {
+    respond = (req, res) => json(res, 404, { message: 'missing' });
+    const errors = [];
+    client.use(async (request, next) => {
+      try {
+        return await next();
+      } catch (error) {
+        errors.push(error);
+        throw error;
+      }
+    });
+
+    await expect(client.queryEvents()).rejects.toBeInstanceOf(CybernateNotFoundError);
+    expect(errors[0]).toBeInstanceOf(CybernateNotFoundError);
+  });
+
+  test('rejects middleware that does not resolve to a response', async () => {
+    client.use(async () => undefined);
+
+    await expect(client.queryEvents()).rejects.toMatchObject({ code: 'INVALID_MIDDLEWARE_RESPONSE' });
+    await expect(client.queryEvents()).rejects.toBeInstanceOf(CybernateError);
+  });
+
+  test('only accepts functions', () => {
+    expect(() => client.use({})).toThrow('Middleware must be a function');
+  });
+});
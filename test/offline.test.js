@@ -0,0 +1,151 @@
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { MemoryQueueStore } = require('../src/stores');
+const { CybernateNetworkError } = require('../src/errors');
+
+describe('offline queue', () => {
+  let server;
+  let online;
+  let applied;
+  let conflicts;
+  let clients;
+
+  beforeEach(async () => {
+    online = true;
+    applied = [];
+    conflicts = new Set();
+    clients = [];
+
+    server = await startServer((req, res, body) => {
+      if (!online) {
+        return req.socket.destroy();
+      }
+
+      withAuth(() => {
+        if (conflicts.has(req.url)) {
+          return json(res, 409, { message: 'Already handled' });
+        }
+        applied.push({ request: `${req.method} ${req.url}`, idempotencyKey: req.headers['idempotency-key'] });
+        json(res, 200, { success: true });
+      })(req, res, body);
+    });
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.disconnect());
+    await server.close();
+  });
+
+  const create = (offline = {}) => {
+    const client = createClient(server.url, {
+      retry: false,
+      offline: { retryInterval: 60000, ...offline }
+    });
+    clients.push(client);
+    return client;
+  };
+
+  test('queues calls while the API is unreachable and replays them in order', async () => {
+    const client = create();
+    await client.connect();
+
+    online = false;
+    const queued = [
+      await client.acknowledgeEvent('event_1', 'checked'),
+      await client.markNotificationAsRead('notification_1'),
+      await client.deleteFile('file_1')
+    ];
+    expect(queued.every(result => result.queued)).toBe(true);
+    expect(await client.getQueuedRequests()).toHaveLength(3);
+
+    online = true;
+    await expect(client.flushQueue()).resolves.toEqual({ flushed: 3, failed: 0, remaining: 0 });
+
+    expect(applied.map(call => call.request)).toEqual([
+      'POST /events/event_1/acknowledge',
+      'POST /notifications/notification_1/read',
+      'DELETE /storage/files/file_1'
+    ]);
+    expect(applied.map(call => call.idempotencyKey)).toEqual(queued.map(result => result.idempotencyKey));
+  });
+
+  test('bulk calls queue each item under its own idempotency key', async () => {
+    const client = create();
+    await client.connect();
+
+    online = false;
+    const result = await client.acknowledgeEvents(['event_1', 'event_2'], '', { idempotencyKey: 'storm' });
+
+    expect(result.succeeded.map(item => item.result.idempotencyKey)).toEqual(['storm-event_1', 'storm-event_2']);
+    online = true;
+    await client.flushQueue();
+    expect(applied.map(call => call.idempotencyKey)).toEqual(['storm-event_1', 'storm-event_2']);
+  });
+
+  test('queues new calls behind waiting ones even once the API is back', async () => {
+    const client = create();
+    await client.connect();
+
+    online = false;
+    await client.acknowledgeEvent('event_1', '');
+    online = true;
+    const second = await client.acknowledgeEvent('event_2', '');
+
+    expect(second.queued).toBe(true);
+    await client.flushQueue();
+    await client.flushQueue();
+
+    expect(applied.map(call => call.request)).toEqual([
+      'POST /events/event_1/acknowledge',
+      'POST /events/event_2/acknowledge'
+    ]);
+  });
+
+  test('drops calls rejected with a conflict and emits failed', async () => {
+    const client = create();
+    const failed = jest.fn();
+    client.on('failed', failed);
+    await client.connect();
+
+    online = false;
+    await client.acknowledgeEvent('event_1', '');
+    await client.acknowledgeEvent('event_2', '');
+    conflicts.add('/events/event_1/acknowledge');
+    online = true;
+
+    await expect(client.flushQueue()).resolves.toEqual({ flushed: 1, failed: 1, remaining: 0 });
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ conflict: true }));
+    expect(applied.map(call => call.request)).toEqual(['POST /events/event_2/acknowledge']);
+  });
+
+  test('keeps queued calls in the store across clients', async () => {
+    const store = new MemoryQueueStore();
+    const first = create({ store });
+    await first.connect();
+
+    online = false;
+    await first.acknowledgeEvent('event_1', '');
+    first.disconnect();
+
+    online = true;
+    const second = create({ store });
+    await second.connect();
+    await second.flushQueue();
+
+    expect(applied.map(call => call.request)).toEqual(['POST /events/event_1/acknowledge']);
+    expect(await store.load()).toEqual([]);
+  });
+
+  test('queues calls made before the first successful connect()', async () => {
+    const client = create();
+
+    online = false;
+    await expect(client.connect()).rejects.toBeInstanceOf(CybernateNetworkError);
+    await expect(client.acknowledgeEvent('event_1', '')).resolves.toMatchObject({ queued: true });
+    await expect(client.queryEvents()).rejects.toMatchObject({ code: 'NOT_CONNECTED' });
+
+    online = true;
+    await client.flushQueue();
+
+    expect(applied.map(call => call.request)).toEqual(['POST /events/event_1/acknowledge']);
+  });
+});
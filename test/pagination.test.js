@@ -0,0 +1,96 @@
+const { PageIterator } = require('../src/pagination');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+
+const pages = (count, size) => Array.from({ length: count }, (_, page) =>
+  Array.from({ length: size }, (_, i) => ({ id: `item_${page * size + i}` })));
+
+describe('PageIterator', () => {
+  test('walks pages until the reported total is reached', async () => {
+    const data = pages(3, 2);
+    const fetchPage = jest.fn(async page => ({ events: data[page - 1], pagination: { total: 5, limit: 2 } }));
+
+    const items = await new PageIterator(fetchPage, { itemsKey: 'events', limit: 2 }).toArray();
+
+    expect(items.map(item => item.id)).toEqual(['item_0', 'item_1', 'item_2', 'item_3', 'item_4', 'item_5']);
+    expect(fetchPage.mock.calls.map(([page]) => page)).toEqual([1, 2, 3]);
+  });
+
+  test('stops on a short page when the total is unknown', async () => {
+    const fetchPage = jest.fn(async page => ({ items: page === 1 ? [1, 2] : [3] }));
+
+    const items = await new PageIterator(fetchPage, { itemsKey: 'files', limit: 2, prefetch: 0 }).toArray();
+
+    expect(items).toEqual([1, 2, 3]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops after maxItems without fetching further pages', async () => {
+    const fetchPage = jest.fn(async page => ({ events: [page * 10, page * 10 + 1] }));
+
+    const items = await new PageIterator(fetchPage, { itemsKey: 'events', limit: 2, maxItems: 3, prefetch: 0 }).toArray();
+
+    expect(items).toEqual([10, 11, 20]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('maxItems: 0 yields nothing and fetches no page', async () => {
+    const fetchPage = jest.fn(async page => ({ events: [page] }));
+
+    expect(await new PageIterator(fetchPage, { itemsKey: 'events', maxItems: 0 }).toArray()).toEqual([]);
+    expect(fetchPage).not.toHaveBeenCalled();
+  });
+
+  test('prefetches the next page while the current one is consumed', async () => {
+    const fetchPage = jest.fn(async page => ({ events: [page], pagination: { pages: 3 } }));
+    const iterator = new PageIterator(fetchPage, { itemsKey: 'events' })[Symbol.asyncIterator]();
+
+    await iterator.next();
+    expect(fetchPage.mock.calls.map(([page]) => page)).toEqual([1, 2]);
+    await iterator.return();
+  });
+
+  test('propagates page errors to the consumer', async () => {
+    const fetchPage = async page => {
+      if (page === 2) {
+        throw new Error('page failed');
+      }
+      return { events: [1], hasMore: true };
+    };
+
+    await expect(new PageIterator(fetchPage, { itemsKey: 'events' }).toArray()).rejects.toThrow('page failed');
+  });
+});
+
+describe('client iterators', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    const data = pages(2, 2);
+    server = await startServer(withAuth((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const page = parseInt(url.searchParams.get('page'), 10);
+      json(res, 200, { events: data[page - 1] || [], pagination: { page, limit: 2, total: 4 } });
+    }));
+    client = createClient(server.url);
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  test('events.iterate yields every event and keeps the query', async () => {
+    const ids = [];
+    for await (const event of client.events.iterate({ type: 'intrusion', limit: 2 })) {
+      ids.push(event.id);
+    }
+
+    expect(ids).toEqual(['item_0', 'item_1', 'item_2', 'item_3']);
+    const queries = server.requests.filter(request => request.url.startsWith('/events'))
+      .map(request => new URL(request.url, 'http://localhost').searchParams);
+    expect(queries.map(query => query.get('page'))).toEqual(['1', '2']);
+    expect(queries.every(query => query.get('type') === 'intrusion')).toBe(true);
+  });
+});
@@ -0,0 +1,119 @@
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const until = async condition => {
+  while (!condition()) {
+    await delay(5);
+  }
+};
+
+describe('HTTP polling fallback', () => {
+  let server;
+  let client;
+  let respond;
+
+  beforeEach(async () => {
+    respond = (req, res) => json(res, 200, { events: [] });
+    server = await startServer(withAuth((req, res, body) => respond(req, res, body)));
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const start = async (polling = {}) => {
+    client = createClient(server.url, { polling: { interval: 10, ...polling } });
+    await client.connect();
+  };
+  const polls = () => server.requests.filter(request => request.url !== '/auth/validate');
+
+  test('polls for events while the socket is unavailable and skips ones already delivered', async () => {
+    respond = (req, res) => json(res, 200, {
+      events: [
+        { id: 'evt_2', eventType: 'intrusion', timestamp: '2024-01-01T00:00:02.000Z' },
+        { id: 'evt_1', eventType: 'intrusion', timestamp: '2024-01-01T00:00:01.000Z' }
+      ],
+      pagination: { total: 2, limit: 20 }
+    });
+    await start();
+    const received = [];
+    client.on('intrusion', event => received.push(event.id));
+
+    await until(() => received.length === 2 && polls().length > 1);
+
+    expect(received).toEqual(['evt_1', 'evt_2']);
+    expect(client.getConnectionStatus().transport).toBe('polling');
+    const lastQuery = new URL(polls().pop().url, server.url).searchParams;
+    expect(lastQuery.get('startDate')).toBe('2024-01-01T00:00:02.000Z');
+  });
+
+  test('does not poll while nobody listens', async () => {
+    await start();
+
+    await delay(50);
+
+    expect(polls()).toHaveLength(0);
+  });
+
+  test('does not poll for listeners of events the client emits itself', async () => {
+    await start();
+    client.on('connectionStateChange', () => {});
+    client.on('rateLimit', () => {});
+
+    await delay(50);
+
+    expect(polls()).toHaveLength(0);
+  });
+
+  test('polls for listeners registered on a watcher', async () => {
+    respond = (req, res) => (req.method === 'POST'
+      ? json(res, 200, { watcherId: 'watcher_1', type: 'device', entityId: 'device_1' })
+      : json(res, 200, { events: [], watchers: [] }));
+    await start();
+    const watcher = await client.watch({ deviceId: 'device_1', notificationSettings: { method: 'socket' } });
+    watcher.on('all', () => {});
+
+    await until(() => polls().some(request => request.url.startsWith('/events?')));
+  });
+
+  test('polls a cursor endpoint when cursorPath is set', async () => {
+    let cursor = 0;
+    respond = (req, res) => {
+      cursor++;
+      json(res, 200, { events: [{ id: `evt_${cursor}` }], cursor: `c${cursor}` });
+    };
+    await start({ cursorPath: '/events/poll' });
+    const received = [];
+    client.on('all', event => received.push(event.id));
+
+    await until(() => received.length > 1);
+    client.disconnect();
+
+    expect(received.slice(0, 2)).toEqual(['evt_1', 'evt_2']);
+    expect(polls().slice(0, 2).map(request => request.url)).toEqual(['/events/poll', '/events/poll?cursor=c1']);
+  });
+
+  test('stops polling on disconnect()', async () => {
+    await start();
+    client.on('all', () => {});
+    await until(() => polls().length > 0);
+
+    client.disconnect();
+    const count = polls().length;
+    await delay(40);
+
+    expect(polls()).toHaveLength(count);
+  });
+
+  test('polling: false disables the fallback', async () => {
+    client = createClient(server.url, { polling: false });
+    await client.connect();
+    client.on('all', () => {});
+
+    await delay(30);
+
+    expect(polls()).toHaveLength(0);
+    expect(client.getConnectionStatus().transport).toBeNull();
+  });
+});
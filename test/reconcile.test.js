@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryWatcherStore, FileWatcherStore } = require('../src/stores');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+
+describe('watcher persistence and reconciliation', () => {
+  let server;
+  let serverWatchers;
+  let store;
+  let clients;
+
+  beforeEach(async () => {
+    let created = 0;
+    serverWatchers = [];
+    server = await startServer(withAuth((req, res, body) => {
+      if (req.method === 'POST' && req.url === '/devices/watch') {
+        const { deviceId, detectionSettings } = JSON.parse(body);
+        const watcher = { id: `watcher_${++created}`, type: 'device', entityId: deviceId, detectionSettings };
+        serverWatchers.push(watcher);
+        return json(res, 200, { ...watcher, watcherId: watcher.id });
+      }
+      if (req.method === 'DELETE') {
+        serverWatchers = serverWatchers.filter(watcher => !req.url.endsWith(`/${watcher.id}`));
+        return json(res, 200, { success: true });
+      }
+      if (req.url === '/events/watchers') {
+        return json(res, 200, { watchers: serverWatchers });
+      }
+      json(res, 404, { message: 'not found' });
+    }));
+    store = new MemoryWatcherStore();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.disconnect());
+    await server.close();
+  });
+
+  const start = async (reconcileWatchers = {}) => {
+    const client = createClient(server.url, { watcherStore: store, reconcileWatchers });
+    clients.push(client);
+    return { client, result: await client.connect() };
+  };
+
+  const watchRequests = () => server.requests.filter(request => request.url === '/devices/watch');
+  const listRequests = () => server.requests.filter(request => request.url === '/events/watchers');
+
+  test('watch() and unwatch() keep the store up to date', async () => {
+    const { client } = await start();
+
+    const watcher = await client.watch({ deviceId: 'device_1', notificationSettings: { method: 'socket' } });
+    expect((await store.list()).map(record => record.id)).toEqual([watcher.id]);
+    expect((await store.list())[0].options).toMatchObject({ deviceId: 'device_1' });
+
+    await client.unwatch(watcher.id);
+    expect(await store.list()).toEqual([]);
+  });
+
+  test('a restarted client re-attaches the watchers still running on the server', async () => {
+    const first = await start();
+    await first.client.watch({ deviceId: 'device_1', notificationSettings: { method: 'socket' } });
+
+    const { client, result } = await start();
+
+    expect(result.watchers.attached.map(watcher => watcher.id)).toEqual(['watcher_1']);
+    expect(client.watchers.get('watcher_1').entityId).toBe('device_1');
+    expect(watchRequests()).toHaveLength(1);
+  });
+
+  test('stored watchers missing on the server are re-created', async () => {
+    const first = await start();
+    await first.client.watch({ deviceId: 'device_1', notificationSettings: { method: 'socket' } });
+    serverWatchers = [];
+
+    const { result } = await start();
+
+    expect(result.watchers.recreated.map(watcher => watcher.id)).toEqual(['watcher_2']);
+    expect((await store.list()).map(record => record.id)).toEqual(['watcher_2']);
+  });
+
+  test('all missing watchers are re-created from a single server watcher list', async () => {
+    const first = await start();
+    await first.client.watch({ deviceId: 'device_1', notificationSettings: { method: 'socket' } });
+    await first.client.watch({ deviceId: 'device_2', notificationSettings: { method: 'socket' } });
+    serverWatchers = [];
+    const listed = listRequests().length;
+
+    const { result } = await start();
+
+    expect(result.watchers.recreated.map(watcher => watcher.entityId)).toEqual(['device_1', 'device_2']);
+    expect(listRequests()).toHaveLength(listed + 1);
+  });
+
+  test('connect() skips the server watcher list when the store is empty and orphans are kept', async () => {
+    serverWatchers = [{ id: 'watcher_9', type: 'device', entityId: 'device_9' }];
+
+    const { result } = await start();
+
+    expect(result.watchers).toEqual({ attached: [], recreated: [], adopted: [], pruned: [], failed: [] });
+    expect(listRequests()).toHaveLength(0);
+  });
+
+  test('missing watchers are dropped from the store without recreateMissing', async () => {
+    const first = await start();
+    await first.client.watch({ deviceId: 'device_1', notificationSettings: { method: 'socket' } });
+    serverWatchers = [];
+
+    const { result } = await start({ recreateMissing: false });
+
+    expect(result.watchers.recreated).toEqual([]);
+    expect(await store.list()).toEqual([]);
+    expect(watchRequests()).toHaveLength(1);
+  });
+
+  test('orphaned server watchers can be adopted or stopped', async () => {
+    serverWatchers = [{ id: 'watcher_9', type: 'device', entityId: 'device_9' }];
+
+    const adopted = await start({ orphans: 'adopt' });
+    expect(adopted.result.watchers.adopted.map(watcher => watcher.id)).toEqual(['watcher_9']);
+    expect((await store.list()).map(record => record.id)).toEqual(['watcher_9']);
+
+    store = new MemoryWatcherStore();
+    const stopped = await start({ orphans: 'stop' });
+    expect(stopped.result.watchers.pruned).toEqual(['watcher_9']);
+    expect(serverWatchers).toEqual([]);
+  });
+
+  test('FileWatcherStore keeps records across instances', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cybernate-watchers-'));
+    const filePath = path.join(dir, 'watchers.json');
+
+    try {
+      const first = new FileWatcherStore(filePath);
+      await first.set('watcher_1', { id: 'watcher_1', options: { deviceId: 'device_1' } });
+      await first.set('watcher_2', { id: 'watcher_2', options: { deviceId: 'device_2' } });
+      await first.delete('watcher_1');
+
+      const second = new FileWatcherStore(filePath);
+      expect(await second.list()).toEqual([{ id: 'watcher_2', options: { deviceId: 'device_2' } }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
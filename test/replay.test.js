@@ -0,0 +1,101 @@
+jest.mock('socket.io-client', () => jest.fn());
+
+const io = require('socket.io-client');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { FakeSocket, nextEvent } = require('./helpers/socket');
+
+describe('event replay after reconnects', () => {
+  let server;
+  let client;
+  let socket;
+  let missed;
+
+  beforeEach(async () => {
+    missed = (req, res) => json(res, 200, { events: [] });
+    server = await startServer(withAuth((req, res, body) => missed(req, res, body)));
+    io.mockImplementation(() => (socket = new FakeSocket()));
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const connect = async (options = {}) => {
+    client = createClient(server.url, { enableWebSocket: true, heartbeatInterval: 0, staleTimeout: 0, ...options });
+    await client.connect();
+  };
+
+  test('backfills events since the last delivered one and skips duplicates', async () => {
+    await connect();
+    const received = [];
+    client.on('all', event => received.push(event));
+
+    socket.serverEmit('event', { id: 'evt_1', eventType: 'detection', timestamp: '2024-01-01T00:00:00.000Z' });
+    socket.serverDisconnect();
+
+    missed = (req, res) => json(res, 200, {
+      events: [
+        { id: 'evt_3', eventType: 'detection', timestamp: '2024-01-01T00:00:03.000Z' },
+        { id: 'evt_1', eventType: 'detection', timestamp: '2024-01-01T00:00:00.000Z' },
+        { id: 'evt_2', eventType: 'detection', timestamp: '2024-01-01T00:00:02.000Z' }
+      ],
+      pagination: { total: 3, limit: 3 }
+    });
+    socket.serverConnect();
+    await client.replayInProgress;
+
+    expect(received.map(event => [event.id, !!event.replayed])).toEqual([
+      ['evt_1', false],
+      ['evt_2', true],
+      ['evt_3', true]
+    ]);
+    const query = server.requests.find(request => request.url.startsWith('/events?'));
+    expect(new URL(query.url, server.url).searchParams.get('startDate')).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  test('drops socket events that were already delivered', async () => {
+    await connect();
+    const received = [];
+    client.on('all', event => received.push(event.id));
+
+    socket.serverEmit('event', { id: 'evt_1', timestamp: '2024-01-01T00:00:00.000Z' });
+    socket.serverEmit('event', { id: 'evt_1', timestamp: '2024-01-01T00:00:00.000Z' });
+
+    expect(received).toEqual(['evt_1']);
+  });
+
+  test('emits gap when the backfill fails', async () => {
+    await connect({ retry: false });
+    socket.serverDisconnect();
+
+    missed = (req, res) => json(res, 500, { message: 'down' });
+    const gap = nextEvent(client, 'gap');
+    socket.serverConnect();
+
+    await expect(gap).resolves.toMatchObject({ reason: 'backfill_failed', replayed: 0 });
+  });
+
+  test('emits gap when more events were missed than replayMaxEvents', async () => {
+    await connect({ replayMaxEvents: 2 });
+    socket.serverDisconnect();
+
+    missed = (req, res) => json(res, 200, {
+      events: [1, 2, 3].map(n => ({ id: `evt_${n}`, timestamp: `2024-01-01T00:00:0${n}.000Z` })),
+      pagination: { total: 3, limit: 3 }
+    });
+    const gap = nextEvent(client, 'gap');
+    socket.serverConnect();
+
+    await expect(gap).resolves.toMatchObject({ reason: 'limit_exceeded', replayed: 2 });
+  });
+
+  test('does not replay when replayOnReconnect is false', async () => {
+    await connect({ replayOnReconnect: false });
+    socket.serverDisconnect();
+    socket.serverConnect();
+
+    expect(client.replayInProgress).toBeNull();
+    expect(server.requests.some(request => request.url.startsWith('/events?'))).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const {
+  CybernateServerError,
+  CybernateTimeoutError,
+  CybernateAbortError
+} = require('../src/errors');
+
+const FAST_RETRY = { maxAttempts: 3, baseDelay: 1, jitter: false };
+
+describe('request retries and timeouts', () => {
+  let server;
+  let client;
+  let respond;
+
+  beforeEach(async () => {
+    server = await startServer(withAuth((req, res, body) => respond(req, res, body)));
+    client = createClient(server.url, { retry: FAST_RETRY });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const apiRequests = () => server.requests.filter(request => request.url !== '/auth/validate');
+
+  test('retries GET requests on 503 until one succeeds', async () => {
+    let calls = 0;
+    respond = (req, res) => (++calls < 3 ? json(res, 503, { message: 'busy' }) : json(res, 200, { events: [] }));
+
+    await expect(client.queryEvents()).resolves.toEqual({ events: [] });
+    expect(calls).toBe(3);
+  });
+
+  test('gives up after maxAttempts with the last error', async () => {
+    respond = (req, res) => json(res, 503, { message: 'busy' });
+
+    await expect(client.queryEvents()).rejects.toBeInstanceOf(CybernateServerError);
+    expect(apiRequests()).toHaveLength(3);
+  });
+
+  test('does not retry POST requests without an idempotency key', async () => {
+    respond = (req, res) => json(res, 503, {});
+
+    await expect(client.acknowledgeEvent('event_1', 'notes')).rejects.toBeInstanceOf(CybernateServerError);
+    expect(apiRequests()).toHaveLength(1);
+  });
+
+  test('retries POST requests with an idempotency key and sends it as a header', async () => {
+    let calls = 0;
+    respond = (req, res) => (++calls < 2 ? json(res, 502, {}) : json(res, 200, { success: true }));
+
+    await client.acknowledgeEvent('event_1', 'notes', { idempotencyKey: 'ack-1' });
+    expect(apiRequests().map(request => request.headers['idempotency-key'])).toEqual(['ack-1', 'ack-1']);
+  });
+
+  test('honors Retry-After on 429 responses', async () => {
+    let calls = 0;
+    respond = (req, res) => (++calls < 2
+      ? json(res, 429, {}, { 'Retry-After': '0' })
+      : json(res, 200, { ok: true }));
+
+    await expect(client.queryEvents()).resolves.toEqual({ ok: true });
+    expect(calls).toBe(2);
+  });
+
+  test('fails with CybernateTimeoutError when the server does not answer in time', async () => {
+    respond = () => {};
+
+    await expect(client.queryEvents({}, { timeout: 50, retry: false })).rejects.toBeInstanceOf(CybernateTimeoutError);
+  });
+
+  test('fails with CybernateAbortError when the caller aborts', async () => {
+    respond = () => {};
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(client.queryEvents({}, { signal: controller.signal })).rejects.toBeInstanceOf(CybernateAbortError);
+  });
+});
@@ -0,0 +1,115 @@
+const { RequestScheduler } = require('../src/scheduler');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RequestScheduler', () => {
+  test('never runs more than maxConcurrency tasks at once', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 2 });
+    let running = 0;
+    let peak = 0;
+
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule(task)));
+    expect(peak).toBe(2);
+  });
+
+  test('holds queued tasks while paused', async () => {
+    const scheduler = new RequestScheduler();
+    scheduler.pauseUntil(Date.now() + 60);
+    const started = Date.now();
+
+    await scheduler.schedule(async () => {});
+    expect(Date.now() - started).toBeGreaterThanOrEqual(50);
+  });
+
+  test('does not pause when throttling is disabled', async () => {
+    const scheduler = new RequestScheduler({ throttle: false });
+    scheduler.updateBudget(0, Date.now() + 10000);
+
+    await expect(scheduler.schedule(async () => 'sent')).resolves.toBe('sent');
+  });
+
+  test('removes a queued task when its signal aborts', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 1 });
+    const controller = new AbortController();
+    const task = jest.fn();
+
+    const blocker = scheduler.schedule(() => delay(20));
+    const queued = scheduler.schedule(task, {
+      signal: controller.signal,
+      onAbort: () => new Error('gave up')
+    });
+    controller.abort();
+
+    await expect(queued).rejects.toThrow('gave up');
+    await blocker;
+    expect(task).not.toHaveBeenCalled();
+    expect(scheduler.pending).toBe(0);
+  });
+});
+
+describe('client rate limit handling', () => {
+  let server;
+  let client;
+  let respond;
+
+  beforeEach(async () => {
+    server = await startServer(withAuth((req, res, body) => respond(req, res, body)));
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  test('holds requests until the window resets once the budget is exhausted', async () => {
+    const sentAt = [];
+    respond = (req, res) => {
+      sentAt.push(Date.now());
+      json(res, 200, {}, sentAt.length === 1
+        ? { 'X-RateLimit-Limit': '10', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '1' }
+        : {});
+    };
+    client = createClient(server.url);
+    await client.connect();
+
+    const rateLimits = [];
+    client.on('rateLimit', info => rateLimits.push(info));
+
+    await client.queryEvents();
+    await client.queryEvents();
+
+    expect(sentAt[1] - sentAt[0]).toBeGreaterThanOrEqual(900);
+    expect(rateLimits[0]).toMatchObject({ limit: 10, remaining: 0, reset: 1 });
+    expect(client.rateLimit.remaining).toBe(0);
+  });
+
+  test('pauses every queued request after a 429 with Retry-After', async () => {
+    const sentAt = [];
+    respond = (req, res) => {
+      sentAt.push(Date.now());
+      if (sentAt.length === 1) {
+        return json(res, 429, { message: 'slow down' }, { 'Retry-After': '1' });
+      }
+      json(res, 200, {});
+    };
+    client = createClient(server.url, { maxConcurrency: 1, retry: { baseDelay: 1, jitter: false } });
+    await client.connect();
+
+    const rateLimits = [];
+    client.on('rateLimit', info => rateLimits.push(info));
+
+    await Promise.all([client.queryEvents(), client.queryFiles()]);
+
+    expect(sentAt).toHaveLength(3);
+    expect(sentAt[1] - sentAt[0]).toBeGreaterThanOrEqual(900);
+    expect(rateLimits[0]).toMatchObject({ remaining: 0, retryAfter: 1 });
+  });
+});
@@ -0,0 +1,129 @@
+const { SseTransport } = require('../src/transports');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { FakeSocket, nextEvent } = require('./helpers/socket');
+
+const once = (transport, event) => new Promise(resolve => transport.on(event, (...args) => resolve(args)));
+
+describe('SseTransport', () => {
+  let server;
+  let streams;
+  let transport;
+
+  beforeEach(async () => {
+    streams = [];
+    server = await startServer((req, res) => {
+      if (req.url !== '/events/stream') {
+        return json(res, 404, {});
+      }
+      streams.push({ req, res });
+      if (req.headers.authorization !== 'Bearer test-key') {
+        return json(res, 401, { message: 'unauthorized' });
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': connected\n\n');
+    });
+  });
+
+  afterEach(async () => {
+    transport?.disconnect();
+    await server.close();
+  });
+
+  const open = (options = {}) => {
+    transport = new SseTransport({ baseUrl: server.url, apiKey: 'test-key', reconnectionDelay: 10, ...options });
+    return once(transport, 'connect');
+  };
+
+  test('dispatches unnamed messages as events and named ones by name', async () => {
+    await open();
+    const event = once(transport, 'event');
+    const notification = once(transport, 'notification');
+
+    streams[0].res.write('data: {"id":"evt_1",\ndata: "eventType":"intrusion"}\n\n');
+    streams[0].res.write('event: notification\ndata: {"id":"not_1"}\n\n');
+
+    expect(await event).toEqual([{ id: 'evt_1', eventType: 'intrusion' }]);
+    expect(await notification).toEqual([{ id: 'not_1' }]);
+    expect(streams[0].req.headers.accept).toBe('text/event-stream');
+  });
+
+  test('reports comments as heartbeats', async () => {
+    transport = new SseTransport({ baseUrl: server.url, apiKey: 'test-key' });
+    const heartbeat = once(transport, 'heartbeat');
+
+    await expect(heartbeat).resolves.toEqual([]);
+  });
+
+  test('reconnects with Last-Event-ID after the stream ends', async () => {
+    await open();
+    streams[0].res.write('id: evt_7\ndata: {"id":"evt_7"}\n\n');
+    await once(transport, 'event');
+
+    const disconnected = once(transport, 'disconnect');
+    const reconnected = disconnected.then(() => once(transport, 'connect'));
+    streams[0].res.end();
+
+    expect(await disconnected).toEqual(['transport close']);
+    await reconnected;
+    expect(streams[1].req.headers['last-event-id']).toBe('evt_7');
+  });
+
+  test('does not retry authentication failures', async () => {
+    transport = new SseTransport({ baseUrl: server.url, apiKey: 'wrong-key', reconnectionDelay: 10 });
+
+    const [error] = await once(transport, 'connect_error');
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    expect(error.data).toEqual({ status: 401 });
+    expect(streams).toHaveLength(1);
+  });
+
+  test('emit() reports that messages cannot be sent', async () => {
+    await open();
+
+    expect(transport.emit('heartbeat', {}, () => {})).toBe(false);
+  });
+});
+
+describe('client transports', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  test("transport: 'sse' delivers events to on() listeners", async () => {
+    let stream;
+    server = await startServer(withAuth((req, res) => {
+      stream = res;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': connected\n\n');
+    }));
+    client = createClient(server.url, { enableWebSocket: true, transport: 'sse', heartbeatInterval: 0, staleTimeout: 0 });
+
+    const result = await client.connect();
+    const event = nextEvent(client, 'intrusion');
+    stream.write('data: {"id":"evt_1","eventType":"intrusion"}\n\n');
+
+    expect(result.websocketEnabled).toBe(true);
+    expect(client.getConnectionStatus().transport).toBe('sse');
+    await expect(event).resolves.toMatchObject({ id: 'evt_1' });
+  });
+
+  test('a transport factory receives the connection options', async () => {
+    server = await startServer(withAuth(() => {}));
+    const factory = jest.fn(() => new FakeSocket());
+    client = createClient(server.url, { enableWebSocket: true, transport: factory, heartbeatInterval: 0, staleTimeout: 0 });
+
+    await client.connect();
+
+    expect(factory).toHaveBeenCalledWith(expect.objectContaining({ baseUrl: server.url, apiKey: 'test-key', ssePath: '/events/stream' }));
+    expect(client.getConnectionStatus().transport).toBe('custom');
+  });
+});
+
+test('the client rejects unknown transports', () => {
+  expect(() => createClient('http://localhost', { transport: 'carrier-pigeon' })).toThrow('Invalid transport');
+});
@@ -0,0 +1,114 @@
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { CybernateServerError } = require('../src/errors');
+
+describe('chunked uploads', () => {
+  let server;
+  let client;
+  let received;
+  let failChunk;
+
+  beforeEach(async () => {
+    received = [];
+    failChunk = () => false;
+
+    server = await startServer(withAuth((req, res, body) => {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'POST' && url.pathname === '/storage/uploads') {
+        return json(res, 200, { uploadId: 'upload_1' });
+      }
+      if (req.method === 'GET' && url.pathname === '/storage/uploads/upload_1') {
+        return json(res, 200, { receivedBytes: received.reduce((total, chunk) => total + chunk.length, 0) });
+      }
+      if (req.method === 'PUT' && url.pathname === '/storage/uploads/upload_1/chunks') {
+        const offset = Number(url.searchParams.get('offset'));
+        if (failChunk(offset)) {
+          return json(res, 503, { message: 'try again' });
+        }
+        received.push(body);
+        return json(res, 200, { receivedBytes: offset + body.length });
+      }
+      if (req.method === 'POST' && url.pathname === '/storage/uploads/upload_1/complete') {
+        const size = received.reduce((total, chunk) => total + chunk.length, 0);
+        return json(res, 200, { id: 'file_1', size });
+      }
+
+      json(res, 404, {});
+    }));
+
+    client = createClient(server.url, { retry: { baseDelay: 1, jitter: false } });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const chunkRequests = () => server.requests.filter(request => request.url.includes('/chunks'));
+  const file = Buffer.from('0123456789'.repeat(10));
+
+  test('uploads in chunks with Content-Range headers and progress', async () => {
+    const progress = [];
+
+    const result = await client.uploadFile({
+      file,
+      fileName: 'clip.mp4',
+      chunkSize: 40,
+      onProgress: ({ bytesSent, totalBytes }) => progress.push([bytesSent, totalBytes])
+    });
+
+    expect(result).toEqual({ id: 'file_1', size: 100 });
+    expect(Buffer.concat(received).equals(file)).toBe(true);
+    expect(chunkRequests().map(request => request.headers['content-range'])).toEqual([
+      'bytes 0-39/100',
+      'bytes 40-79/100',
+      'bytes 80-99/100'
+    ]);
+    expect(progress).toEqual([[0, 100], [40, 100], [80, 100], [100, 100]]);
+  });
+
+  test('retries only the chunk that failed', async () => {
+    let failures = 0;
+    failChunk = offset => offset === 40 && failures++ < 1;
+
+    await client.uploadFile({ file, fileName: 'clip.mp4', chunkSize: 40 });
+
+    expect(chunkRequests().map(request => new URL(request.url, 'http://localhost').searchParams.get('offset')))
+      .toEqual(['0', '40', '40', '80']);
+    expect(Buffer.concat(received).equals(file)).toBe(true);
+  });
+
+  test('derives a separate idempotency key for each upload step', async () => {
+    await client.uploadFile({ file, fileName: 'clip.mp4', chunkSize: 40 }, { idempotencyKey: 'clip-1' });
+
+    const keys = server.requests
+      .filter(request => request.url.startsWith('/storage/uploads'))
+      .map(request => [request.method, request.headers['idempotency-key']]);
+    expect(keys).toEqual([
+      ['POST', 'clip-1-session'],
+      ['PUT', undefined],
+      ['PUT', undefined],
+      ['PUT', undefined],
+      ['POST', 'clip-1-complete']
+    ]);
+  });
+
+  test('reports the upload ID on failure and resumes from the bytes received', async () => {
+    failChunk = offset => offset === 80;
+
+    const error = await client.uploadFile({ file, fileName: 'clip.mp4', chunkSize: 40, chunkRetry: false })
+      .catch(caught => caught);
+    expect(error).toBeInstanceOf(CybernateServerError);
+    expect(error.uploadId).toBe('upload_1');
+    expect(error.bytesSent).toBe(80);
+
+    failChunk = () => false;
+    const before = chunkRequests().length;
+    const result = await client.uploadFile({ file, fileName: 'clip.mp4', chunkSize: 40, uploadId: error.uploadId });
+
+    expect(result.size).toBe(100);
+    expect(chunkRequests().slice(before).map(request => request.headers['content-range'])).toEqual(['bytes 80-99/100']);
+    expect(Buffer.concat(received).equals(file)).toBe(true);
+  });
+});
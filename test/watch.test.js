@@ -0,0 +1,108 @@
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+
+describe('idempotent watch()', () => {
+  let server;
+  let client;
+  let serverWatchers;
+
+  beforeEach(async () => {
+    let created = 0;
+    serverWatchers = [];
+    server = await startServer(withAuth((req, res, body) => {
+      if (req.method === 'POST' && req.url === '/streams/watch') {
+        const payload = JSON.parse(body);
+        const watcher = {
+          id: `watcher_${++created}`,
+          type: 'stream',
+          entityId: `stream_${created}`,
+          url: payload.url,
+          detectionSettings: payload.detectionSettings
+        };
+        serverWatchers.push(watcher);
+        return json(res, 200, { ...watcher, watcherId: watcher.id });
+      }
+      if (req.url === '/events/watchers') {
+        return json(res, 200, { watchers: serverWatchers });
+      }
+      json(res, 200, { success: true });
+    }));
+    client = createClient(server.url);
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const options = (extra = {}) => ({
+    streamUrl: 'rtsp://camera-1',
+    notificationSettings: { method: 'socket' },
+    ...extra
+  });
+  const createRequests = () => server.requests.filter(request => request.url === '/streams/watch');
+
+  test('returns the existing handle for the same target and settings', async () => {
+    const first = await client.watch(options({ detectionSettings: { objectTypes: ['person'], sensitivityLevel: 0.5 } }));
+    const second = await client.watch(options({ detectionSettings: { sensitivityLevel: 0.5, objectTypes: ['person'] } }));
+
+    expect(second).toBe(first);
+    expect(createRequests()).toHaveLength(1);
+  });
+
+  test('concurrent calls share a single creation', async () => {
+    const [first, second] = await Promise.all([client.watch(options()), client.watch(options())]);
+
+    expect(second).toBe(first);
+    expect(createRequests()).toHaveLength(1);
+  });
+
+  test('reuses a matching watcher already running on the server', async () => {
+    serverWatchers.push({ id: 'watcher_9', type: 'stream', url: 'rtsp://camera-1', detectionSettings: {} });
+
+    const watcher = await client.watch(options());
+
+    expect(watcher.id).toBe('watcher_9');
+    expect(createRequests()).toHaveLength(0);
+  });
+
+  test('creates a new watcher when the detection settings differ', async () => {
+    const first = await client.watch(options());
+    const second = await client.watch(options({ detectionSettings: { sensitivityLevel: 0.9 } }));
+
+    expect(second.id).not.toBe(first.id);
+    expect(createRequests()).toHaveLength(2);
+  });
+
+  test('force creates a new watcher even if one matches', async () => {
+    const first = await client.watch(options());
+    const second = await client.watch(options({ force: true }));
+
+    expect(second.id).not.toBe(first.id);
+    expect(createRequests()).toHaveLength(2);
+  });
+
+  test('an explicit idempotency key identifies the watcher and is sent to the server', async () => {
+    const first = await client.watch(options({ idempotencyKey: 'lobby' }));
+    const second = await client.watch(options({ idempotencyKey: 'lobby', detectionSettings: { sensitivityLevel: 0.9 } }));
+
+    expect(second).toBe(first);
+    expect(JSON.parse(createRequests()[0].body).idempotencyKey).toBe('lobby');
+  });
+
+  test('sends an explicit idempotency key as the Idempotency-Key header', async () => {
+    await client.watch(options({ idempotencyKey: 'lobby' }));
+
+    expect(createRequests()[0].headers['idempotency-key']).toBe('lobby');
+  });
+
+  test('a stopped watcher is not reused', async () => {
+    const first = await client.watch(options());
+    await first.stop();
+    serverWatchers = [];
+
+    const second = await client.watch(options());
+
+    expect(second.id).not.toBe(first.id);
+  });
+});
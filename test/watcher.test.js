@@ -0,0 +1,119 @@
+jest.mock('socket.io-client', () => jest.fn());
+
+const io = require('socket.io-client');
+const { startServer, json, createClient, withAuth } = require('./helpers/server');
+const { FakeSocket } = require('./helpers/socket');
+
+describe('Watcher handles', () => {
+  let server;
+  let client;
+  let socket;
+
+  beforeEach(async () => {
+    let created = 0;
+    server = await startServer(withAuth((req, res) => {
+      if (req.method === 'POST' && req.url === '/devices/watch') {
+        created++;
+        return json(res, 200, { watcherId: `watcher_${created}`, type: 'device', entityId: `device_${created}`, status: 'active' });
+      }
+      if (req.url === '/events/watchers') {
+        return json(res, 200, { watchers: [] });
+      }
+      json(res, 200, { success: true });
+    }));
+    io.mockImplementation(() => (socket = new FakeSocket()));
+    client = createClient(server.url, { enableWebSocket: true, heartbeatInterval: 0, staleTimeout: 0 });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  const calls = () => server.requests
+    .filter(request => request.url.startsWith('/events/watch/'))
+    .map(request => `${request.method} ${request.url}`);
+
+  test('watch() resolves to a handle describing the watcher', async () => {
+    const watcher = await client.watch({ deviceId: 'device_1', detectionSettings: { sensitivityLevel: 0.5 } });
+
+    expect(watcher).toMatchObject({
+      id: 'watcher_1',
+      watcherId: 'watcher_1',
+      type: 'device',
+      entityId: 'device_1',
+      status: 'active',
+      detectionSettings: { sensitivityLevel: 0.5 }
+    });
+  });
+
+  test('scoped listeners only receive events of their watcher', async () => {
+    const first = await client.watch({ deviceId: 'device_1' });
+    const second = await client.watch({ deviceId: 'device_2' });
+    const firstEvents = [];
+    const secondEvents = [];
+    first.on('all', event => firstEvents.push(event.id));
+    second.on('intrusion', event => secondEvents.push(event.id));
+
+    socket.serverEmit('event', { id: 'evt_1', watcherId: 'watcher_1', eventType: 'intrusion' });
+    socket.serverEmit('event', { id: 'evt_2', entityId: 'device_2', eventType: 'intrusion' });
+    socket.serverEmit('event', { id: 'evt_3', watcherId: 'watcher_2', eventType: 'loitering' });
+
+    expect(firstEvents).toEqual(['evt_1']);
+    expect(secondEvents).toEqual(['evt_2']);
+  });
+
+  test('pause and resume call the API and gate delivery', async () => {
+    const watcher = await client.watch({ deviceId: 'device_1' });
+    const received = [];
+    watcher.on('all', event => received.push(event.id));
+
+    await watcher.pause();
+    expect(watcher.status).toBe('paused');
+    socket.serverEmit('event', { id: 'evt_1', watcherId: 'watcher_1' });
+
+    await watcher.resume();
+    expect(watcher.status).toBe('active');
+    socket.serverEmit('event', { id: 'evt_2', watcherId: 'watcher_1' });
+
+    expect(received).toEqual(['evt_2']);
+    expect(calls()).toEqual(['POST /events/watch/watcher_1/pause', 'POST /events/watch/watcher_1/resume']);
+  });
+
+  test('updateDetectionSettings sends the new settings', async () => {
+    const watcher = await client.watch({ deviceId: 'device_1' });
+
+    await watcher.updateDetectionSettings({ objectTypes: ['person'] });
+
+    const update = server.requests.find(request => request.method === 'PUT');
+    expect(update.url).toBe('/events/watch/watcher_1');
+    expect(JSON.parse(update.body)).toEqual({ detectionSettings: { objectTypes: ['person'] } });
+    expect(watcher.detectionSettings).toEqual({ objectTypes: ['person'] });
+  });
+
+  test('stop() unwatches once and drops the scoped listeners', async () => {
+    const watcher = await client.watch({ deviceId: 'device_1' });
+    const received = [];
+    watcher.on('all', event => received.push(event.id));
+
+    await watcher.stop();
+    await watcher.stop();
+    socket.serverEmit('event', { id: 'evt_1', watcherId: 'watcher_1' });
+
+    expect(watcher.status).toBe('stopped');
+    expect(received).toEqual([]);
+    expect(calls()).toEqual(['DELETE /events/watch/watcher_1']);
+    await expect(watcher.pause()).rejects.toThrow('has been stopped');
+  });
+
+  test('off() removes a scoped listener', async () => {
+    const watcher = await client.watch({ deviceId: 'device_1' });
+    const listener = jest.fn();
+    watcher.on('all', listener).off('all', listener);
+
+    socket.serverEmit('event', { id: 'evt_1', watcherId: 'watcher_1' });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
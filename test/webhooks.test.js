@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { verifyWebhookSignature, createWebhookHandler } = require('../src/webhooks');
+const { CybernateWebhookError } = require('../src/errors');
+
+const SECRET = 'whsec_test';
+
+function sign(body, timestamp = Math.floor(Date.now() / 1000), secret = SECRET) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'x-cybernate-timestamp': String(timestamp),
+    'x-cybernate-signature': `sha256=${signature}`
+  };
+}
+
+describe('verifyWebhookSignature', () => {
+  const body = JSON.stringify({ eventType: 'detection', id: 'event_1' });
+
+  test('accepts a valid signature', async () => {
+    await expect(verifyWebhookSignature(body, sign(body), SECRET)).resolves.toBe(true);
+  });
+
+  test('accepts Buffer bodies and Fetch Headers', async () => {
+    await expect(verifyWebhookSignature(Buffer.from(body), new Headers(sign(body)), SECRET)).resolves.toBe(true);
+  });
+
+  test('accepts any of several signatures while secrets are rotated', async () => {
+    const headers = sign(body);
+    headers['x-cybernate-signature'] = `sha256=${'0'.repeat(64)}, ${headers['x-cybernate-signature']}`;
+
+    await expect(verifyWebhookSignature(body, headers, SECRET)).resolves.toBe(true);
+  });
+
+  test.each([
+    ['a tampered body', () => [`${body} `, sign(body)], 'SIGNATURE_MISMATCH'],
+    ['a different secret', () => [body, sign(body, undefined, 'other')], 'SIGNATURE_MISMATCH'],
+    ['missing headers', () => [body, {}], 'SIGNATURE_MISSING'],
+    ['a stale timestamp', () => [body, sign(body, Math.floor(Date.now() / 1000) - 600)], 'TIMESTAMP_OUT_OF_TOLERANCE']
+  ])('rejects %s', async (label, build, code) => {
+    const [rawBody, headers] = build();
+
+    const error = await verifyWebhookSignature(rawBody, headers, SECRET).catch(caught => caught);
+    expect(error).toBeInstanceOf(CybernateWebhookError);
+    expect(error.code).toBe(code);
+  });
+
+  test('skips the timestamp check with tolerance 0', async () => {
+    const headers = sign(body, 1000);
+
+    await expect(verifyWebhookSignature(body, headers, SECRET, { tolerance: 0 })).resolves.toBe(true);
+  });
+});
+
+describe('createWebhookHandler', () => {
+  test('verifies Fetch requests and passes events to onEvent', async () => {
+    const onEvent = jest.fn();
+    const handler = createWebhookHandler({ secret: SECRET, onEvent });
+    const body = JSON.stringify({ eventType: 'alert', id: 'event_2' });
+
+    const accepted = await handler(new Request('http://localhost/webhook', { method: 'POST', headers: sign(body), body }));
+    const rejected = await handler(new Request('http://localhost/webhook', { method: 'POST', headers: sign('{}'), body }));
+
+    expect(accepted.status).toBe(200);
+    expect(rejected.status).toBeGreaterThanOrEqual(400);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'alert', id: 'event_2' }));
+  });
+});